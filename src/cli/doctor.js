@@ -0,0 +1,183 @@
+/**
+ * Offline checks for an app's SDK configuration (`ventureverse doctor`)
+ *
+ * Looks only at the options themselves: nothing is sent anywhere. Each check
+ * yields findings `{ level, option, message }` with level 'error' (the SDK
+ * will fail or is insecure), 'warn' (works, but should be fixed) or 'ok'.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_CONFIG_FILE = 'ventureverse.config.json';
+
+export const PLATFORM_ENDPOINT = 'https://api.ventureverse.com';
+
+// Option name -> environment variable read when the config file does not set it
+export const CONFIG_ENV_VARS = {
+  appId: 'VENTUREVERSE_APP_ID',
+  apiKey: 'VENTUREVERSE_API_KEY',
+  apiSecret: 'VENTUREVERSE_API_SECRET',
+  encryptionKey: 'VENTUREVERSE_ENCRYPTION_KEY',
+  apiEndpoint: 'VENTUREVERSE_API_ENDPOINT'
+};
+
+// Values copied from docs and templates that must never reach production
+const PLACEHOLDERS = [
+  'ventureverse-default-key',
+  'your-encryption-key',
+  'your-api-key-here',
+  'vv_your_api_key',
+  'vv_secret_your_secret',
+  'changeme'
+];
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const isPlaceholder = value => PLACEHOLDERS.includes(String(value).toLowerCase());
+
+/**
+ * Read options from `file` (default: ventureverse.config.json in `cwd`, if
+ * present), filling gaps from VENTUREVERSE_* environment variables
+ */
+export function loadConfig({ file, cwd = process.cwd(), env = process.env } = {}) {
+  const configPath = path.resolve(cwd, file || DEFAULT_CONFIG_FILE);
+  let config = {};
+
+  if (fs.existsSync(configPath)) {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } else if (file) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  for (const [option, variable] of Object.entries(CONFIG_ENV_VARS)) {
+    if (config[option] === undefined && env[variable]) {
+      config[option] = env[variable];
+    }
+  }
+  return config;
+}
+
+function checkApiKey(config, report) {
+  const { apiKey } = config;
+  if (!apiKey) {
+    return report('error', 'apiKey', 'Missing. Copy it from the Developer Console (starts with vv_).');
+  }
+  if (isPlaceholder(apiKey)) {
+    return report('error', 'apiKey', 'Still the placeholder from the docs.');
+  }
+  if (!String(apiKey).startsWith('vv_')) {
+    return report('error', 'apiKey', 'Does not start with vv_; the platform will reject it.');
+  }
+  report('ok', 'apiKey', 'Present');
+}
+
+function checkApiSecret(config, report) {
+  const { apiSecret } = config;
+  if (!apiSecret) {
+    return report('error', 'apiSecret', 'Missing. Messages to the host cannot be signed without it.');
+  }
+  if (isPlaceholder(apiSecret)) {
+    return report('error', 'apiSecret', 'Still the placeholder from the docs.');
+  }
+  if (apiSecret === config.apiKey) {
+    return report('error', 'apiSecret', 'Same as apiKey. The secret must never be the public key.');
+  }
+  if (String(apiSecret).length < 32) {
+    return report('warn', 'apiSecret', `Only ${String(apiSecret).length} characters; generated secrets have 64.`);
+  }
+  report('ok', 'apiSecret', 'Present');
+}
+
+function checkEncryptionKey(config, report) {
+  if (config.enableEncryption === false) {
+    return report('warn', 'enableEncryption', 'Disabled. User params and payloads travel in clear text.');
+  }
+
+  const key = config.encryptionKey;
+  if (key && typeof key === 'object') {
+    const ids = Object.keys(key.keys || {});
+    return ids.length === 0
+      ? report('error', 'encryptionKey', 'Keyring has no keys.')
+      : report('ok', 'encryptionKey', `Keyring with ${ids.length} key(s)`);
+  }
+  if (!key) {
+    return report('error', 'encryptionKey', 'Missing while encryption is enabled; the SDK refuses to encrypt.');
+  }
+  if (isPlaceholder(key)) {
+    return report('error', 'encryptionKey', `"${key}" is a public default. Generate your own key.`);
+  }
+  if (key === config.apiSecret) {
+    return report('warn', 'encryptionKey', 'Same as apiSecret. Use separate secrets for signing and encryption.');
+  }
+  if (String(key).length < 16) {
+    return report('warn', 'encryptionKey', 'Shorter than 16 characters.');
+  }
+  report('ok', 'encryptionKey', 'Present');
+}
+
+function checkEndpoint(config, report) {
+  const endpoint = config.apiEndpoint || PLATFORM_ENDPOINT;
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return report('error', 'apiEndpoint', `"${endpoint}" is not a URL.`);
+  }
+
+  if (LOCAL_HOSTS.includes(url.hostname)) {
+    return report('warn', 'apiEndpoint', `${url.origin} is local (mock platform?). Remove it before deploying.`);
+  }
+  if (url.protocol !== 'https:') {
+    return report('error', 'apiEndpoint', `${endpoint} is not HTTPS; credentials would be sent in clear text.`);
+  }
+  if (url.origin !== PLATFORM_ENDPOINT) {
+    return report('warn', 'apiEndpoint', `${url.origin} is not the platform (${PLATFORM_ENDPOINT}).`);
+  }
+  if (url.pathname !== '/' || url.search) {
+    return report('warn', 'apiEndpoint', 'Contains a path; the SDK appends /v1/... itself.');
+  }
+  report('ok', 'apiEndpoint', url.origin);
+}
+
+function checkOrigins(config, report) {
+  const origins = config.allowedParentOrigins || [];
+  if (origins.length === 0) {
+    return report('warn', 'allowedParentOrigins', 'Empty: whichever page completes the handshake is trusted.');
+  }
+  for (const origin of origins) {
+    if (origin === '*' || String(origin).includes('*')) {
+      return report('error', 'allowedParentOrigins', 'Wildcards are not supported and would trust any page.');
+    }
+    if (!String(origin).startsWith('https://') && !LOCAL_HOSTS.some(host => String(origin).includes(host))) {
+      return report('warn', 'allowedParentOrigins', `${origin} is not HTTPS.`);
+    }
+  }
+  report('ok', 'allowedParentOrigins', origins.join(', '));
+}
+
+function checkRuntime(config, report) {
+  if (config.debug) {
+    report('warn', 'debug', 'Enabled. Turn it off in production builds.');
+  }
+  if (config.timeout !== undefined && config.timeout < 1000) {
+    report('warn', 'timeout', `${config.timeout}ms is shorter than a typical host round trip.`);
+  }
+}
+
+const CHECKS = [checkApiKey, checkApiSecret, checkEncryptionKey, checkEndpoint, checkOrigins, checkRuntime];
+
+/**
+ * Run every check; returns the findings in order
+ */
+export function diagnoseConfig(config = {}) {
+  const findings = [];
+  const report = (level, option, message) => {
+    findings.push({ level, option, message });
+  };
+
+  for (const check of CHECKS) {
+    check(config, report);
+  }
+  return findings;
+}
@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+/**
+ * VentureVerse developer CLI
+ *
+ * Offline helpers around the SDK's own primitives: nothing here calls the
+ * platform, so every command works without network access.
+ *
+ *   ventureverse credentials <appId>
+ *   ventureverse encrypt|decrypt ...
+ *   ventureverse launch-url|verify-launch ...
+ *   ventureverse sign|verify ...
+ *   ventureverse mock-platform
+ *   ventureverse doctor
+ *
+ * Run `ventureverse help` for options.
+ */
+
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+import { VentureVerseAuth } from '../security/auth-system.js';
+import { SecureEncryption } from '../ventureverse-sdk-secure.js';
+import { signMessage, verifyMessageSignature, generateNonce, ReplayGuard } from '../security/message-signing.js';
+import { createLaunchUrl, verifyLaunchToken, readLaunchToken } from '../security/launch-tokens.js';
+import { startMockPlatform } from '../mock-platform/server.js';
+import { createLogger } from '../logging/logger.js';
+import { loadConfig, diagnoseConfig } from './doctor.js';
+
+const USAGE = `Usage: ventureverse <command> [options]
+
+Commands:
+  credentials <appId>                 Generate an API key and secret
+  encrypt <text>                      Encrypt a string into an envelope
+  decrypt <envelope>                  Decrypt an envelope ('-' reads stdin)
+  encrypt-params name=value...        Encrypt user params as the host does
+  decrypt-params <url|query>          Decrypt params written by encrypt-params
+  launch-url <appUrl> id=<id> [name=value...]
+                                      Build an iframe launch URL with a signed,
+                                      expiring token for that user
+  verify-launch <url|token>           Check a launch token and show its user
+  sign <type>                         Sign a test message (--payload JSON)
+  verify <message>                    Check a message's signature and age ('-' reads stdin)
+  mock-platform                       Run the local mock platform
+  doctor                              Check an app's configuration
+  help                                Show this help
+
+Options:
+  --app-id <id>        App id             (env VENTUREVERSE_APP_ID)
+  --secret <secret>    API secret         (env VENTUREVERSE_API_SECRET)
+  --key <key>          Encryption key     (env VENTUREVERSE_ENCRYPTION_KEY)
+  --type <type>        Envelope context type for encrypt/decrypt
+  --payload <json>     Message payload for sign (default: {})
+  --source <source>    Message source for sign: iframe | parent (default: iframe)
+  --request-id <n>     Message request id for sign
+  --encrypt            Encrypt the payload for sign (needs --key)
+  --no-encrypt         Sign the launch-url user without encrypting it
+  --ttl <ms>           Launch token lifetime (default: 120000)
+  --max-skew <ms>      Accepted message age for verify (default: 300000)
+  --port, --host, --latency, --quiet   Mock platform settings
+  --config <file>      Config file for doctor and mock-platform
+  --json               Machine-readable output
+`;
+
+const BOOLEAN_FLAGS = new Set(['json', 'encrypt', 'no-encrypt', 'quiet', 'help']);
+
+/**
+ * Split argv into positionals and `--name value` / `--name=value` flags
+ */
+export function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [name, inline] = arg.slice(2).split(/=(.*)/s, 2);
+    if (inline !== undefined) {
+      flags[name] = inline;
+    } else if (BOOLEAN_FLAGS.has(name)) {
+      flags[name] = true;
+    } else if (i + 1 < argv.length) {
+      flags[name] = argv[++i];
+    } else {
+      throw new UsageError(`--${name} needs a value`);
+    }
+  }
+  return { positionals, flags };
+}
+
+class UsageError extends Error {}
+
+function parseAssignments(items) {
+  const params = {};
+  for (const item of items) {
+    const index = item.indexOf('=');
+    if (index <= 0) {
+      throw new UsageError(`Expected name=value, got "${item}"`);
+    }
+    params[item.slice(0, index)] = item.slice(index + 1);
+  }
+  return params;
+}
+
+function parseJson(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`${what} is not valid JSON`);
+  }
+}
+
+/**
+ * User fields for a launch token; a numeric id stays a number as the host sends it
+ */
+function parseLaunchUser(assignments) {
+  const user = parseAssignments(assignments);
+  if (!user.id) {
+    throw new UsageError('id=<user id> is required');
+  }
+  if (/^\d+$/.test(user.id)) {
+    user.id = Number(user.id);
+  }
+  return user;
+}
+
+// Failures are reported once, as the command's error, not also by the crypto logger
+function createEncryption(key, appId) {
+  return new SecureEncryption(key, { appId, logger: createLogger({ level: 'silent' }) });
+}
+
+function createContext(io) {
+  const { flags } = io;
+  const env = io.env;
+
+  const option = (flag, variable) => flags[flag] || (variable && env[variable]) || null;
+  const required = (flag, variable) => {
+    const value = option(flag, variable);
+    if (!value) {
+      throw new UsageError(`--${flag} is required${variable ? ` (or set ${variable})` : ''}`);
+    }
+    return value;
+  };
+
+  return {
+    appId: () => option('app-id', 'VENTUREVERSE_APP_ID'),
+    requireAppId: () => required('app-id', 'VENTUREVERSE_APP_ID'),
+    requireSecret: () => required('secret', 'VENTUREVERSE_API_SECRET'),
+    key: () => option('key', 'VENTUREVERSE_ENCRYPTION_KEY'),
+    requireKey: () => required('key', 'VENTUREVERSE_ENCRYPTION_KEY'),
+    print: (value) => {
+      io.stdout.write(`${typeof value === 'string' ? value : JSON.stringify(value, null, 2)}\n`);
+    },
+    input: async (value, what) => {
+      if (value === '-') {
+        return (await io.readStdin()).trim();
+      }
+      if (!value) {
+        throw new UsageError(`${what} is required`);
+      }
+      return value;
+    }
+  };
+}
+
+const COMMANDS = {
+  async credentials({ positionals, flags }, ctx) {
+    const appId = positionals[0] || ctx.requireAppId();
+    const credentials = VentureVerseAuth.generateAPICredentials(appId);
+
+    if (flags.json) {
+      ctx.print({ appId, ...credentials });
+    } else {
+      ctx.print(`App ID:     ${appId}\nAPI key:    ${credentials.apiKey}\nAPI secret: ${credentials.apiSecret}\n\nStore the secret server-side; it is shown only once.`);
+    }
+    return 0;
+  },
+
+  async encrypt({ positionals, flags }, ctx) {
+    const text = await ctx.input(positionals[0], 'Text to encrypt');
+    const encryption = createEncryption(ctx.requireKey(), ctx.appId());
+    ctx.print(await encryption.encrypt(text, flags.type ? { type: flags.type } : {}));
+    return 0;
+  },
+
+  async decrypt({ positionals, flags }, ctx) {
+    const envelope = await ctx.input(positionals[0], 'Envelope');
+    const encryption = createEncryption(ctx.requireKey(), ctx.appId());
+    ctx.print(await encryption.decrypt(envelope, flags.type ? { type: flags.type } : {}));
+    return 0;
+  },
+
+  async 'encrypt-params'({ positionals, flags }, ctx) {
+    const encryption = createEncryption(ctx.requireKey(), ctx.appId());
+    const encrypted = await encryption.encryptUrlParams(parseAssignments(positionals));
+    ctx.print(flags.json ? encrypted : new URLSearchParams(encrypted).toString());
+    return 0;
+  },
+
+  async 'decrypt-params'({ positionals }, ctx) {
+    const input = await ctx.input(positionals[0], 'URL or query string');
+    const query = input.includes('?') ? input.slice(input.indexOf('?') + 1) : input;
+    const encryption = createEncryption(ctx.requireKey(), ctx.appId());
+    ctx.print(await encryption.decryptUrlParams(Object.fromEntries(new URLSearchParams(query))));
+    return 0;
+  },
+
+  async 'launch-url'({ positionals, flags }, ctx) {
+    const [appUrl, ...assignments] = positionals;
+    if (!appUrl) {
+      throw new UsageError('App URL is required');
+    }
+
+    ctx.print(await createLaunchUrl(appUrl, parseLaunchUser(assignments), {
+      appId: ctx.requireAppId(),
+      apiSecret: ctx.requireSecret(),
+      encryptionKey: flags['no-encrypt'] ? undefined : ctx.requireKey(),
+      ttlMs: flags.ttl !== undefined ? Number(flags.ttl) : undefined
+    }));
+    return 0;
+  },
+
+  async 'verify-launch'({ positionals, flags }, ctx) {
+    const input = await ctx.input(positionals[0], 'Launch URL or token');
+    const token = input.startsWith('vvl1.') ? input : readLaunchToken(input);
+    const result = await verifyLaunchToken(token, {
+      appId: ctx.appId(),
+      apiSecret: ctx.requireSecret(),
+      encryptionKey: ctx.key()
+    });
+
+    if (flags.json) {
+      ctx.print(result);
+    } else if (result.valid) {
+      const expiresIn = Math.round((result.claims.exp - Date.now()) / 1000);
+      ctx.print(`Valid launch token for app ${result.claims.app_id}, expires in ${expiresIn}s\nUser: ${JSON.stringify(result.user)}`);
+    } else {
+      ctx.print(`Invalid launch token: ${result.reason}`);
+    }
+    return result.valid ? 0 : 1;
+  },
+
+  async sign({ positionals, flags }, ctx) {
+    const type = positionals[0];
+    if (!type) {
+      throw new UsageError('Message type is required, e.g. REQUEST_USER_PROFILE');
+    }
+
+    const appId = ctx.requireAppId();
+    const apiSecret = ctx.requireSecret();
+    let payload = flags.payload ? parseJson(flags.payload, '--payload') : {};
+    if (flags.encrypt) {
+      const encryption = createEncryption(ctx.requireKey(), appId);
+      payload = await encryption.encrypt(JSON.stringify(payload), { type });
+    }
+
+    const message = {
+      type,
+      payload,
+      timestamp: new Date().toISOString(),
+      source: flags.source || 'iframe',
+      requestId: flags['request-id'] !== undefined ? Number(flags['request-id']) : null,
+      nonce: generateNonce(),
+      encrypted: Boolean(flags.encrypt),
+      appId
+    };
+    message.signature = await signMessage(message, apiSecret);
+
+    ctx.print(flags.json ? JSON.stringify(message) : message);
+    return 0;
+  },
+
+  async verify({ positionals, flags }, ctx) {
+    const message = parseJson(await ctx.input(positionals[0], 'Message JSON'), 'Message');
+    const apiSecret = ctx.requireSecret();
+
+    const validSignature = await verifyMessageSignature(message, apiSecret);
+    const guard = new ReplayGuard({ maxClockSkewMs: flags['max-skew'] ? Number(flags['max-skew']) : undefined });
+    const rejection = validSignature ? guard.check(message) : null;
+    const result = { valid: validSignature && !rejection, signature: validSignature ? 'valid' : 'invalid' };
+    if (rejection) {
+      result.reason = rejection;
+    }
+
+    ctx.print(flags.json ? JSON.stringify(result) : `Signature: ${result.signature}${rejection ? `\nRejected: ${rejection}` : ''}`);
+    return result.valid ? 0 : 1;
+  },
+
+  async 'mock-platform'({ flags }, ctx, io) {
+    const config = flags.config ? parseJson(fs.readFileSync(flags.config, 'utf8'), flags.config) : {};
+    const options = { debug: !flags.quiet, ...config };
+    if (flags.port !== undefined) options.port = parseInt(flags.port, 10);
+    if (flags.host) options.host = flags.host;
+    if (flags.latency !== undefined) options.latency = parseInt(flags.latency, 10);
+
+    const platform = await startMockPlatform(options);
+    ctx.print(`VentureVerse mock platform running at ${platform.url}`);
+    for (const app of platform.apps.values()) {
+      ctx.print(`  app ${app.appId} (key ${app.apiKey || app.appId})`);
+    }
+
+    io.onShutdown(() => platform.stop());
+    // Keeps running until interrupted
+    return null;
+  },
+
+  async doctor({ flags }, ctx, io) {
+    const config = loadConfig({ file: flags.config, cwd: io.cwd, env: io.env });
+    const findings = diagnoseConfig(config);
+    const errors = findings.filter(finding => finding.level === 'error').length;
+    const warnings = findings.filter(finding => finding.level === 'warn').length;
+
+    if (flags.json) {
+      ctx.print(JSON.stringify({ errors, warnings, findings }));
+    } else {
+      const icons = { error: '✖', warn: '⚠', ok: '✔' };
+      for (const { level, option, message } of findings) {
+        ctx.print(`${icons[level]} ${option}: ${message}`);
+      }
+      ctx.print(`\n${errors} error(s), ${warnings} warning(s)`);
+    }
+    return errors > 0 ? 1 : 0;
+  }
+};
+
+/**
+ * Run one command. Resolves to the exit code, or null when the command keeps
+ * running (mock-platform). `io` replaces process streams and env, e.g. in tests.
+ */
+export async function run(argv, io = {}) {
+  const streams = {
+    stdout: io.stdout || process.stdout,
+    stderr: io.stderr || process.stderr,
+    env: io.env || process.env,
+    cwd: io.cwd || process.cwd(),
+    readStdin: io.readStdin || readStdin,
+    onShutdown: io.onShutdown || onShutdown
+  };
+
+  try {
+    const [command, ...rest] = argv;
+    if (!command || command === 'help' || command === '--help') {
+      streams.stdout.write(USAGE);
+      return 0;
+    }
+    if (!COMMANDS[command]) {
+      throw new UsageError(`Unknown command: ${command}`);
+    }
+
+    const args = parseArgs(rest);
+    const ctx = createContext({ ...streams, flags: args.flags });
+    return await COMMANDS[command](args, ctx, streams);
+  } catch (error) {
+    const cause = error.cause && error.cause.message ? ` (${error.cause.message})` : '';
+    streams.stderr.write(`Error: ${error.message}${cause}\n`);
+    if (error instanceof UsageError) {
+      streams.stderr.write('Run `ventureverse help` for usage.\n');
+      return 2;
+    }
+    return 1;
+  }
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { data += chunk; });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+function onShutdown(stop) {
+  const shutdown = () => Promise.resolve(stop()).then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  run(process.argv.slice(2)).then((code) => {
+    if (code !== null) {
+      process.exitCode = code;
+    }
+  });
+}
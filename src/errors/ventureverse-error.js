@@ -0,0 +1,224 @@
+/**
+ * Typed errors for VentureVerse SDK
+ *
+ * Everything the SDK, host, auth system and server client throw at runtime is
+ * a VentureVerseError with:
+ * - `code`: stable identifier to branch on (messages may change)
+ * - `retryable`: whether repeating the same call can succeed
+ * - `cause`: the underlying error, when there is one
+ *
+ * Configuration and argument mistakes (missing API key, negative cost) stay
+ * plain Errors: they are bugs to fix, not conditions to handle.
+ */
+
+export const ERROR_CODES = {
+  UNKNOWN: 'UNKNOWN',
+  // AuthError
+  AUTH_FAILED: 'AUTH_FAILED',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  SESSION_INVALID: 'SESSION_INVALID',
+  INVALID_LAUNCH: 'INVALID_LAUNCH',
+  // RateLimitError
+  RATE_LIMITED: 'RATE_LIMITED',
+  // InsufficientCreditsError
+  INSUFFICIENT_CREDITS: 'INSUFFICIENT_CREDITS',
+  // TimeoutError
+  TIMEOUT: 'TIMEOUT',
+  // NetworkError
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+  // CircuitOpenError
+  CIRCUIT_OPEN: 'CIRCUIT_OPEN',
+  // ProtocolError
+  PROTOCOL_ERROR: 'PROTOCOL_ERROR',
+  HANDSHAKE_REQUIRED: 'HANDSHAKE_REQUIRED',
+  INVALID_RESPONSE: 'INVALID_RESPONSE',
+  NO_HANDLER: 'NO_HANDLER',
+  HOST_ERROR: 'HOST_ERROR',
+  NOT_FOUND: 'NOT_FOUND',
+  RESERVATION_INACTIVE: 'RESERVATION_INACTIVE',
+  INVALID_EVENT: 'INVALID_EVENT',
+  // CryptoError
+  CRYPTO_ERROR: 'CRYPTO_ERROR',
+  ENCRYPTION_FAILED: 'ENCRYPTION_FAILED',
+  DECRYPTION_FAILED: 'DECRYPTION_FAILED',
+  MALFORMED_ENVELOPE: 'MALFORMED_ENVELOPE',
+  UNKNOWN_KEY: 'UNKNOWN_KEY',
+  UNSUPPORTED_ENVELOPE: 'UNSUPPORTED_ENVELOPE'
+};
+
+export class VentureVerseError extends Error {
+  constructor(message, { code = ERROR_CODES.UNKNOWN, retryable = false, cause, status = null, details = null } = {}) {
+    super(message);
+    this.name = 'VentureVerseError';
+    this.code = code;
+    this.retryable = retryable;
+    // HTTP status for errors from REST calls
+    this.status = status;
+    this.details = details;
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+
+  /**
+   * Wire format for host responses and telemetry (no stack, no cause)
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable,
+      details: this.details
+    };
+  }
+}
+
+export class AuthError extends VentureVerseError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.AUTH_FAILED, ...options });
+    this.name = 'AuthError';
+  }
+}
+
+export class RateLimitError extends VentureVerseError {
+  constructor(message = 'Rate limit exceeded', { retryAfter = null, limit = null, resetAt = null, ...options } = {}) {
+    super(message, { code: ERROR_CODES.RATE_LIMITED, retryable: true, ...options });
+    this.name = 'RateLimitError';
+    // Milliseconds to wait before retrying
+    this.retryAfter = retryAfter;
+    this.limit = limit;
+    this.resetAt = resetAt;
+  }
+}
+
+export class InsufficientCreditsError extends VentureVerseError {
+  constructor(message = 'Insufficient credits', { required = null, available = null, ...options } = {}) {
+    super(message, { code: ERROR_CODES.INSUFFICIENT_CREDITS, ...options });
+    this.name = 'InsufficientCreditsError';
+    this.required = required;
+    this.available = available;
+  }
+}
+
+export class TimeoutError extends VentureVerseError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.TIMEOUT, retryable: true, ...options });
+    this.name = 'TimeoutError';
+  }
+}
+
+export class NetworkError extends VentureVerseError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.NETWORK_ERROR, retryable: true, ...options });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Thrown without attempting the call while an operation's circuit is open.
+ * Not retryable: retrying immediately is exactly what the circuit prevents.
+ */
+export class CircuitOpenError extends VentureVerseError {
+  constructor(operation, { retryAfter = null, ...options } = {}) {
+    super(`${operation} is unavailable (circuit open)`, { code: ERROR_CODES.CIRCUIT_OPEN, ...options });
+    this.name = 'CircuitOpenError';
+    this.operation = operation;
+    // Milliseconds until a trial call is allowed
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class ProtocolError extends VentureVerseError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.PROTOCOL_ERROR, ...options });
+    this.name = 'ProtocolError';
+  }
+}
+
+export class NotFoundError extends VentureVerseError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.NOT_FOUND, ...options });
+    this.name = 'NotFoundError';
+  }
+}
+
+export class CryptoError extends VentureVerseError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.CRYPTO_ERROR, ...options });
+    this.name = 'CryptoError';
+  }
+}
+
+// Codes a host may send back, mapped to the class the SDK rebuilds
+const CLASS_BY_CODE = {
+  [ERROR_CODES.AUTH_FAILED]: AuthError,
+  [ERROR_CODES.INVALID_CREDENTIALS]: AuthError,
+  [ERROR_CODES.INVALID_SIGNATURE]: AuthError,
+  [ERROR_CODES.SESSION_INVALID]: AuthError,
+  [ERROR_CODES.INVALID_LAUNCH]: AuthError,
+  [ERROR_CODES.RATE_LIMITED]: RateLimitError,
+  [ERROR_CODES.INSUFFICIENT_CREDITS]: InsufficientCreditsError,
+  [ERROR_CODES.TIMEOUT]: TimeoutError,
+  [ERROR_CODES.NETWORK_ERROR]: NetworkError,
+  [ERROR_CODES.SERVICE_UNAVAILABLE]: NetworkError,
+  [ERROR_CODES.NOT_FOUND]: NotFoundError,
+  [ERROR_CODES.CRYPTO_ERROR]: CryptoError,
+  [ERROR_CODES.DECRYPTION_FAILED]: CryptoError
+};
+
+/**
+ * Error payload for a host response: `{ error, code, retryable }`
+ */
+export function toErrorPayload(error) {
+  const isTyped = error instanceof VentureVerseError;
+  const payload = {
+    error: error.message,
+    code: isTyped ? error.code : ERROR_CODES.HOST_ERROR,
+    retryable: isTyped ? error.retryable : false
+  };
+
+  if (error instanceof InsufficientCreditsError) {
+    payload.required = error.required;
+    payload.available = error.available;
+  }
+  return payload;
+}
+
+/**
+ * Rebuild a typed error from a host's `{ error, code, retryable }` payload.
+ * Payloads from older hosts without a code become HOST_ERROR; an
+ * 'Insufficient credits' message is still recognised.
+ */
+export function fromErrorPayload(payload = {}) {
+  let code = payload.code;
+  if (!code && /insufficient credits/i.test(payload.error || '')) {
+    code = ERROR_CODES.INSUFFICIENT_CREDITS;
+  }
+  code = code || ERROR_CODES.HOST_ERROR;
+
+  const ErrorClass = CLASS_BY_CODE[code] || ProtocolError;
+  const options = { code, details: payload };
+  if (payload.retryable !== undefined) {
+    options.retryable = payload.retryable === true;
+  }
+
+  if (ErrorClass === InsufficientCreditsError) {
+    options.required = payload.required;
+    options.available = payload.available;
+  }
+  if (ErrorClass === RateLimitError) {
+    options.retryAfter = payload.retry_after_ms;
+  }
+
+  return new ErrorClass(payload.error || payload.message || 'Request failed', options);
+}
+
+/**
+ * Whether `error` (typed or not) is worth retrying
+ */
+export function isRetryable(error) {
+  return Boolean(error && error.retryable === true);
+}
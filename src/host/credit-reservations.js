@@ -0,0 +1,116 @@
+/**
+ * In-memory credit holds for VentureVerseHost
+ *
+ * Backs RESERVE_CREDITS / CAPTURE_CREDITS / RELEASE_CREDITS when the embedding
+ * page does not supply its own reservation handlers. Holds are checked against
+ * the getCreditBalance handler and charged through the deductCredits handler on
+ * capture, so existing hosts get reservations without new backend endpoints.
+ */
+
+import { randomHex } from '../security/crypto-provider.js';
+import { ERROR_CODES, InsufficientCreditsError, ProtocolError } from '../errors/ventureverse-error.js';
+
+export class CreditReservationLedger {
+  constructor(options = {}) {
+    this.defaultTtlMs = options.defaultTtlMs || 15 * 60 * 1000;
+    this.maxTtlMs = options.maxTtlMs || 60 * 60 * 1000;
+    this.calculateCredits = options.calculateCredits;
+    this.reservations = new Map();
+  }
+
+  /**
+   * Create a hold. `availableCredits` is the balance before existing holds,
+   * or null when the host cannot report one.
+   */
+  reserve({ cost, description, ttlMs }, availableCredits = null, now = Date.now()) {
+    if (typeof cost !== 'number' || !(cost > 0)) {
+      throw new Error('Reservation cost must be a positive number');
+    }
+
+    this.expire(now);
+
+    const credits = this.calculateCredits(cost);
+    if (availableCredits !== null && credits > availableCredits - this.getHeldCredits()) {
+      throw new InsufficientCreditsError('Insufficient credits', {
+        required: credits,
+        available: Math.max(0, availableCredits - this.getHeldCredits())
+      });
+    }
+
+    const ttl = Math.min(ttlMs || this.defaultTtlMs, this.maxTtlMs);
+    const reservation = {
+      id: `res_${randomHex(12)}`,
+      cost,
+      credits,
+      description: description || '',
+      status: 'held',
+      createdAt: now,
+      expiresAt: now + ttl,
+      result: null
+    };
+
+    this.reservations.set(reservation.id, reservation);
+    return reservation;
+  }
+
+  /**
+   * Look up a hold that can still be captured or released. A capture that
+   * already succeeded is returned as-is so a retried capture is not charged twice.
+   */
+  get(id, now = Date.now()) {
+    this.expire(now);
+
+    const reservation = this.reservations.get(id);
+    if (!reservation) {
+      throw new ProtocolError(`Unknown or expired reservation: ${id}`, {
+        code: ERROR_CODES.RESERVATION_INACTIVE,
+        details: { reservationId: id }
+      });
+    }
+    return reservation;
+  }
+
+  markCaptured(reservation, result) {
+    reservation.status = 'captured';
+    reservation.result = result;
+  }
+
+  release(id) {
+    const reservation = this.reservations.get(id);
+    if (!reservation || reservation.status !== 'held') {
+      return 0;
+    }
+
+    reservation.status = 'released';
+    this.reservations.delete(id);
+    return reservation.credits;
+  }
+
+  /**
+   * Drop holds past their expiry; captured entries are kept until then so
+   * retries can be answered
+   */
+  expire(now = Date.now()) {
+    for (const [id, reservation] of this.reservations) {
+      if (now >= reservation.expiresAt) {
+        this.reservations.delete(id);
+      }
+    }
+  }
+
+  getHeldCredits() {
+    let held = 0;
+    for (const reservation of this.reservations.values()) {
+      if (reservation.status === 'held') {
+        held += reservation.credits;
+      }
+    }
+    return held;
+  }
+
+  clear() {
+    this.reservations.clear();
+  }
+}
+
+export default CreditReservationLedger;
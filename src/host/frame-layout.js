@@ -0,0 +1,126 @@
+/**
+ * Sizing and display modes of the app iframe for VentureVerseHost
+ *
+ * Backs IFRAME_RESIZE and SET_DISPLAY_MODE when the embedding page does not
+ * supply its own handlers:
+ * - 'auto': the frame is as tall as the app's content (within min/max), so
+ *   only the host page scrolls
+ * - 'fullscreen': the frame covers the window
+ * - 'modal': the frame is centered over a dimmed page
+ * - 'fixed': the frame has the height the app asked for (within min/max)
+ *
+ * Only the style properties listed in MANAGED_STYLES are touched, and they are
+ * restored to the page's own values when the mode changes.
+ */
+
+import { DISPLAY_MODES } from '../iframe/iframe-layout.js';
+import { ProtocolError } from '../errors/ventureverse-error.js';
+
+const MANAGED_STYLES = [
+  'position', 'top', 'left', 'width', 'height', 'maxWidth', 'maxHeight',
+  'transform', 'zIndex', 'boxShadow', 'border'
+];
+
+const OVERLAY_Z_INDEX = '2147483000';
+
+const MODE_STYLES = {
+  auto: {},
+  fixed: {},
+  fullscreen: {
+    position: 'fixed',
+    top: '0',
+    left: '0',
+    width: '100vw',
+    height: '100vh',
+    maxWidth: 'none',
+    maxHeight: 'none',
+    zIndex: OVERLAY_Z_INDEX,
+    border: '0'
+  },
+  modal: {
+    position: 'fixed',
+    top: '50%',
+    left: '50%',
+    width: 'min(90vw, 960px)',
+    height: 'min(90vh, 720px)',
+    transform: 'translate(-50%, -50%)',
+    zIndex: OVERLAY_Z_INDEX,
+    // Dims the page behind the frame without an extra element
+    boxShadow: '0 0 0 100vmax rgba(0, 0, 0, 0.5)',
+    border: '0'
+  }
+};
+
+export class FrameLayout {
+  constructor(iframe, options = {}) {
+    this.iframe = iframe;
+    this.minHeight = options.minHeight || 150;
+    this.maxHeight = options.maxHeight || null;
+    this.mode = 'auto';
+    this.fixedHeight = null;
+    this.contentHeight = null;
+    this.pageStyles = {};
+    for (const property of MANAGED_STYLES) {
+      this.pageStyles[property] = iframe.style[property];
+    }
+  }
+
+  /**
+   * Fit the frame to a reported content size; ignored outside 'auto' mode
+   */
+  applyContentSize({ height } = {}) {
+    if (typeof height !== 'number' || !Number.isFinite(height) || height < 0) {
+      throw new ProtocolError('IFRAME_RESIZE needs a numeric height');
+    }
+
+    this.contentHeight = height;
+    if (this.mode === 'auto') {
+      this.iframe.style.height = `${this.clampHeight(height)}px`;
+    }
+    return this.clampHeight(height);
+  }
+
+  clampHeight(height) {
+    const atLeast = Math.max(Math.ceil(height), this.minHeight);
+    return this.maxHeight ? Math.min(atLeast, this.maxHeight) : atLeast;
+  }
+
+  setMode(mode, { height } = {}) {
+    if (!DISPLAY_MODES.includes(mode)) {
+      throw new ProtocolError(`Unknown display mode: ${mode}`);
+    }
+    if (mode === 'fixed' && !(typeof height === 'number' && height > 0)) {
+      throw new ProtocolError("Display mode 'fixed' needs a positive height");
+    }
+
+    const { style } = this.iframe;
+    for (const property of MANAGED_STYLES) {
+      style[property] = this.pageStyles[property];
+    }
+    Object.assign(style, MODE_STYLES[mode]);
+
+    if (mode === 'fixed') {
+      style.height = `${this.clampHeight(height)}px`;
+    } else if (mode === 'auto' && this.contentHeight !== null) {
+      style.height = `${this.clampHeight(this.contentHeight)}px`;
+    }
+
+    this.mode = mode;
+    this.fixedHeight = mode === 'fixed' ? this.clampHeight(height) : null;
+    return mode;
+  }
+
+  /**
+   * The space the app has: the frame's size, plus the host window's size
+   */
+  getViewport() {
+    const rect = this.iframe.getBoundingClientRect();
+    return {
+      width: Math.round(rect.width),
+      height: Math.round(rect.height),
+      mode: this.mode,
+      window_width: window.innerWidth,
+      window_height: window.innerHeight
+    };
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Mirrors the app's route in the host page's URL for VentureVerseHost
+ *
+ * Backs ROUTE_CHANGED when the embedding page does not supply its own
+ * handler. The app route is kept in one query param of the host URL
+ * (`app_path` by default), so reloading or sharing the host page reopens the
+ * same view, and each app route change adds a host history entry. Back and
+ * forward land on those entries and are sent to the app as NAVIGATE.
+ */
+
+import { isAppPath } from '../iframe/navigation.js';
+import { ProtocolError } from '../errors/ventureverse-error.js';
+
+export class RouteSync {
+  constructor(host, options = {}) {
+    this.host = host;
+    this.param = options.routeParam || 'app_path';
+    this.syncUrl = options.syncUrl !== false;
+    this.currentPath = null;
+    this.onPopState = event => this.handlePopState(event);
+  }
+
+  /**
+   * The deep link in the host URL, passed to the app at launch
+   */
+  getInitialPath() {
+    const path = new URL(window.location.href).searchParams.get(this.param);
+    return isAppPath(path) ? path : null;
+  }
+
+  start() {
+    this.currentPath = this.getInitialPath();
+    if (this.syncUrl) {
+      this.host.resourceManager.addEventListener(window, 'popstate', this.onPopState);
+    }
+  }
+
+  /**
+   * Default routeChanged handler
+   */
+  applyRoute({ path, title, replace } = {}) {
+    if (!isAppPath(path)) {
+      throw new ProtocolError(`Route must be a path starting with '/': ${path}`);
+    }
+    if (path === this.currentPath) {
+      return {};
+    }
+
+    // The app's first route describes the entry the host is already on
+    const isFirst = this.currentPath === null;
+    this.currentPath = path;
+    this.writeUrl(path, replace || isFirst);
+    this.host.triggerEvent('routeChanged', { path, title, replace: Boolean(replace || isFirst) });
+    return {};
+  }
+
+  /**
+   * Move the app to `path` from the host page, adding a host history entry
+   */
+  navigate(path) {
+    if (!isAppPath(path)) {
+      throw new Error(`Route must be a path starting with '/': ${path}`);
+    }
+
+    this.currentPath = path;
+    this.writeUrl(path, false);
+    return this.host.send('NAVIGATE', { path, reason: 'host' });
+  }
+
+  writeUrl(path, replace) {
+    if (!this.syncUrl) return;
+
+    const url = new URL(window.location.href);
+    url.searchParams.set(this.param, path);
+    // Keep the page router's own state; only objects can carry the app path alongside it
+    const current = window.history.state;
+    const state = current && typeof current === 'object' ? { ...current, vvAppPath: path } : { vvAppPath: path };
+    if (replace) {
+      window.history.replaceState(state, '', url.toString());
+    } else {
+      window.history.pushState(state, '', url.toString());
+    }
+  }
+
+  handlePopState(event) {
+    const fromState = event.state && event.state.vvAppPath;
+    const path = isAppPath(fromState) ? fromState : this.getInitialPath();
+
+    // Host entries from before the app reported a route have no app path
+    if (!path || path === this.currentPath) return;
+
+    this.currentPath = path;
+    this.host.send('NAVIGATE', { path, reason: 'history' }).catch((error) => {
+      this.host.logger.warn('Could not send history navigation to the app:', error);
+    });
+  }
+}
@@ -0,0 +1,868 @@
+/**
+ * VentureVerse Host SDK
+ *
+ * Parent-window counterpart of VentureVerseSDKSecure:
+ * - Embeds the app iframe
+ * - Verifies HMAC-signed messages coming from the iframe
+ * - Decrypts and encrypts payloads with SecureEncryption
+ * - Routes requests to pluggable handlers
+ * - Replies with correctly shaped *_RESPONSE messages
+ */
+
+import { SecureEncryption, ErrorHandler, ResourceManager } from '../ventureverse-sdk-secure.js';
+import { signMessage, verifyMessageSignature, generateNonce, ReplayGuard } from '../security/message-signing.js';
+import { CreditReservationLedger } from './credit-reservations.js';
+import { FrameLayout } from './frame-layout.js';
+import { RouteSync } from './route-sync.js';
+import { ROUTE_PARAM } from '../iframe/navigation.js';
+import { PricingCatalog } from '../pricing/pricing-catalog.js';
+import { VentureVerseAuth } from '../security/auth-system.js';
+import { RateLimiter } from '../security/rate-limiter.js';
+import { decodeSessionToken } from '../security/session-tokens.js';
+import { createLaunchUrl } from '../security/launch-tokens.js';
+import { ERROR_CODES, ProtocolError, toErrorPayload } from '../errors/ventureverse-error.js';
+import { createTelemetry } from '../telemetry/telemetry.js';
+import { createLogger, LOG_LEVELS } from '../logging/logger.js';
+
+/**
+ * Request types the iframe SDK sends, mapped to the handler that serves them
+ * and the response type the SDK expects back
+ */
+export const HOST_ROUTES = {
+  HANDSHAKE: { handler: 'handshake', response: 'HANDSHAKE_ACK' },
+  REQUEST_USER_PROFILE: { handler: 'getUserProfile', response: 'USER_PROFILE_RESPONSE' },
+  DEDUCT_CREDITS: { handler: 'deductCredits', response: 'CREDIT_DEDUCTION_RESPONSE' },
+  RESERVE_CREDITS: { handler: 'reserveCredits', response: 'CREDIT_RESERVATION_RESPONSE' },
+  CAPTURE_CREDITS: { handler: 'captureCredits', response: 'CREDIT_CAPTURE_RESPONSE' },
+  RELEASE_CREDITS: { handler: 'releaseCredits', response: 'CREDIT_RELEASE_RESPONSE' },
+  CHECK_CREDIT_BALANCE: { handler: 'getCreditBalance', response: 'CREDIT_BALANCE_RESPONSE' },
+  REQUEST_SESSION_TOKEN: { handler: 'issueSession', response: 'SESSION_TOKEN_RESPONSE' },
+  REFRESH_SESSION_TOKEN: { handler: 'refreshSession', response: 'SESSION_TOKEN_RESPONSE' },
+  TRACK_ACTIVITY: { handler: 'trackActivity', response: 'ACTIVITY_TRACKING_RESPONSE' },
+  REQUEST_PERMISSION: { handler: 'requestPermission', response: 'PERMISSION_RESPONSE' },
+  REPORT_TELEMETRY: { handler: 'reportTelemetry', response: 'TELEMETRY_RESPONSE' },
+  REPORT_LOGS: { handler: 'reportLogs', response: 'LOGS_RESPONSE' },
+  IFRAME_RESIZE: { handler: 'resizeFrame', response: 'IFRAME_RESIZE_RESPONSE' },
+  SET_DISPLAY_MODE: { handler: 'setDisplayMode', response: 'DISPLAY_MODE_RESPONSE' },
+  ROUTE_CHANGED: { handler: 'routeChanged', response: 'ROUTE_CHANGED_RESPONSE' }
+};
+
+/**
+ * Turn raw handler results into the payload shapes documented in API_REFERENCE.md
+ */
+const RESPONSE_SHAPERS = {
+  getUserProfile: (user) => ({ user }),
+  deductCredits: (result = {}) => ({ success: true, ...result }),
+  estimateCredits: (result = {}, payload = {}) => ({ success: true, cost: payload.cost, ...result, estimation: true }),
+  reserveCredits: (result = {}) => ({ success: true, ...result }),
+  captureCredits: (result = {}) => ({ success: true, ...result }),
+  releaseCredits: (result = {}) => ({ success: true, ...result }),
+  getCreditBalance: (creditInfo = {}) => ({
+    credit_info: creditInfo,
+    total_balance: (creditInfo.monthly_credit_balance || 0) +
+      (creditInfo.topup_credit_balance || creditInfo.top_up_credit_balance || 0)
+  }),
+  issueSession: (token) => shapeSession(token),
+  refreshSession: (token) => shapeSession(token),
+  trackActivity: (result = {}) => ({ success: true, ...result }),
+  setDisplayMode: (result = {}, payload = {}) => ({ mode: payload.mode, ...result }),
+  requestPermission: (granted, payload = {}) => ({ granted: granted === true, action: payload.action })
+};
+
+function shapeSession(token) {
+  const claims = decodeSessionToken(token);
+  if (!claims) {
+    throw new ProtocolError('Session handler did not return a session token', {
+      code: ERROR_CODES.INVALID_RESPONSE
+    });
+  }
+  return {
+    session_token: token,
+    expires_at: new Date(claims.exp).toISOString(),
+    scopes: claims.scopes
+  };
+}
+
+// Handlers whose requests carry an idempotency_key that must not run twice
+const IDEMPOTENT_HANDLERS = new Set(['deductCredits', 'reserveCredits']);
+
+export class VentureVerseHost {
+  constructor(options = {}) {
+    if (!options.appId) {
+      throw new Error('App ID is required');
+    }
+
+    if (!options.apiSecret) {
+      throw new Error('API secret is required to verify app messages');
+    }
+
+    this.options = {
+      appId: options.appId,
+      apiSecret: options.apiSecret,
+      appOrigin: options.appOrigin || null,
+      debug: options.debug || false,
+      encryptionKey: options.encryptionKey,
+      enableEncryption: options.enableEncryption !== false,
+      maxClockSkewMs: options.maxClockSkewMs || 5 * 60 * 1000,
+      logLevel: options.logLevel || (options.debug ? 'debug' : 'warn'),
+      ...options
+    };
+
+    this.logger = createLogger({
+      logger: this.options.logger,
+      namespace: 'host',
+      level: this.options.logLevel,
+      sinks: this.options.logSinks,
+      prefix: 'VentureVerse Host'
+    });
+
+    // Host errors, plus app reports forwarded by reportTelemetry
+    this.telemetry = createTelemetry(this.options.telemetry, {
+      debug: this.options.debug,
+      logger: this.logger.child('telemetry')
+    });
+    this.errorHandler = new ErrorHandler(this.options.debug, { telemetry: this.telemetry, logger: this.logger });
+    this.resourceManager = new ResourceManager();
+    this.replayGuard = new ReplayGuard({ maxClockSkewMs: this.options.maxClockSkewMs });
+
+    if (this.options.encryptionKey) {
+      this.encryption = new SecureEncryption(this.options.encryptionKey, {
+        appId: this.options.appId,
+        logger: this.logger.child('crypto')
+      });
+    }
+
+    this.pricing = PricingCatalog.from(this.options.pricing);
+    this.auth = new VentureVerseAuth({
+      logger: this.logger.child('auth'),
+      sessionTtl: this.options.sessionTtl,
+      revocationList: this.options.revocationList
+    });
+
+    this.reservations = new CreditReservationLedger({
+      defaultTtlMs: this.options.reservationTtlMs,
+      maxTtlMs: this.options.maxReservationTtlMs,
+      calculateCredits: (cost) => this.calculateCreditCost(cost)
+    });
+
+    // App route <-> host URL and history
+    this.routes = new RouteSync(this, {
+      routeParam: this.options.routeParam,
+      syncUrl: this.options.syncRoutes
+    });
+
+    // Quotas for the app's requests; announced at handshake so the SDK limits itself
+    this.rateLimiter = this.options.rateLimits
+      ? new RateLimiter({ limits: this.options.rateLimits })
+      : null;
+
+    this.handlers = new Map();
+    this.handlers.set('handshake', (payload) => ({
+      nonce: payload && payload.nonce,
+      accepted: true,
+      pricing: this.pricing.toJSON(),
+      rate_limits: this.getRateLimits(),
+      viewport: this.layout ? this.layout.getViewport() : null
+    }));
+    this.handlers.set('estimateCredits', (payload = {}) => ({
+      credits: this.calculateCreditCost(payload.cost)
+    }));
+    this.handlers.set('issueSession', this.issueSession.bind(this));
+    this.handlers.set('refreshSession', (payload = {}) => this.auth.refreshSessionToken(
+      payload.session_token,
+      this.options.apiSecret,
+      { appId: this.options.appId }
+    ));
+    this.handlers.set('reserveCredits', this.reserveCredits.bind(this));
+    this.handlers.set('captureCredits', this.captureCredits.bind(this));
+    this.handlers.set('releaseCredits', this.releaseCredits.bind(this));
+    this.handlers.set('reportTelemetry', this.reportTelemetry.bind(this));
+    this.handlers.set('reportLogs', this.reportLogs.bind(this));
+    this.handlers.set('resizeFrame', this.resizeFrame.bind(this));
+    this.handlers.set('setDisplayMode', this.applyDisplayMode.bind(this));
+    this.handlers.set('routeChanged', (payload) => this.routes.applyRoute(payload));
+    for (const [name, handler] of Object.entries(options.handlers || {})) {
+      this.setHandler(name, handler);
+    }
+
+    // Results of idempotent charges, so a retried DEDUCT_CREDITS is answered
+    // with the original result instead of charging again
+    this.idempotentResults = new Map();
+    this.idempotencyTtl = this.options.idempotencyTtl || 24 * 60 * 60 * 1000;
+    this.maxIdempotentResults = this.options.maxIdempotentResults || 1000;
+
+    this.iframe = null;
+    this.layout = null;
+    this.lastViewport = null;
+    this.viewportTimer = null;
+    this.isListening = false;
+
+    this.log('Host initialized for app', this.options.appId);
+  }
+
+  /**
+   * Create the app iframe inside a container element
+   */
+  mount(container, appUrl, params = {}) {
+    const url = new URL(appUrl, window.location.href);
+    url.searchParams.set('iframe_mode', 'true');
+    for (const [key, value] of Object.entries(params)) {
+      url.searchParams.set(key, value);
+    }
+
+    // Deep link from the host URL, unless the launch URL already carries one
+    const initialPath = this.routes.getInitialPath();
+    if (initialPath && !url.searchParams.has(ROUTE_PARAM)) {
+      url.searchParams.set(ROUTE_PARAM, initialPath);
+    }
+
+    if (!this.options.appOrigin) {
+      this.options.appOrigin = url.origin;
+    }
+
+    const iframe = document.createElement('iframe');
+    iframe.src = url.toString();
+    iframe.setAttribute('title', this.options.title || 'VentureVerse App');
+    container.appendChild(iframe);
+
+    return this.attach(iframe);
+  }
+
+  /**
+   * Launch URL for `appUrl` with a signed, expiring token carrying `user`
+   * (default: what getUserProfile reports). The SDK falls back to this user
+   * when the host does not answer; pass the result to mount().
+   */
+  async createLaunchUrl(appUrl, user, options = {}) {
+    let launchUser = user;
+    if (!launchUser && this.handlers.has('getUserProfile')) {
+      const profile = await this.routeRequest('getUserProfile', {}, {
+        appId: this.options.appId,
+        type: 'REQUEST_USER_PROFILE',
+        requestId: null,
+        origin: window.location.origin
+      });
+      launchUser = profile.user;
+    }
+
+    return createLaunchUrl(appUrl, launchUser, {
+      baseUrl: window.location.href,
+      appId: this.options.appId,
+      apiSecret: this.options.apiSecret,
+      encryptionKey: this.options.enableEncryption ? this.options.encryptionKey : undefined,
+      ttlMs: options.ttlMs,
+      params: options.params
+    });
+  }
+
+  /**
+   * Serve an iframe that was created elsewhere
+   */
+  attach(iframe) {
+    this.iframe = iframe;
+    // Sized by the app's IFRAME_RESIZE reports and SET_DISPLAY_MODE requests
+    this.layout = new FrameLayout(iframe, {
+      minHeight: this.options.minFrameHeight,
+      maxHeight: this.options.maxFrameHeight
+    });
+
+    // Pin the app origin so replies are never broadcast with '*'
+    if (!this.options.appOrigin && iframe.src) {
+      try {
+        this.options.appOrigin = new URL(iframe.src, window.location.href).origin;
+      } catch (error) {
+        this.log('Could not derive app origin from iframe src');
+      }
+    }
+
+    if (!this.isListening) {
+      const messageHandler = this.handleAppMessage.bind(this);
+      this.resourceManager.addEventListener(window, 'message', messageHandler);
+      this.resourceManager.addEventListener(window, 'resize', () => this.scheduleViewportUpdate());
+      this.routes.start();
+      this.isListening = true;
+    }
+
+    this.log('Attached to app iframe');
+    return iframe;
+  }
+
+  /**
+   * Register a handler by name (getUserProfile, deductCredits, getCreditBalance,
+   * trackActivity, requestPermission) or by raw message type for custom requests.
+   * estimateCredits (DEDUCT_CREDITS with `estimation: true`) and
+   * reserveCredits / captureCredits / releaseCredits have in-memory defaults
+   * and only need replacing when pricing or holds live on the backend;
+   * reportTelemetry defaults to the `telemetry` event and option, reportLogs
+   * to the `log` event and the host's logger.
+   */
+  setHandler(name, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for ${name} must be a function`);
+    }
+    this.handlers.set(name, handler);
+  }
+
+  removeHandler(name) {
+    this.handlers.delete(name);
+  }
+
+  async handleAppMessage(event) {
+    const message = event.data;
+
+    if (!this.isAppMessage(event)) {
+      return;
+    }
+
+    const rejection = await this.verifyMessage(message);
+    if (rejection) {
+      this.log('Rejected app message:', message.type, rejection);
+      this.triggerEvent('invalidMessage', { type: message.type, reason: rejection });
+      return;
+    }
+
+    let payload = message.payload;
+    if (message.encrypted) {
+      if (!this.encryption) {
+        this.triggerEvent('invalidMessage', { type: message.type, reason: 'encryption' });
+        return;
+      }
+
+      try {
+        payload = JSON.parse(await this.encryption.decrypt(payload, { type: message.type }));
+      } catch (error) {
+        this.errorHandler.logError(error, { operation: 'message_decryption', type: message.type });
+        this.triggerEvent('invalidMessage', { type: message.type, reason: 'decryption' });
+        return;
+      }
+    }
+
+    this.log('Received app message:', message.type);
+
+    if (message.type !== 'HANDSHAKE' && this.rateLimiter) {
+      const rateLimit = await this.rateLimiter.consume(message.appId);
+      if (!rateLimit.allowed) {
+        await this.rejectRateLimited(message, rateLimit);
+        return;
+      }
+    }
+
+    this.triggerEvent('request', { type: message.type, payload, requestId: message.requestId });
+
+    const route = HOST_ROUTES[message.type];
+    let handlerName = route ? route.handler : message.type;
+
+    // Estimates never reach the charging handler
+    if (handlerName === 'deductCredits' && payload && payload.estimation) {
+      handlerName = 'estimateCredits';
+    }
+    const responseType = route ? route.response : `${message.type}_RESPONSE`;
+
+    let responsePayload;
+    try {
+      responsePayload = await this.routeRequest(handlerName, payload, {
+        appId: message.appId,
+        type: message.type,
+        requestId: message.requestId,
+        origin: event.origin
+      });
+    } catch (error) {
+      this.errorHandler.logError(error, { operation: 'host_handler', type: message.type });
+      // `code` and `retryable` let the SDK rebuild a typed error
+      responsePayload = toErrorPayload(error);
+    }
+
+    // Fire-and-forget messages get no reply
+    if (message.requestId === null || message.requestId === undefined) {
+      return;
+    }
+
+    await this.postToApp(responseType, responsePayload, message.requestId, message.encrypted);
+  }
+
+  async routeRequest(handlerName, payload, context) {
+    const handler = this.handlers.get(handlerName);
+    if (!handler) {
+      throw new ProtocolError(`No handler registered for ${context.type}`, { code: ERROR_CODES.NO_HANDLER });
+    }
+
+    const idempotencyKey = IDEMPOTENT_HANDLERS.has(handlerName) && payload && payload.idempotency_key;
+    if (idempotencyKey) {
+      return this.runIdempotent(idempotencyKey, async () => {
+        const result = await handler(payload, { ...context, idempotencyKey });
+        return RESPONSE_SHAPERS[handlerName](result, payload);
+      });
+    }
+
+    const result = await handler(payload, context);
+    const shape = RESPONSE_SHAPERS[handlerName];
+    return shape ? shape(result, payload) : result;
+  }
+
+  /**
+   * Run `operation` once per key. Concurrent and later duplicates share the
+   * first result; failures are forgotten so the caller can retry.
+   */
+  runIdempotent(key, operation) {
+    const now = Date.now();
+    for (const [storedKey, entry] of this.idempotentResults) {
+      if (now - entry.storedAt > this.idempotencyTtl) {
+        this.idempotentResults.delete(storedKey);
+      }
+    }
+
+    const existing = this.idempotentResults.get(key);
+    if (existing) {
+      this.log('Replaying result for idempotency key', key);
+      return existing.promise;
+    }
+
+    const promise = operation();
+    this.idempotentResults.set(key, { promise, storedAt: now });
+    if (this.idempotentResults.size > this.maxIdempotentResults) {
+      this.idempotentResults.delete(this.idempotentResults.keys().next().value);
+    }
+
+    promise.catch(() => this.idempotentResults.delete(key));
+    return promise;
+  }
+
+  /**
+   * Default reserveCredits handler: hold credits against the balance reported
+   * by getCreditBalance (if registered)
+   */
+  async reserveCredits(payload = {}, context = {}) {
+    let availableCredits = null;
+    if (this.handlers.has('getCreditBalance')) {
+      const balance = await this.routeRequest('getCreditBalance', {}, { ...context, type: 'CHECK_CREDIT_BALANCE' });
+      availableCredits = balance.total_balance;
+    }
+
+    const reservation = this.reservations.reserve({
+      cost: payload.cost,
+      description: payload.description,
+      ttlMs: payload.ttl_ms
+    }, availableCredits);
+
+    this.log('Reserved credits:', reservation.id, reservation.credits);
+    this.triggerEvent('creditsReserved', { ...reservation });
+
+    return {
+      reservation_id: reservation.id,
+      credits_reserved: reservation.credits,
+      expires_at: new Date(reservation.expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Default captureCredits handler: charge up to the held amount through the
+   * deductCredits handler, keyed by the reservation id so retries charge once
+   */
+  async captureCredits(payload = {}, context = {}) {
+    const reservation = this.reservations.get(payload.reservation_id);
+    if (reservation.status === 'captured') {
+      return reservation.result;
+    }
+
+    const cost = payload.cost === undefined ? reservation.cost : payload.cost;
+    if (typeof cost !== 'number' || cost < 0 || cost > reservation.cost) {
+      throw new ProtocolError('Capture amount must be between 0 and the reserved amount', {
+        details: { cost, reserved: reservation.cost }
+      });
+    }
+
+    let charge = { credits_deducted: 0 };
+    if (cost > 0) {
+      charge = await this.routeRequest('deductCredits', {
+        cost,
+        description: reservation.description,
+        type: 'app_usage',
+        estimation: false,
+        idempotency_key: reservation.id
+      }, { ...context, type: 'DEDUCT_CREDITS' });
+    }
+
+    const creditsDeducted = charge.credits_deducted === undefined
+      ? this.calculateCreditCost(cost)
+      : charge.credits_deducted;
+
+    const result = {
+      ...charge,
+      reservation_id: reservation.id,
+      credits_deducted: creditsDeducted,
+      credits_released: Math.max(0, reservation.credits - creditsDeducted)
+    };
+    this.reservations.markCaptured(reservation, result);
+
+    this.log('Captured reservation:', reservation.id, creditsDeducted);
+    this.triggerEvent('creditsCaptured', { ...reservation });
+    return result;
+  }
+
+  /**
+   * Default releaseCredits handler; releasing twice is a no-op
+   */
+  releaseCredits(payload = {}) {
+    const creditsReleased = this.reservations.release(payload.reservation_id);
+    if (creditsReleased > 0) {
+      this.log('Released reservation:', payload.reservation_id);
+      this.triggerEvent('creditsReleased', { id: payload.reservation_id, credits: creditsReleased });
+    }
+    return { reservation_id: payload.reservation_id, credits_released: creditsReleased };
+  }
+
+  /**
+   * Default reportTelemetry handler: fires `telemetry` and forwards the app's
+   * (already scrubbed) error reports to the host's own telemetry transports
+   */
+  reportTelemetry(payload = {}, context = {}) {
+    const events = Array.isArray(payload.events) ? payload.events : [];
+    this.triggerEvent('telemetry', { appId: context.appId, events });
+
+    if (this.telemetry) {
+      this.telemetry.enqueue(events.map(event => ({ ...event, source: 'app', appId: context.appId })));
+    }
+    return { accepted: events.length };
+  }
+
+  /**
+   * Default reportLogs handler: fires `log` and replays the app's (already
+   * redacted) records through the host logger under the `app` namespace
+   */
+  reportLogs(payload = {}, context = {}) {
+    const entries = (Array.isArray(payload.entries) ? payload.entries : [])
+      .filter(entry => entry && entry.level !== 'silent' && LOG_LEVELS[entry.level] !== undefined);
+    this.triggerEvent('log', { appId: context.appId, entries });
+
+    const appLogger = this.logger.child('app');
+    for (const entry of entries) {
+      appLogger.write(entry.level, `[${entry.namespace}] ${entry.message}`, Array.isArray(entry.data) ? entry.data : []);
+    }
+    return { accepted: entries.length };
+  }
+
+  /**
+   * Default resizeFrame handler: fit the frame to the app's content in 'auto' mode
+   */
+  resizeFrame(payload = {}) {
+    if (!this.layout) return {};
+
+    const height = this.layout.applyContentSize(payload);
+    this.triggerEvent('frameResized', { width: payload.width, height, mode: this.layout.mode });
+    return {};
+  }
+
+  /**
+   * Default setDisplayMode handler: restyle the frame and answer with the new viewport
+   */
+  applyDisplayMode(payload = {}) {
+    if (!this.layout) {
+      throw new ProtocolError('No app iframe attached');
+    }
+
+    const mode = this.layout.setMode(payload.mode, { height: payload.height });
+    const viewport = this.layout.getViewport();
+    this.lastViewport = viewport;
+    this.log('Display mode:', mode);
+    this.triggerEvent('displayModeChanged', { mode, height: this.layout.fixedHeight, viewport });
+    return { mode, viewport };
+  }
+
+  /**
+   * Change the display mode from the host page (e.g. to close a modal on
+   * Escape) and tell the app
+   */
+  async setDisplayMode(mode, options = {}) {
+    const { viewport } = await this.routeRequest('setDisplayMode', { mode, height: options.height }, {
+      appId: this.options.appId,
+      type: 'SET_DISPLAY_MODE',
+      requestId: null,
+      origin: window.location.origin
+    });
+    if (viewport) {
+      await this.send('VIEWPORT_UPDATE', viewport);
+    }
+    return viewport;
+  }
+
+  /**
+   * Move the app to one of its routes (e.g. from the host's own menu); the
+   * host URL gets a new history entry
+   */
+  navigate(path) {
+    return this.routes.navigate(path);
+  }
+
+  /**
+   * App route in the host URL (`routeParam`), for iframes created without mount()
+   */
+  getInitialPath() {
+    return this.routes.getInitialPath();
+  }
+
+  scheduleViewportUpdate() {
+    if (this.viewportTimer) return;
+
+    this.viewportTimer = setTimeout(() => {
+      this.viewportTimer = null;
+      this.sendViewport();
+    }, this.options.viewportThrottleMs || 100);
+    this.resourceManager.addTimeout(this.viewportTimer);
+  }
+
+  /**
+   * Push the frame and window size to the app if they changed since the last push
+   */
+  sendViewport() {
+    if (!this.layout) {
+      return Promise.resolve();
+    }
+
+    const viewport = this.layout.getViewport();
+    const last = this.lastViewport;
+    if (last && ['width', 'height', 'mode', 'window_width', 'window_height'].every(key => last[key] === viewport[key])) {
+      return Promise.resolve();
+    }
+
+    this.lastViewport = viewport;
+    return this.send('VIEWPORT_UPDATE', viewport);
+  }
+
+  /**
+   * Default issueSession handler: a token for the user getUserProfile reports
+   * (never for a user id the app claims), with `sessionScopes`
+   */
+  async issueSession(payload = {}, context = {}) {
+    let userId = null;
+    if (this.handlers.has('getUserProfile')) {
+      const profile = await this.routeRequest('getUserProfile', {}, { ...context, type: 'REQUEST_USER_PROFILE' });
+      userId = profile.user && profile.user.id !== undefined ? profile.user.id : null;
+    }
+
+    return this.auth.generateSessionToken(this.options.appId, userId, this.options.apiSecret, {
+      scopes: this.options.sessionScopes || []
+    });
+  }
+
+  /**
+   * Revoke a session token and tell the app to drop it
+   */
+  async revokeSession(token) {
+    await this.auth.revokeSession(token);
+    await this.send('SESSION_REVOKED', { jti: decodeSessionToken(token).jti });
+  }
+
+  /**
+   * USD to credits at the catalog's conversion rate
+   */
+  calculateCreditCost(usdAmount) {
+    if (typeof this.options.calculateCreditCost === 'function') {
+      return this.options.calculateCreditCost(usdAmount);
+    }
+    return this.pricing.usdToCredits(usdAmount);
+  }
+
+  /**
+   * Answer a request over quota with RATE_LIMITED, which the SDK retries
+   * after `retry_after_ms`
+   */
+  async rejectRateLimited(message, rateLimit) {
+    this.log('Rate limited app message:', message.type);
+    this.triggerEvent('rateLimited', {
+      type: message.type,
+      limit: rateLimit.limit,
+      resetAt: rateLimit.resetAt,
+      retryAfter: rateLimit.retryAfter
+    });
+
+    if (message.requestId === null || message.requestId === undefined) {
+      return;
+    }
+
+    const route = HOST_ROUTES[message.type];
+    await this.postToApp(route ? route.response : `${message.type}_RESPONSE`, {
+      error: 'Rate limit exceeded',
+      code: ERROR_CODES.RATE_LIMITED,
+      retryable: true,
+      retry_after_ms: rateLimit.retryAfter,
+      rate_limit: {
+        limit: rateLimit.limit,
+        remaining: 0,
+        reset_at: rateLimit.resetAt
+      }
+    }, message.requestId, message.encrypted);
+  }
+
+  /**
+   * Current quotas in wire format (`[{ max, window_ms, algorithm }]`), or null
+   */
+  getRateLimits() {
+    if (!this.rateLimiter) {
+      return null;
+    }
+    return this.rateLimiter.limits.map(({ max, windowMs, algorithm }) => ({ max, window_ms: windowMs, algorithm }));
+  }
+
+  /**
+   * Change the app's quotas and push them to the running app
+   */
+  async setRateLimits(limits) {
+    if (this.rateLimiter) {
+      this.rateLimiter.setLimits(limits);
+    } else {
+      this.rateLimiter = new RateLimiter({ limits });
+    }
+    await this.send('RATE_LIMIT_UPDATE', { limits: this.getRateLimits() });
+  }
+
+  /**
+   * Change prices or the conversion rate and push them to the running app
+   */
+  async setPricing(catalog) {
+    this.pricing.update(catalog);
+    await this.send('PRICING_UPDATE', this.pricing.toJSON());
+  }
+
+  isAppMessage(event) {
+    const message = event.data;
+
+    if (!this.iframe || event.source !== this.iframe.contentWindow) {
+      return false;
+    }
+
+    if (this.options.appOrigin && event.origin !== this.options.appOrigin) {
+      this.log('Rejected message from unexpected origin:', event.origin);
+      this.triggerEvent('originRejected', { origin: event.origin, type: message && message.type, reason: 'origin_mismatch' });
+      return false;
+    }
+
+    return message &&
+           typeof message === 'object' &&
+           message.type &&
+           message.timestamp &&
+           message.source === 'iframe' &&
+           message.appId === this.options.appId;
+  }
+
+  /**
+   * Returns null for an authentic, fresh message, otherwise the rejection reason
+   */
+  async verifyMessage(message) {
+    if (!(await verifyMessageSignature(message, this.options.apiSecret))) {
+      return 'signature';
+    }
+    return this.replayGuard.check(message);
+  }
+
+  /**
+   * Push an unsolicited message (e.g. a profile update) to the app
+   */
+  send(type, payload = {}) {
+    return this.postToApp(type, payload, null, this.options.enableEncryption);
+  }
+
+  async postToApp(type, payload, requestId, encrypt) {
+    if (!this.iframe || !this.iframe.contentWindow) {
+      this.log('Cannot reply - no app iframe attached');
+      return;
+    }
+
+    const timestamp = Date.now();
+    let messagePayload = payload;
+    let encrypted = false;
+
+    if (encrypt && this.encryption && this.options.enableEncryption) {
+      try {
+        messagePayload = await this.encryption.encrypt(JSON.stringify(payload), { type });
+        encrypted = true;
+      } catch (error) {
+        this.errorHandler.logError(error, { operation: 'message_encryption', type });
+      }
+    }
+
+    const message = {
+      type,
+      payload: messagePayload,
+      timestamp: new Date(timestamp).toISOString(),
+      source: 'parent',
+      requestId,
+      nonce: generateNonce(),
+      encrypted,
+      appId: this.options.appId
+    };
+    message.signature = await signMessage(message, this.options.apiSecret);
+
+    this.log('Replying to app:', type);
+    this.iframe.contentWindow.postMessage(message, this.options.appOrigin || '*');
+  }
+
+  // Event system
+  addEventListener(event, handler) {
+    if (!this.eventListeners) {
+      this.eventListeners = new Map();
+    }
+
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+
+    this.eventListeners.get(event).push(handler);
+  }
+
+  removeEventListener(event, handler) {
+    if (!this.eventListeners || !this.eventListeners.has(event)) {
+      return;
+    }
+
+    const handlers = this.eventListeners.get(event);
+    const index = handlers.indexOf(handler);
+    if (index > -1) {
+      handlers.splice(index, 1);
+    }
+  }
+
+  triggerEvent(event, data) {
+    if (!this.eventListeners || !this.eventListeners.has(event)) {
+      return;
+    }
+
+    this.eventListeners.get(event).forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        this.errorHandler.logError(error, { operation: 'event_handler', event });
+      }
+    });
+  }
+
+  log(...args) {
+    this.logger.debug(...args);
+  }
+
+  destroy() {
+    if (this.telemetry) {
+      this.telemetry.destroy();
+    }
+    this.logger.destroy();
+    this.resourceManager.cleanup();
+    this.handlers.clear();
+    this.replayGuard.clear();
+    this.idempotentResults.clear();
+    this.reservations.clear();
+
+    if (this.eventListeners) {
+      this.eventListeners.clear();
+    }
+
+    this.iframe = null;
+    this.layout = null;
+    this.viewportTimer = null;
+    this.isListening = false;
+
+    this.log('Host destroyed and cleaned up');
+  }
+}
+
+export const createVentureVerseHost = (options) => new VentureVerseHost(options);
+
+export default VentureVerseHost;
@@ -0,0 +1,190 @@
+/**
+ * Iframe layout for VentureVerse SDK (`sdk.iframe`)
+ *
+ * - Content size: a ResizeObserver on the document reports the app's size to
+ *   the host as IFRAME_RESIZE, so in 'auto' mode the host sizes the frame to
+ *   fit and the page keeps a single scrollbar
+ * - Display modes: the app asks for 'auto', 'fullscreen', 'modal' or 'fixed'
+ *   (a given height) with SET_DISPLAY_MODE
+ * - Viewport: the host sends the frame's size and its own window size with
+ *   the handshake ack and as VIEWPORT_UPDATE whenever either changes
+ */
+
+export const DISPLAY_MODES = ['auto', 'fullscreen', 'modal', 'fixed'];
+
+export class IframeLayout {
+  constructor(sdk, options = {}) {
+    this.sdk = sdk;
+    this.autoResize = options.autoResize !== false;
+    this.throttleMs = options.resizeThrottleMs || 200;
+    this.mode = 'auto';
+    this.viewport = null;
+    this.reportedSize = null;
+    this.callbacks = new Set();
+    this.observer = null;
+    this.reportTimer = null;
+  }
+
+  /**
+   * Start reporting content size; the SDK calls this after the handshake
+   */
+  start() {
+    if (!this.autoResize || this.observer || typeof document === 'undefined') {
+      return;
+    }
+
+    const schedule = () => this.scheduleReport();
+    if (typeof ResizeObserver !== 'undefined') {
+      this.observer = new ResizeObserver(schedule);
+      this.observer.observe(document.documentElement);
+    } else {
+      // Without ResizeObserver, content changes are only noticed on load and window resize
+      this.sdk.resourceManager.addEventListener(window, 'load', schedule);
+      this.sdk.resourceManager.addEventListener(window, 'resize', schedule);
+      this.observer = { disconnect() {} };
+    }
+
+    this.sdk.resourceManager.addResource(this);
+    this.reportSize();
+  }
+
+  /**
+   * Size of the document's content. Apps whose html/body are `height: 100%`
+   * report the frame's height instead, so 'auto' mode cannot grow them.
+   */
+  measure() {
+    const rect = document.documentElement.getBoundingClientRect();
+    return { width: Math.ceil(rect.width), height: Math.ceil(rect.height) };
+  }
+
+  scheduleReport() {
+    if (this.reportTimer) return;
+
+    this.reportTimer = setTimeout(() => {
+      this.reportTimer = null;
+      this.reportSize();
+    }, this.throttleMs);
+  }
+
+  /**
+   * Send the content size to the host if it changed since the last report.
+   * Only 'auto' mode reports: in the other modes the host sets the size.
+   */
+  reportSize({ force = false } = {}) {
+    if (this.mode !== 'auto' || !this.sdk.isIframeMode || !this.sdk.parentOrigin) {
+      return Promise.resolve(null);
+    }
+
+    const size = this.measure();
+    if (!force && this.reportedSize &&
+        size.width === this.reportedSize.width && size.height === this.reportedSize.height) {
+      return Promise.resolve(null);
+    }
+
+    this.reportedSize = size;
+    return this.sdk.sendSecureMessage('IFRAME_RESIZE', size).catch((error) => {
+      // The next content change reports again
+      this.reportedSize = null;
+      this.sdk.loggers.transport.debug('Could not report content size:', error.message);
+    });
+  }
+
+  /**
+   * Ask the host for a display mode. `options.height` (px) is required for
+   * 'fixed'. Resolves to `{ mode, viewport }` as applied by the host.
+   */
+  async setDisplayMode(mode, options = {}) {
+    if (!DISPLAY_MODES.includes(mode)) {
+      throw new Error(`Unknown display mode: ${mode}`);
+    }
+    if (mode === 'fixed' && !(options.height > 0)) {
+      throw new Error("Display mode 'fixed' needs a positive height");
+    }
+
+    if (!this.sdk.isIframeMode) {
+      this.mode = mode;
+      return { mode, viewport: this.viewport };
+    }
+
+    const response = await this.sdk.sendSecureMessage('SET_DISPLAY_MODE', {
+      mode,
+      height: mode === 'fixed' ? options.height : undefined
+    }, true);
+
+    if (response && response.viewport) {
+      this.handleViewport(response.viewport);
+    } else {
+      this.mode = (response && response.mode) || mode;
+    }
+
+    // The host sized the frame for another mode until now
+    if (this.mode === 'auto') {
+      this.reportSize({ force: true });
+    }
+    return { mode: this.mode, viewport: this.viewport };
+  }
+
+  requestFullscreen() {
+    return this.setDisplayMode('fullscreen');
+  }
+
+  requestModal() {
+    return this.setDisplayMode('modal');
+  }
+
+  setFixedHeight(height) {
+    return this.setDisplayMode('fixed', { height });
+  }
+
+  /**
+   * Back to 'auto': the frame follows the content size again
+   */
+  exitDisplayMode() {
+    return this.setDisplayMode('auto');
+  }
+
+  /**
+   * Call `callback(width, height, viewport)` when the host changes the space
+   * it gives the app. Returns a function that removes the callback.
+   */
+  onResize(callback) {
+    this.callbacks.add(callback);
+    return () => this.callbacks.delete(callback);
+  }
+
+  /**
+   * Apply a viewport from the handshake ack, a VIEWPORT_UPDATE or a
+   * SET_DISPLAY_MODE response: `{ width, height, mode, window_width, window_height }`
+   */
+  handleViewport(viewport = {}) {
+    if (typeof viewport.width !== 'number' || typeof viewport.height !== 'number') {
+      return;
+    }
+
+    this.viewport = viewport;
+    if (DISPLAY_MODES.includes(viewport.mode)) {
+      this.mode = viewport.mode;
+    }
+
+    for (const callback of this.callbacks) {
+      try {
+        callback(viewport.width, viewport.height, viewport);
+      } catch (error) {
+        this.sdk.errorHandler.logError(error, { operation: 'resize_callback' });
+      }
+    }
+    this.sdk.triggerEvent('viewportChanged', viewport);
+  }
+
+  cleanup() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    if (this.reportTimer) {
+      clearTimeout(this.reportTimer);
+      this.reportTimer = null;
+    }
+    this.callbacks.clear();
+  }
+}
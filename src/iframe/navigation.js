@@ -0,0 +1,258 @@
+/**
+ * Route synchronization for VentureVerse SDK (`sdk.navigation`)
+ *
+ * - The app reports its route as ROUTE_CHANGED; the host mirrors it in its own
+ *   URL, so views can be bookmarked and shared
+ * - A deep link arrives at launch as the `vv_path` param
+ * - The host sends NAVIGATE when its back/forward buttons (or its own code)
+ *   move to another app route
+ *
+ * Routes are paths within the app (`/projects/42?tab=files#notes`), never full
+ * URLs, so neither side can be made to navigate to another site.
+ */
+
+import { LAUNCH_TOKEN_PARAM } from '../security/launch-tokens.js';
+
+export const ROUTE_PARAM = 'vv_path';
+
+const MAX_PATH_LENGTH = 2048;
+
+/**
+ * Whether `path` is an app-relative route: starts with a single '/'
+ */
+export function isAppPath(path) {
+  return typeof path === 'string' &&
+    path.length <= MAX_PATH_LENGTH &&
+    path.startsWith('/') &&
+    !path.startsWith('//') &&
+    !path.includes('\\');
+}
+
+export class AppNavigation {
+  constructor(sdk) {
+    this.sdk = sdk;
+    this.callbacks = new Set();
+    this.currentPath = null;
+    this.reportedPath = null;
+    this.adapter = null;
+    this.initialPath = null;
+
+    if (typeof window !== 'undefined' && window.location) {
+      const path = new URLSearchParams(window.location.search).get(ROUTE_PARAM);
+      this.initialPath = isAppPath(path) ? path : null;
+    }
+  }
+
+  /**
+   * Send the route reported before the handshake; the SDK calls this once
+   * the parent origin is pinned
+   */
+  start() {
+    if (this.currentPath && this.currentPath !== this.reportedPath) {
+      this.send({ path: this.currentPath, replace: true });
+    }
+  }
+
+  /**
+   * Tell the host the app is now at `path`. `replace` updates the host's
+   * current history entry instead of adding one (redirects, filters).
+   */
+  reportRoute(path, { title, replace = false } = {}) {
+    if (!isAppPath(path)) {
+      throw new Error(`Route must be a path starting with '/': ${path}`);
+    }
+    if (path === this.currentPath) {
+      return Promise.resolve(null);
+    }
+
+    this.currentPath = path;
+    return this.send({ path, title, replace });
+  }
+
+  send(payload) {
+    if (!this.sdk.isIframeMode || !this.sdk.parentOrigin) {
+      return Promise.resolve(null);
+    }
+
+    this.reportedPath = payload.path;
+    return this.sdk.sendSecureMessage('ROUTE_CHANGED', payload).catch((error) => {
+      this.reportedPath = null;
+      this.sdk.loggers.transport.debug('Could not report route:', error.message);
+    });
+  }
+
+  /**
+   * Call `callback(path, { reason })` when the host moves the app to another
+   * route; reason is 'history' (back/forward) or 'host'. Returns a function
+   * that removes the callback.
+   */
+  onNavigate(callback) {
+    this.callbacks.add(callback);
+    return () => this.callbacks.delete(callback);
+  }
+
+  handleNavigate(payload = {}) {
+    if (!isAppPath(payload.path)) {
+      this.sdk.loggers.transport.warn('Ignoring NAVIGATE to a non-app path:', payload.path);
+      return;
+    }
+
+    // The host is already there, so the app's own report of this route is not sent back
+    this.currentPath = payload.path;
+    this.reportedPath = payload.path;
+
+    const info = { reason: payload.reason || 'host' };
+    for (const callback of this.callbacks) {
+      try {
+        callback(payload.path, info);
+      } catch (error) {
+        this.sdk.errorHandler.logError(error, { operation: 'navigate_callback' });
+      }
+    }
+    this.sdk.triggerEvent('navigate', { path: payload.path, ...info });
+  }
+
+  /**
+   * Keep a History API router (pushState/popstate) in sync with the host.
+   * See HistoryRouterAdapter for options.
+   */
+  useHistory(options = {}) {
+    if (this.adapter) {
+      this.adapter.stop();
+    }
+    this.adapter = new HistoryRouterAdapter(this, options);
+    this.adapter.start();
+    return this.adapter;
+  }
+
+  cleanup() {
+    if (this.adapter) {
+      this.adapter.stop();
+      this.adapter = null;
+    }
+    this.callbacks.clear();
+  }
+}
+
+/**
+ * Bridges a router that uses `history.pushState` and `popstate`.
+ *
+ * Inside the platform the host owns the browser history: the app's
+ * pushState calls become replaceState, and the host adds the entry instead.
+ * Otherwise every route change would need two presses of Back, one for the
+ * iframe's entry and one for the host's.
+ *
+ * Host navigation (and the launch deep link) is applied through `navigate`
+ * when given, the router's own API: `path => router.navigate(path, { replace: true })`
+ * for React Router 6.4+ data routers, `path => router.replace(path)` for Vue
+ * Router 4. Without it the URL is replaced, keeping `history.state`, and a
+ * popstate is dispatched; that suits routers which re-read `window.location`
+ * on popstate (React Router's BrowserRouter, plain popstate listeners) but
+ * leaves them the previous entry's location state.
+ *
+ * Start it after initialize(): applying the launch deep link rewrites the URL.
+ *
+ * Options: `navigate(path)`, `basePath` the app is served under (default ''),
+ * `window`.
+ */
+export class HistoryRouterAdapter {
+  constructor(navigation, options = {}) {
+    this.navigation = navigation;
+    this.window = options.window || window;
+    this.navigate = options.navigate || null;
+    this.basePath = (options.basePath || '').replace(/\/$/, '');
+    this.original = null;
+    this.stopNavigate = null;
+    this.isNavigating = false;
+    this.onPopState = () => {
+      if (!this.isNavigating) {
+        this.report({ replace: false });
+      }
+    };
+  }
+
+  start() {
+    const { history } = this.window;
+    const navigation = this.navigation;
+    const inIframe = navigation.sdk.isInIframe();
+    this.original = { pushState: history.pushState, replaceState: history.replaceState };
+    const replaceState = this.original.replaceState.bind(history);
+
+    history.pushState = (state, title, url) => {
+      (inIframe ? replaceState : this.original.pushState.bind(history))(state, title, url);
+      this.report({ replace: false });
+    };
+    history.replaceState = (state, title, url) => {
+      replaceState(state, title, url);
+      this.report({ replace: true });
+    };
+    this.window.addEventListener('popstate', this.onPopState);
+    this.stopNavigate = navigation.onNavigate(path => this.go(path));
+
+    if (navigation.initialPath && navigation.initialPath !== this.getPath()) {
+      this.go(navigation.initialPath);
+      // The router reports the deep link once its replaceState lands
+      if (this.navigate) return;
+    }
+    this.report({ replace: true });
+  }
+
+  /**
+   * The current route, relative to basePath
+   */
+  getPath() {
+    const { pathname, search, hash } = this.window.location;
+    const path = this.basePath && pathname.startsWith(this.basePath)
+      ? pathname.slice(this.basePath.length) || '/'
+      : pathname;
+    return `${path}${search}${hash}`;
+  }
+
+  /**
+   * Show `path` without adding a history entry, and let the router render it
+   */
+  go(path) {
+    if (this.navigate) {
+      // The router replaces the URL itself; reporting that route back is a no-op
+      Promise.resolve()
+        .then(() => this.navigate(path))
+        .catch(error => this.navigation.sdk.errorHandler.logError(error, { operation: 'router_navigate' }));
+      return;
+    }
+
+    const { history } = this.window;
+    const state = history.state;
+    this.original.replaceState.call(history, state, '', `${this.basePath}${path}`);
+    const PopState = this.window.PopStateEvent;
+    this.isNavigating = true;
+    try {
+      this.window.dispatchEvent(PopState ? new PopState('popstate', { state }) : new Event('popstate'));
+    } finally {
+      this.isNavigating = false;
+    }
+  }
+
+  report({ replace }) {
+    const path = this.getPath();
+    // Launch params are not part of the route
+    const url = new URL(path, 'https://app.invalid');
+    url.searchParams.delete(ROUTE_PARAM);
+    url.searchParams.delete('iframe_mode');
+    url.searchParams.delete(LAUNCH_TOKEN_PARAM);
+    const route = `${url.pathname}${url.search}${url.hash}`;
+
+    return this.navigation.reportRoute(route, {
+      title: this.window.document ? this.window.document.title : undefined,
+      replace
+    });
+  }
+
+  stop() {
+    if (!this.original) return;
+
+    Object.assign(this.window.history, this.original);
+    this.window.removeEventListener('popstate', this.onPopState);
+    this.stopNavigate();
+    this.original = null;
+  }
+}
@@ -0,0 +1,322 @@
+/**
+ * Structured logging for VentureVerse SDK
+ *
+ * - Levels: debug < info < warn < error (< silent)
+ * - Namespaces: child loggers (auth, transport, credits, crypto) share their
+ *   root's level and sinks
+ * - Redaction before any sink sees a record: secrets, tokens, signatures and
+ *   API keys by key name or shape, encrypted envelopes, and Error objects
+ *   reduced to name/message/code
+ * - Sinks: console, in-memory ring buffer, host forwarding, or any function
+ *   `(record) => void` / object with `write(record)`
+ *
+ * A record is `{ timestamp, level, namespace, message, data }`.
+ */
+
+import { PIIScrubber } from '../telemetry/pii-scrubber.js';
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+const CONSOLE_METHODS = {
+  debug: 'log',
+  info: 'info',
+  warn: 'warn',
+  error: 'error'
+};
+
+const MAX_DEPTH = 6;
+
+function levelValue(level) {
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  return LOG_LEVELS[level];
+}
+
+function isEnvelope(value) {
+  return typeof value.encrypted === 'string' && (value.authTag !== undefined || value.iv !== undefined);
+}
+
+function isEnvelopeString(value) {
+  return value.startsWith('{') && value.includes('"encrypted"') && value.includes('"authTag"');
+}
+
+/**
+ * Copies log arguments with secrets and ciphertext removed
+ */
+export class LogRedactor {
+  constructor(options = {}) {
+    this.scrubber = options.scrubber || new PIIScrubber({ sensitiveKeys: options.sensitiveKeys });
+    // Stacks are kept for debug output only
+    this.includeStack = options.includeStack || false;
+  }
+
+  redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+      return isEnvelopeString(value) ? '[encrypted]' : this.scrubber.scrubString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (depth >= MAX_DEPTH || seen.has(value)) {
+      return '[truncated]';
+    }
+    seen.add(value);
+
+    if (value instanceof Error) {
+      const summary = { name: value.name, message: this.scrubber.scrubString(value.message) };
+      if (value.code !== undefined) summary.code = value.code;
+      if (this.includeStack && value.stack) summary.stack = this.scrubber.scrubString(value.stack);
+      return summary;
+    }
+    if (isEnvelope(value)) {
+      return '[encrypted]';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, depth + 1, seen));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = this.scrubber.isSensitiveKey(key) && item !== null && item !== undefined
+        ? '[redacted]'
+        : this.redact(item, depth + 1, seen);
+    }
+    return result;
+  }
+}
+
+/**
+ * Prints records with a `[prefix:namespace]` tag
+ */
+export function createConsoleSink({ prefix = 'VentureVerse' } = {}) {
+  return {
+    name: 'console',
+    write(record) {
+      const method = CONSOLE_METHODS[record.level] || 'log';
+      console[method](`[${prefix}:${record.namespace}]`, record.message, ...(record.data || []));
+    }
+  };
+}
+
+/**
+ * Keeps the last `size` records in memory, e.g. for a support "copy logs" button
+ */
+export class RingBufferSink {
+  constructor(size = 200) {
+    this.name = 'memory';
+    this.size = size;
+    this.records = [];
+  }
+
+  write(record) {
+    this.records.push(record);
+    if (this.records.length > this.size) {
+      this.records.shift();
+    }
+  }
+
+  /**
+   * Records at or above `level`, optionally for one namespace
+   */
+  getEntries({ level = 'debug', namespace } = {}) {
+    const min = levelValue(level);
+    return this.records.filter(record => (
+      LOG_LEVELS[record.level] >= min && (!namespace || record.namespace === namespace)
+    ));
+  }
+
+  clear() {
+    this.records = [];
+  }
+}
+
+/**
+ * Forwards records at or above `level` (default warn) to the host page as
+ * REPORT_LOGS, at most one message per `flushInterval`
+ */
+export class HostLogSink {
+  constructor(sdk, options = {}) {
+    this.name = 'host';
+    this.sdk = sdk;
+    this.minLevel = levelValue(options.level || 'warn');
+    this.flushInterval = options.flushInterval || 5000;
+    this.maxEntries = options.maxEntries || 100;
+    this.buffer = [];
+    this.flushTimer = null;
+  }
+
+  write(record) {
+    if (LOG_LEVELS[record.level] < this.minLevel) return;
+    if (this.buffer.length >= this.maxEntries) return;
+
+    this.buffer.push(record);
+    if (!this.flushTimer) {
+      // Records logged while sending wait for the next interval, so forwarding cannot loop
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush();
+      }, this.flushInterval);
+    }
+  }
+
+  flush() {
+    if (this.buffer.length === 0 || !this.sdk.isIframeMode || !this.sdk.parentOrigin) {
+      return Promise.resolve();
+    }
+
+    const entries = this.buffer;
+    this.buffer = [];
+    return this.sdk.sendSecureMessage('REPORT_LOGS', { entries }).catch(() => {
+      // Nowhere left to report a failure to forward logs
+    });
+  }
+
+  destroy() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    return this.flush();
+  }
+}
+
+export class Logger {
+  constructor(options = {}) {
+    this.namespace = options.namespace || 'sdk';
+    // Shared by a root logger and all of its children
+    this.config = options.config || {
+      level: levelValue(options.level || 'warn'),
+      levelName: options.level || 'warn',
+      sinks: (options.sinks || [createConsoleSink()]).map(sink => (
+        typeof sink === 'function' ? { write: sink } : sink
+      )),
+      redactor: options.redactor || new LogRedactor({
+        sensitiveKeys: options.sensitiveKeys,
+        includeStack: options.level === 'debug'
+      })
+    };
+    this.children = new Map();
+  }
+
+  /**
+   * Logger for a sub-namespace, e.g. `sdk.child('credits')`
+   */
+  child(namespace) {
+    if (!this.children.has(namespace)) {
+      this.children.set(namespace, new Logger({ namespace, config: this.config }));
+    }
+    return this.children.get(namespace);
+  }
+
+  get level() {
+    return this.config.levelName;
+  }
+
+  setLevel(level) {
+    this.config.level = levelValue(level);
+    this.config.levelName = level;
+    this.config.redactor.includeStack = level === 'debug';
+  }
+
+  isEnabled(level) {
+    return LOG_LEVELS[level] >= this.config.level;
+  }
+
+  addSink(sink) {
+    this.config.sinks.push(typeof sink === 'function' ? { write: sink } : sink);
+  }
+
+  removeSink(sink) {
+    this.config.sinks = this.config.sinks.filter(entry => entry !== sink && entry.write !== sink);
+  }
+
+  getSink(name) {
+    return this.config.sinks.find(sink => sink.name === name) || null;
+  }
+
+  debug(message, ...data) {
+    this.write('debug', message, data);
+  }
+
+  info(message, ...data) {
+    this.write('info', message, data);
+  }
+
+  warn(message, ...data) {
+    this.write('warn', message, data);
+  }
+
+  error(message, ...data) {
+    this.write('error', message, data);
+  }
+
+  write(level, message, data) {
+    if (!this.isEnabled(level)) return;
+
+    const { redactor, sinks } = this.config;
+    const record = {
+      timestamp: new Date().toISOString(),
+      level,
+      namespace: this.namespace,
+      message: redactor.redact(message)
+    };
+    if (data.length > 0) {
+      record.data = data.map(item => redactor.redact(item));
+    }
+
+    for (const sink of sinks) {
+      try {
+        sink.write(record);
+      } catch (error) {
+        // A broken sink must not break the caller
+      }
+    }
+  }
+
+  /**
+   * Flush and stop sinks that hold timers (HostLogSink)
+   */
+  destroy() {
+    for (const sink of this.config.sinks) {
+      if (typeof sink.destroy === 'function') {
+        sink.destroy();
+      }
+    }
+  }
+}
+
+/**
+ * Build a root logger from SDK-style options. `sinks` may contain 'console',
+ * 'memory', 'host' (iframe SDK only), functions or sink objects.
+ */
+export function createLogger(options = {}, { sdk } = {}) {
+  if (options.logger instanceof Logger) {
+    return options.logger;
+  }
+
+  const sinks = (options.sinks || ['console']).map((spec) => {
+    if (spec === 'console') return createConsoleSink({ prefix: options.prefix });
+    if (spec === 'memory') return new RingBufferSink(options.bufferSize);
+    if (spec === 'host') {
+      if (!sdk) {
+        throw new Error("The 'host' log sink is only available in the iframe SDK");
+      }
+      return new HostLogSink(sdk);
+    }
+    return spec;
+  });
+
+  return new Logger({
+    namespace: options.namespace,
+    level: options.level,
+    sensitiveKeys: options.sensitiveKeys,
+    sinks
+  });
+}
@@ -0,0 +1,482 @@
+/**
+ * Local mock VentureVerse platform
+ *
+ * Stand-in for https://api.ventureverse.com during offline development and CI:
+ * - Real signature checking against VentureVerseAuth.generateSignature, or
+ *   generateRequestSignature for requests with a nonce
+ * - Configurable apps, users and credit balances
+ * - Error and latency injection per route
+ *
+ * Run it with `npm run mock-platform` or start it from code with startMockPlatform()
+ */
+
+import http from 'http';
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+import { VentureVerseAuth } from '../security/auth-system.js';
+import { PricingCatalog } from '../pricing/pricing-catalog.js';
+
+const DEFAULT_APP = {
+  appId: 'demo',
+  apiKey: 'vv_demo_key_12345',
+  apiSecret: 'vv_secret_demo_secret_67890',
+  name: 'Demo App',
+  status: 'dev'
+};
+
+const DEFAULT_USER = {
+  id: 1,
+  email: 'developer@example.com',
+  first_name: 'Local',
+  last_name: 'Developer',
+  tier_id: 2,
+  user_roles: ['founder'],
+  monthly_credit_balance: 800,
+  top_up_credit_balance: 200
+};
+
+export class MockPlatform {
+  constructor(options = {}) {
+    this.options = {
+      port: options.port ?? 4010,
+      host: options.host || '127.0.0.1',
+      maxClockSkewMs: options.maxClockSkewMs || 5 * 60 * 1000,
+      latency: options.latency || 0,
+      debug: options.debug || false,
+      ...options
+    };
+
+    this.auth = new VentureVerseAuth();
+    this.apps = new Map();
+    this.users = new Map();
+    this.activities = [];
+    this.idempotentResults = new Map();
+    this.pricing = PricingCatalog.from(options.pricing);
+    this.injectedErrors = [];
+    this.server = null;
+
+    for (const app of options.apps || [DEFAULT_APP]) {
+      this.addApp(app);
+    }
+    for (const user of options.users || [DEFAULT_USER]) {
+      this.addUser(user);
+    }
+    for (const [userId, balance] of Object.entries(options.balances || {})) {
+      this.setBalance(userId, balance);
+    }
+    for (const error of options.errors || []) {
+      this.injectError(error);
+    }
+  }
+
+  addApp(app) {
+    if (!app.appId || !app.apiSecret) {
+      throw new Error('Mock apps require appId and apiSecret');
+    }
+    this.apps.set(app.appId, { status: 'dev', name: app.appId, ...app });
+  }
+
+  addUser(user) {
+    this.users.set(String(user.id), {
+      monthly_credit_balance: 0,
+      top_up_credit_balance: 0,
+      user_roles: [],
+      ...user
+    });
+  }
+
+  setBalance(userId, { monthly_credit_balance, top_up_credit_balance }) {
+    const user = this.users.get(String(userId));
+    if (!user) {
+      throw new Error(`Unknown mock user ${userId}`);
+    }
+    if (monthly_credit_balance !== undefined) user.monthly_credit_balance = monthly_credit_balance;
+    if (top_up_credit_balance !== undefined) user.top_up_credit_balance = top_up_credit_balance;
+  }
+
+  /**
+   * Make a route fail with the given status. `times` limits how many requests fail
+   * (default: until cleared); `path` may be omitted to fail every route.
+   * `headers` are added to the response, e.g. `{ 'Retry-After': '2' }` with a 429.
+   */
+  injectError({ path = null, method = null, status = 500, body = null, headers = {}, times = Infinity }) {
+    this.injectedErrors.push({ path, method, status, body, headers, remaining: times });
+  }
+
+  clearErrors() {
+    this.injectedErrors = [];
+  }
+
+  /**
+   * Set a delay in ms for every route, or a map of path -> delay
+   */
+  setLatency(latency) {
+    this.options.latency = latency;
+  }
+
+  get url() {
+    if (!this.server) return null;
+    const { port } = this.server.address();
+    return `http://${this.options.host}:${port}`;
+  }
+
+  async start() {
+    if (this.server) {
+      return this;
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.log('Unhandled error:', error.message);
+        this.sendJSON(res, 500, { error: 'Internal mock error' });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, resolve);
+    });
+
+    this.log(`Mock platform listening on ${this.url}`);
+    return this;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => server.close(resolve));
+    this.log('Mock platform stopped');
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname;
+
+    if (req.method === 'OPTIONS') {
+      return this.sendJSON(res, 204, null);
+    }
+
+    await this.applyLatency(path);
+
+    const injected = this.takeInjectedError(req.method, path);
+    if (injected) {
+      this.log(`Injected ${injected.status} for ${req.method} ${path}`);
+      return this.sendJSON(res, injected.status, injected.body || { error: `Injected error ${injected.status}` }, injected.headers);
+    }
+
+    if (req.method === 'GET' && path === '/health') {
+      return this.sendJSON(res, 200, { status: 'ok' });
+    }
+
+    const body = await this.readBody(req);
+
+    if (req.method === 'POST' && path === '/v1/auth/validate') {
+      return this.handleValidate(req, res, body);
+    }
+
+    const app = await this.authenticate(req);
+    if (!app.valid) {
+      return this.sendJSON(res, 401, { error: app.error });
+    }
+
+    const userMatch = path.match(/^\/v1\/users\/([^/]+)(\/credits(\/deduct)?)?$/);
+    if (userMatch) {
+      const user = this.users.get(decodeURIComponent(userMatch[1]));
+      if (!user) {
+        return this.sendJSON(res, 404, { error: 'User not found' });
+      }
+
+      if (req.method === 'GET' && !userMatch[2]) {
+        return this.sendJSON(res, 200, { user });
+      }
+      if (req.method === 'GET' && !userMatch[3]) {
+        return this.sendJSON(res, 200, this.creditInfo(user));
+      }
+      if (req.method === 'POST' && userMatch[3]) {
+        return this.handleDeduct(req, res, app.app, user, body);
+      }
+    }
+
+    if (req.method === 'POST' && path === '/v1/activity') {
+      this.activities.push({ ...body, app_id: app.app.appId, received_at: new Date().toISOString() });
+      return this.sendJSON(res, 200, { success: true });
+    }
+
+    return this.sendJSON(res, 404, { error: `No mock route for ${req.method} ${path}` });
+  }
+
+  async handleValidate(req, res, body) {
+    const result = await this.authenticate(req);
+    if (!result.valid) {
+      this.log('Credential validation failed:', result.error);
+      return this.sendJSON(res, 401, { valid: false, error: result.error });
+    }
+
+    const { app } = result;
+    if (body && body.app_id && body.app_id !== req.headers['x-ventureverse-app-id']) {
+      return this.sendJSON(res, 400, { valid: false, error: 'app_id does not match signed header' });
+    }
+
+    return this.sendJSON(res, 200, {
+      valid: true,
+      app_info: { app_id: app.appId, name: app.name, status: app.status }
+    });
+  }
+
+  /**
+   * A repeated Idempotency-Key (header or `idempotency_key` field) gets the
+   * original status and body back without charging again
+   */
+  handleDeduct(req, res, app, user, body) {
+    body = body || {};
+    const idempotencyKey = req.headers['idempotency-key'] || body.idempotency_key;
+
+    if (!idempotencyKey) {
+      const { status, data } = this.deduct(user, body);
+      return this.sendJSON(res, status, data);
+    }
+
+    const cacheKey = `${app.appId}:${user.id}:${idempotencyKey}`;
+    const cached = this.idempotentResults.get(cacheKey);
+    if (cached) {
+      this.log('Replaying idempotent deduction', idempotencyKey);
+      return this.sendJSON(res, cached.status, cached.data);
+    }
+
+    const result = this.deduct(user, body);
+    if (result.status < 500) {
+      this.idempotentResults.set(cacheKey, result);
+    }
+    return this.sendJSON(res, result.status, result.data);
+  }
+
+  deduct(user, body) {
+    let cost = Number(body.cost);
+
+    // Catalog features are priced here, for the user's tier, not by the caller
+    if (body.feature && this.pricing.hasFeature(body.feature)) {
+      cost = this.pricing.quote(body.feature, {
+        quantity: body.quantity === undefined ? 1 : Number(body.quantity),
+        tierId: user.tier_id
+      }).cost;
+    } else if (Array.isArray(body.usage) && body.usage.length > 0 &&
+               body.usage.every(item => this.pricing.hasFeature(item.metric))) {
+      cost = body.usage.reduce((sum, item) => sum + this.pricing.quote(item.metric, {
+        quantity: Number(item.quantity),
+        tierId: user.tier_id
+      }).cost, 0);
+    }
+
+    if (!Number.isFinite(cost) || cost <= 0) {
+      return { status: 400, data: { success: false, error: 'cost must be a positive number' } };
+    }
+
+    const credits = this.pricing.usdToCredits(cost);
+    const available = user.monthly_credit_balance + user.top_up_credit_balance;
+
+    if (body.estimation) {
+      return { status: 200, data: { success: true, credits, cost, estimation: true } };
+    }
+
+    if (credits > available) {
+      return {
+        status: 402,
+        data: { success: false, error: 'Insufficient credits', code: 'INSUFFICIENT_CREDITS', required: credits, available }
+      };
+    }
+
+    const fromMonthly = Math.min(user.monthly_credit_balance, credits);
+    user.monthly_credit_balance -= fromMonthly;
+    user.top_up_credit_balance -= credits - fromMonthly;
+
+    return {
+      status: 200,
+      data: {
+        success: true,
+        credits_deducted: credits,
+        remaining_balance: {
+          monthly_credit_balance: user.monthly_credit_balance,
+          top_up_credit_balance: user.top_up_credit_balance
+        }
+      }
+    };
+  }
+
+  /**
+   * Check the X-VentureVerse-* headers the same way the real platform does.
+   * The app may be identified by its app ID or by its API key.
+   */
+  async authenticate(req) {
+    const appId = req.headers['x-ventureverse-app-id'];
+    const timestamp = req.headers['x-ventureverse-timestamp'];
+    const signature = req.headers['x-ventureverse-signature'];
+
+    if (!appId || !timestamp || !signature) {
+      return { valid: false, error: 'Missing required headers' };
+    }
+
+    const app = this.findApp(appId);
+    if (!app) {
+      return { valid: false, error: 'Unknown app' };
+    }
+
+    if (app.status === 'disabled') {
+      return { valid: false, error: 'App is disabled' };
+    }
+
+    const requestTime = parseInt(timestamp, 10);
+    if (!Number.isFinite(requestTime) || Math.abs(Date.now() - requestTime) > this.options.maxClockSkewMs) {
+      return { valid: false, error: 'Request timestamp expired' };
+    }
+
+    // A nonce means the request was signed with VentureVerseAuth.signRequest
+    const nonce = req.headers['x-ventureverse-nonce'];
+    const isValid = nonce
+      ? await this.auth.verifyRequestSignature({
+        appId,
+        timestamp,
+        nonce,
+        method: req.method,
+        path: req.url,
+        body: req.rawBody || ''
+      }, signature, app.apiSecret)
+      : await this.auth.verifySignature(appId, timestamp, signature, app.apiSecret);
+
+    if (!isValid) {
+      return { valid: false, error: 'Invalid signature' };
+    }
+
+    return { valid: true, app };
+  }
+
+  findApp(identifier) {
+    if (this.apps.has(identifier)) {
+      return this.apps.get(identifier);
+    }
+    for (const app of this.apps.values()) {
+      if (app.apiKey === identifier) {
+        return app;
+      }
+    }
+    return null;
+  }
+
+  creditInfo(user) {
+    const monthly = user.monthly_credit_balance;
+    const topup = user.top_up_credit_balance;
+    const tier = user.tier || { id: user.tier_id || 1, name: 'Mock', monthly_credit: 1000 };
+
+    return {
+      credit_info: {
+        monthly_credit_balance: monthly,
+        topup_credit_balance: topup,
+        remaining_ratio: tier.monthly_credit ? monthly / tier.monthly_credit : 0,
+        tier
+      },
+      total_balance: monthly + topup
+    };
+  }
+
+  takeInjectedError(method, path) {
+    const error = this.injectedErrors.find(e =>
+      e.remaining > 0 &&
+      (!e.path || e.path === path) &&
+      (!e.method || e.method === method)
+    );
+
+    if (!error) return null;
+    error.remaining -= 1;
+    return error;
+  }
+
+  async applyLatency(path) {
+    const latency = typeof this.options.latency === 'object'
+      ? this.options.latency[path] || 0
+      : this.options.latency;
+
+    if (latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, latency));
+    }
+  }
+
+  async readBody(req) {
+    let raw = '';
+    for await (const chunk of req) {
+      raw += chunk;
+    }
+    // Signed requests cover the exact bytes
+    req.rawBody = raw;
+    if (!raw) return null;
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  sendJSON(res, status, data, headers = {}) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key, X-VentureVerse-App-ID, X-VentureVerse-Timestamp, X-VentureVerse-Nonce, X-VentureVerse-Signature',
+      // Browsers only let the SDK read these cross-origin when exposed
+      'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset',
+      ...headers
+    });
+    res.end(data === null ? undefined : JSON.stringify(data));
+  }
+
+  log(...args) {
+    if (this.options.debug) {
+      console.log('[VentureVerse Mock]', ...args);
+    }
+  }
+}
+
+/**
+ * Create and start a mock platform; resolves once it is listening
+ */
+export async function startMockPlatform(options = {}) {
+  const platform = new MockPlatform(options);
+  return platform.start();
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') args.port = parseInt(argv[++i], 10);
+    else if (arg === '--host') args.host = argv[++i];
+    else if (arg === '--config') args.config = argv[++i];
+    else if (arg === '--latency') args.latency = parseInt(argv[++i], 10);
+    else if (arg === '--quiet') args.debug = false;
+  }
+  return args;
+}
+
+// Allow `node src/mock-platform/server.js --port 4010 --config mock.json`
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { config: configPath, ...args } = parseArgs(process.argv.slice(2));
+  const config = configPath ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+
+  startMockPlatform({ debug: true, ...config, ...args })
+    .then(platform => {
+      console.log(`VentureVerse mock platform running at ${platform.url}`);
+      for (const app of platform.apps.values()) {
+        console.log(`  app ${app.appId} (key ${app.apiKey || app.appId})`);
+      }
+
+      const shutdown = () => platform.stop().then(() => process.exit(0));
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+    })
+    .catch(error => {
+      console.error('Failed to start mock platform:', error.message);
+      process.exit(1);
+    });
+}
+
+export default MockPlatform;
@@ -0,0 +1,162 @@
+/**
+ * Pricing catalog for VentureVerse credits
+ *
+ * Turns named features into USD costs and credits:
+ * - `creditsPerUsd`: conversion rate; the host can supply it at handshake
+ * - `features`: priced features, optionally per unit (page, 1000 tokens, ...)
+ *   with per-tier prices or discounts keyed by `tier_id`
+ * - `tiers`: catalog-wide discounts keyed by `tier_id`
+ *
+ * The default rate reproduces the historical 1.7x markup at $0.01 per credit.
+ */
+
+export const DEFAULT_CREDITS_PER_USD = 170;
+
+/**
+ * Feature definition:
+ * {
+ *   price: 0.002,          // USD per `per` units
+ *   unit: 'token',         // label only
+ *   per: 1000,             // units covered by `price` (default 1)
+ *   minimum: 0.01,         // smallest USD charge (optional)
+ *   description: 'AI completion',
+ *   tiers: { 3: { price: 0.001 }, 2: { discount: 0.1 } }
+ * }
+ */
+export class PricingCatalog {
+  constructor(options = {}) {
+    this.creditsPerUsd = DEFAULT_CREDITS_PER_USD;
+    this.features = new Map();
+    this.tiers = new Map();
+    this.update(options);
+  }
+
+  /**
+   * Build a catalog from options, a catalog, or nothing (default rate only)
+   */
+  static from(source) {
+    if (source instanceof PricingCatalog) {
+      return source;
+    }
+    return new PricingCatalog(source || {});
+  }
+
+  /**
+   * Merge a (partial) catalog, e.g. the one a host sends at handshake.
+   * Accepts camelCase options or the snake_case wire format.
+   */
+  update(catalog = {}) {
+    const rate = catalog.creditsPerUsd !== undefined ? catalog.creditsPerUsd : catalog.credits_per_usd;
+    if (rate !== undefined) {
+      this.setConversionRate(rate);
+    }
+
+    for (const [name, feature] of Object.entries(catalog.features || {})) {
+      this.defineFeature(name, feature);
+    }
+
+    for (const [tierId, tier] of Object.entries(catalog.tiers || {})) {
+      this.tiers.set(String(tierId), { discount: validateDiscount(tier.discount || 0) });
+    }
+
+    return this;
+  }
+
+  setConversionRate(creditsPerUsd) {
+    if (typeof creditsPerUsd !== 'number' || !(creditsPerUsd > 0)) {
+      throw new Error('Conversion rate must be a positive number of credits per USD');
+    }
+    this.creditsPerUsd = creditsPerUsd;
+  }
+
+  defineFeature(name, feature) {
+    if (!feature || typeof feature.price !== 'number' || feature.price < 0) {
+      throw new Error(`Feature ${name} needs a non-negative price`);
+    }
+    this.features.set(name, { per: 1, ...feature });
+  }
+
+  removeFeature(name) {
+    this.features.delete(name);
+  }
+
+  hasFeature(name) {
+    return this.features.has(name);
+  }
+
+  getFeature(name) {
+    const feature = this.features.get(name);
+    if (!feature) {
+      throw new Error(`Unknown priced feature: ${name}`);
+    }
+    return feature;
+  }
+
+  /**
+   * USD to credits at the current rate, rounded up to whole credits
+   */
+  usdToCredits(usdAmount) {
+    // toFixed drops float noise such as 84.99999999999999 before rounding up
+    return Math.ceil(Number((usdAmount * this.creditsPerUsd).toFixed(6)));
+  }
+
+  /**
+   * Price `quantity` units of a feature for a tier
+   */
+  quote(name, { quantity = 1, tierId = null } = {}) {
+    if (typeof quantity !== 'number' || quantity < 0) {
+      throw new Error('Quantity must be a non-negative number');
+    }
+
+    const feature = this.getFeature(name);
+    const tierKey = tierId === null || tierId === undefined ? null : String(tierId);
+    const tierPricing = tierKey && feature.tiers ? feature.tiers[tierKey] : undefined;
+
+    let unitPrice = feature.price;
+    let discount = tierKey && this.tiers.has(tierKey) ? this.tiers.get(tierKey).discount : 0;
+
+    if (typeof tierPricing === 'number') {
+      unitPrice = tierPricing;
+    } else if (tierPricing) {
+      if (tierPricing.price !== undefined) unitPrice = tierPricing.price;
+      if (tierPricing.discount !== undefined) discount = validateDiscount(tierPricing.discount);
+    }
+
+    let cost = (unitPrice * quantity / feature.per) * (1 - discount);
+    if (feature.minimum !== undefined && quantity > 0) {
+      cost = Math.max(cost, feature.minimum);
+    }
+    cost = Number(cost.toFixed(6));
+
+    return {
+      feature: name,
+      quantity,
+      unit: feature.unit,
+      unitPrice,
+      discount,
+      cost,
+      credits: this.usdToCredits(cost),
+      description: feature.description || name
+    };
+  }
+
+  /**
+   * Wire format, as sent in HANDSHAKE_ACK
+   */
+  toJSON() {
+    return {
+      credits_per_usd: this.creditsPerUsd,
+      features: Object.fromEntries(this.features),
+      tiers: Object.fromEntries(this.tiers)
+    };
+  }
+}
+
+function validateDiscount(discount) {
+  if (typeof discount !== 'number' || discount < 0 || discount > 1) {
+    throw new Error('Discount must be a fraction between 0 and 1');
+  }
+  return discount;
+}
+
+export default PricingCatalog;
@@ -0,0 +1,186 @@
+/**
+ * Circuit breakers for calls to the host page and the platform
+ *
+ * One breaker per operation (message type, `validateCredentials`):
+ * - closed: calls go through; `failureThreshold` consecutive failures open it
+ * - open: calls fail at once with CircuitOpenError for `resetTimeout` ms
+ * - half-open: up to `halfOpenMaxCalls` trial calls; a success closes the
+ *   circuit, a failure opens it again
+ *
+ * Only timeouts and network errors count as failures. A refusal (insufficient
+ * credits, rate limited, ...) proves the other side is up, so it neither
+ * opens nor closes a circuit.
+ */
+
+import { CircuitOpenError, TimeoutError, NetworkError } from '../errors/ventureverse-error.js';
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+const isOutage = error => error instanceof TimeoutError || error instanceof NetworkError;
+
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = {
+      failureThreshold: 3,
+      resetTimeout: 30 * 1000,
+      halfOpenMaxCalls: 1,
+      isFailure: isOutage,
+      // (name, state, { failures, retryAt }) on every transition
+      onStateChange: null,
+      ...options
+    };
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialCalls = 0;
+  }
+
+  /**
+   * Current state; an open circuit turns half-open once `resetTimeout` has passed
+   */
+  getState(now = Date.now()) {
+    if (this.state === CIRCUIT_STATES.OPEN && now - this.openedAt >= this.options.resetTimeout) {
+      this.transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+    return this.state;
+  }
+
+  /**
+   * Run `operation` through the breaker
+   */
+  async run(operation) {
+    this.acquire();
+
+    let result;
+    try {
+      result = await operation();
+    } catch (error) {
+      if (this.options.isFailure(error)) {
+        this.recordFailure();
+      } else {
+        this.releaseTrial();
+      }
+      throw error;
+    }
+
+    this.recordSuccess();
+    return result;
+  }
+
+  acquire(now = Date.now()) {
+    const state = this.getState(now);
+
+    if (state === CIRCUIT_STATES.OPEN) {
+      throw new CircuitOpenError(this.name, {
+        retryAfter: Math.max(0, this.openedAt + this.options.resetTimeout - now)
+      });
+    }
+
+    if (state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.trialCalls >= this.options.halfOpenMaxCalls) {
+        throw new CircuitOpenError(this.name, { retryAfter: 0 });
+      }
+      this.trialCalls++;
+    }
+  }
+
+  releaseTrial() {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && this.trialCalls > 0) {
+      this.trialCalls--;
+    }
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      this.transition(CIRCUIT_STATES.CLOSED);
+    }
+  }
+
+  recordFailure() {
+    this.failures++;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.options.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition(CIRCUIT_STATES.OPEN);
+    }
+  }
+
+  transition(state) {
+    if (this.state === state) return;
+
+    this.state = state;
+    this.trialCalls = 0;
+
+    if (this.options.onStateChange) {
+      this.options.onStateChange(this.name, state, {
+        failures: this.failures,
+        retryAt: state === CIRCUIT_STATES.OPEN ? this.openedAt + this.options.resetTimeout : null
+      });
+    }
+  }
+
+  /**
+   * Close the circuit and forget failures
+   */
+  reset() {
+    this.failures = 0;
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      this.transition(CIRCUIT_STATES.CLOSED);
+    }
+  }
+}
+
+/**
+ * Breakers created on demand, one per operation, sharing options
+ */
+export class CircuitBreakerGroup {
+  constructor(options = {}) {
+    this.options = options;
+    this.breakers = new Map();
+  }
+
+  get(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(name, this.options));
+    }
+    return this.breakers.get(name);
+  }
+
+  run(name, operation) {
+    return this.get(name).run(operation);
+  }
+
+  getState(name) {
+    return this.breakers.has(name) ? this.breakers.get(name).getState() : CIRCUIT_STATES.CLOSED;
+  }
+
+  /**
+   * `{ [operation]: state }` for every operation seen so far
+   */
+  getStates() {
+    const states = {};
+    for (const [name, breaker] of this.breakers) {
+      states[name] = breaker.getState();
+    }
+    return states;
+  }
+
+  reset(name) {
+    if (name !== undefined) {
+      if (this.breakers.has(name)) {
+        this.breakers.get(name).reset();
+      }
+      return;
+    }
+    for (const breaker of this.breakers.values()) {
+      breaker.reset();
+    }
+  }
+}
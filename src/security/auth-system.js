@@ -3,7 +3,27 @@
  * Implements proper API key validation, request signing, and session management
  */
 
-import crypto from 'crypto';
+import { hmacSha256, sha256, timingSafeEqual, randomHex } from './crypto-provider.js';
+import { EncryptionKeyring, sealEnvelope, openEnvelope } from './encryption-envelope.js';
+import {
+  createSessionToken,
+  verifySessionToken,
+  decodeSessionToken,
+  InMemoryRevocationList,
+  DEFAULT_SESSION_TTL
+} from './session-tokens.js';
+import { RateLimiter, parseRateLimitHeaders } from './rate-limiter.js';
+import {
+  ERROR_CODES,
+  AuthError,
+  RateLimitError,
+  TimeoutError,
+  NetworkError,
+  VentureVerseError
+} from '../errors/ventureverse-error.js';
+import { createLogger } from '../logging/logger.js';
+
+export { RateLimiter };
 
 export class VentureVerseAuth {
   constructor(options = {}) {
@@ -11,10 +31,17 @@ export class VentureVerseAuth {
     this.timeout = options.timeout || 10000;
     this.cache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.sessionTtl = options.sessionTtl || DEFAULT_SESSION_TTL;
+    this.revocationList = options.revocationList || new InMemoryRevocationList();
+    // Called with parsed rate-limit headers from platform responses
+    this.onRateLimit = options.onRateLimit || null;
+    this.logger = options.logger || createLogger({ namespace: 'auth' });
   }
 
   /**
-   * Validate API credentials with the server
+   * Validate API credentials with the server. Resolves false for rejected
+   * credentials; throws a retryable RateLimitError, TimeoutError or
+   * NetworkError when the platform could not give an answer.
    */
   async validateCredentials(appId, apiSecret) {
     const cacheKey = `${appId}:${apiSecret}`;
@@ -30,25 +57,51 @@ export class VentureVerseAuth {
 
     try {
       const timestamp = Date.now();
-      const signature = this.generateSignature(appId, timestamp, apiSecret);
-
-      const response = await fetch(`${this.apiEndpoint}/v1/auth/validate`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-VentureVerse-App-ID': appId,
-          'X-VentureVerse-Timestamp': timestamp.toString(),
-          'X-VentureVerse-Signature': signature,
-        },
-        body: JSON.stringify({
-          app_id: appId,
-          timestamp
-        }),
-        signal: AbortSignal.timeout(this.timeout)
-      });
+      const signature = await this.generateSignature(appId, timestamp, apiSecret);
+
+      let response;
+      try {
+        response = await fetch(`${this.apiEndpoint}/v1/auth/validate`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-VentureVerse-App-ID': appId,
+            'X-VentureVerse-Timestamp': timestamp.toString(),
+            'X-VentureVerse-Signature': signature,
+          },
+          body: JSON.stringify({
+            app_id: appId,
+            timestamp
+          }),
+          signal: AbortSignal.timeout(this.timeout)
+        });
+      } catch (error) {
+        if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+          throw new TimeoutError(`Credential validation timed out after ${this.timeout}ms`, { cause: error });
+        }
+        throw new NetworkError(`Credential validation failed: ${error.message}`, { cause: error });
+      }
+
+      const rateLimit = parseRateLimitHeaders(response.headers);
+      if (rateLimit && this.onRateLimit) {
+        this.onRateLimit(rateLimit);
+      }
 
       if (response.status === 429) {
-        throw new Error('Rate limit exceeded');
+        throw new RateLimitError('Rate limit exceeded', {
+          status: 429,
+          retryAfter: rateLimit && rateLimit.retryAfter !== null ? rateLimit.retryAfter : 60 * 1000,
+          limit: rateLimit && rateLimit.limit,
+          resetAt: rateLimit && rateLimit.resetAt
+        });
+      }
+
+      // Outages are not a verdict on the credentials either
+      if (response.status >= 500) {
+        throw new NetworkError(`Credential validation failed with status ${response.status}`, {
+          code: ERROR_CODES.SERVICE_UNAVAILABLE,
+          status: response.status
+        });
       }
 
       const result = await response.json();
@@ -63,7 +116,11 @@ export class VentureVerseAuth {
 
       return isValid;
     } catch (error) {
-      console.error('Credential validation failed:', error);
+      // Rate limits and outages are not a verdict on the credentials; let callers wait and retry
+      if (error instanceof VentureVerseError && error.retryable) {
+        throw error;
+      }
+      this.logger.error('Credential validation failed:', error);
       return false;
     }
   }
@@ -71,201 +128,403 @@ export class VentureVerseAuth {
   /**
    * Generate request signature using HMAC-SHA256
    */
-  generateSignature(appId, timestamp, apiSecret) {
+  async generateSignature(appId, timestamp, apiSecret) {
     const payload = `${appId}:${timestamp}`;
-    return crypto
-      .createHmac('sha256', apiSecret)
-      .update(payload)
-      .digest('hex');
+    return hmacSha256(apiSecret, payload);
   }
 
   /**
    * Verify incoming request signature
    */
-  verifySignature(appId, timestamp, signature, apiSecret) {
-    const expectedSignature = this.generateSignature(appId, timestamp, apiSecret);
+  async verifySignature(appId, timestamp, signature, apiSecret) {
+    if (typeof signature !== 'string') {
+      return false;
+    }
+
+    const expectedSignature = await this.generateSignature(appId, timestamp, apiSecret);
     
     // Constant-time comparison to prevent timing attacks
-    return crypto.timingSafeEqual(
-      Buffer.from(signature, 'hex'),
-      Buffer.from(expectedSignature, 'hex')
-    );
+    return timingSafeEqual(signature, expectedSignature);
+  }
+
+  /**
+   * Signature for one HTTP request. Unlike generateSignature it binds a
+   * per-request nonce, the method, the path (with query) and the SHA-256 of
+   * the raw body, so it is unique per request and cannot be reused on
+   * another endpoint or with another body.
+   */
+  async generateRequestSignature({ appId, timestamp, nonce, method, path, body = '' }, apiSecret) {
+    const payload = [appId, timestamp, nonce, method.toUpperCase(), path, await sha256(body)].join('\n');
+    return hmacSha256(apiSecret, payload);
+  }
+
+  async verifyRequestSignature(request, signature, apiSecret) {
+    if (typeof signature !== 'string') {
+      return false;
+    }
+    return timingSafeEqual(signature, await this.generateRequestSignature(request, apiSecret));
   }
 
   /**
-   * Generate secure session token
+   * X-VentureVerse-* headers for a request checked by SecurityMiddleware
    */
-  generateSessionToken(appId, userId) {
-    const payload = {
-      app_id: appId,
-      user_id: userId,
-      issued_at: Date.now(),
-      expires_at: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
+  async signRequest({ appId, method, path, body = '' }, apiSecret) {
+    const timestamp = Date.now().toString();
+    const nonce = randomHex(16);
+    return {
+      'X-VentureVerse-App-ID': appId,
+      'X-VentureVerse-Timestamp': timestamp,
+      'X-VentureVerse-Nonce': nonce,
+      'X-VentureVerse-Signature': await this.generateRequestSignature(
+        { appId, timestamp, nonce, method, path, body },
+        apiSecret
+      )
     };
+  }
 
-    const token = crypto.randomBytes(32).toString('hex');
-    // In production, store this mapping in Redis or database
-    return token;
+  /**
+   * Issue a signed session token (app id, user id, scopes, issued/expires)
+   */
+  async generateSessionToken(appId, userId, apiSecret, options = {}) {
+    return createSessionToken(
+      { appId, userId, scopes: options.scopes },
+      apiSecret,
+      { ttlMs: options.ttlMs || this.sessionTtl }
+    );
+  }
+
+  /**
+   * Verify a session token against the secret and the revocation list.
+   * Returns `{ valid, claims }` or `{ valid: false, reason }`.
+   */
+  async verifySession(token, apiSecret, options = {}) {
+    return verifySessionToken(token, apiSecret, {
+      revocationList: this.revocationList,
+      ...options
+    });
   }
 
   /**
    * Validate session token
    */
-  async validateSession(token) {
+  async validateSession(token, apiSecret, options = {}) {
     try {
-      // In production, validate against stored session
-      // For now, basic length check
-      return token && token.length === 64;
+      const result = await this.verifySession(token, apiSecret, options);
+      return result.valid;
     } catch (error) {
       return false;
     }
   }
 
+  /**
+   * Exchange a still-valid token for a new one with the same claims;
+   * the old token is revoked
+   */
+  async refreshSessionToken(token, apiSecret, options = {}) {
+    const result = await this.verifySession(token, apiSecret, { appId: options.appId });
+    if (!result.valid) {
+      throw new AuthError(`Cannot refresh session: ${result.reason}`, {
+        code: ERROR_CODES.SESSION_INVALID,
+        details: { reason: result.reason }
+      });
+    }
+
+    const { claims } = result;
+    const refreshed = await this.generateSessionToken(claims.app_id, claims.user_id, apiSecret, {
+      scopes: claims.scopes,
+      ttlMs: options.ttlMs
+    });
+
+    await this.revocationList.revoke(claims.jti, claims.exp);
+    return refreshed;
+  }
+
+  /**
+   * Revoke a token until it would have expired
+   */
+  async revokeSession(token) {
+    const claims = decodeSessionToken(token);
+    if (!claims) {
+      throw new AuthError('Malformed session token', {
+        code: ERROR_CODES.SESSION_INVALID,
+        details: { reason: 'malformed' }
+      });
+    }
+    await this.revocationList.revoke(claims.jti, claims.exp);
+  }
+
   /**
    * Generate secure API key pair
    */
   static generateAPICredentials(appId) {
-    const apiKey = `vv_${appId}_${crypto.randomBytes(16).toString('hex')}`;
-    const apiSecret = crypto.randomBytes(32).toString('hex');
+    const apiKey = `vv_${appId}_${randomHex(16)}`;
+    const apiSecret = randomHex(32);
     
     return { apiKey, apiSecret };
   }
 
   /**
-   * Encrypt sensitive data with AES-256-GCM
+   * Encrypt sensitive data into a v2 envelope (AES-256-GCM)
+   * `key` may be a secret or a keyring; `context` ({ appId, type }) is bound as AAD
    */
-  static encrypt(text, key) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipher('aes-256-gcm', key);
-    
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    const authTag = cipher.getAuthTag();
-    
-    return {
-      encrypted,
-      iv: iv.toString('hex'),
-      authTag: authTag.toString('hex')
-    };
+  static async encrypt(text, key, context = {}) {
+    return sealEnvelope(EncryptionKeyring.from(key), text, context);
   }
 
   /**
-   * Decrypt sensitive data with AES-256-GCM
+   * Decrypt a v2 envelope, or a legacy v1 object from the old createCipher helper
    */
-  static decrypt(encryptedData, key) {
-    const decipher = crypto.createDecipher('aes-256-gcm', key);
-    decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-    
-    let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
+  static async decrypt(encryptedData, key, context = {}) {
+    // Legacy v1 payloads used createCipher on the raw key without AAD
+    return openEnvelope(EncryptionKeyring.from(key), encryptedData, context, { password: 'secret' });
   }
 }
 
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
 /**
- * Rate Limiter for API requests
+ * Default nonce store for SecurityMiddleware. Any object with async-or-sync
+ * `checkAndSet(nonce, expiresAt)` returning false for a nonce already seen
+ * can replace it, e.g. Redis `SET key 1 NX PX ttl`.
  */
-export class RateLimiter {
+export class InMemoryNonceStore {
   constructor(options = {}) {
-    this.maxRequests = options.maxRequests || 100;
-    this.windowMs = options.windowMs || 60 * 1000; // 1 minute
-    this.requests = new Map();
+    this.maxEntries = options.maxEntries || 10000;
+    this.seen = new Map();
   }
 
-  /**
-   * Check if request is allowed
-   */
-  isAllowed(identifier) {
+  checkAndSet(nonce, expiresAt) {
     const now = Date.now();
-    const windowStart = now - this.windowMs;
-
-    if (!this.requests.has(identifier)) {
-      this.requests.set(identifier, []);
+    const existing = this.seen.get(nonce);
+    if (existing !== undefined && existing > now) {
+      return false;
     }
 
-    const userRequests = this.requests.get(identifier);
-    
-    // Remove old requests
-    const validRequests = userRequests.filter(time => time > windowStart);
-    this.requests.set(identifier, validRequests);
-
-    // Check if under limit
-    if (validRequests.length < this.maxRequests) {
-      validRequests.push(now);
-      return true;
+    this.prune(now);
+    this.seen.set(nonce, expiresAt);
+    if (this.seen.size > this.maxEntries) {
+      this.seen.delete(this.seen.keys().next().value);
     }
-
-    return false;
+    return true;
   }
 
-  /**
-   * Get remaining requests for identifier
-   */
-  getRemaining(identifier) {
-    const now = Date.now();
-    const windowStart = now - this.windowMs;
+  delete(nonce) {
+    this.seen.delete(nonce);
+  }
 
-    if (!this.requests.has(identifier)) {
-      return this.maxRequests;
+  prune(now = Date.now()) {
+    for (const [nonce, expiresAt] of this.seen) {
+      if (now >= expiresAt) {
+        this.seen.delete(nonce);
+      }
     }
+  }
 
-    const userRequests = this.requests.get(identifier);
-    const validRequests = userRequests.filter(time => time > windowStart);
-    
-    return Math.max(0, this.maxRequests - validRequests.length);
+  clear() {
+    this.seen.clear();
   }
 }
 
 /**
- * Security middleware for validating requests
+ * Security middleware for validating requests signed with
+ * VentureVerseAuth.signRequest: X-VentureVerse-App-ID,
+ * X-VentureVerse-Timestamp (ms), X-VentureVerse-Nonce and
+ * X-VentureVerse-Signature over appId, timestamp, nonce, method, path and
+ * the SHA-256 of the raw body.
+ *
+ * The raw body is read from `request.rawBody` when a body parser kept it,
+ * from an unread Node stream (then stored as `req.rawBody`) or from a fetch
+ * Request.
+ *
+ * Options:
+ * - `resolveSecret(appId)`: returns the app's secret (or `{ apiSecret, ...info }`),
+ *   null for unknown apps; may be async. `secrets` (appId -> secret) is a shortcut.
+ * - `nonceStore`: replay protection; a nonce is accepted once per app
+ * - `maxClockSkewMs`: accepted timestamp drift (default: 5 minutes)
  */
 export class SecurityMiddleware {
-  constructor(auth, rateLimiter) {
+  constructor(auth = new VentureVerseAuth(), rateLimiter = new RateLimiter(), options = {}) {
     this.auth = auth;
     this.rateLimiter = rateLimiter;
+    this.options = {
+      maxClockSkewMs: 5 * 60 * 1000,
+      ...options
+    };
+    this.resolveSecret = options.resolveSecret || (options.secrets && (appId => options.secrets[appId] || null));
+    this.nonceStore = options.nonceStore || new InMemoryNonceStore();
     this.suspiciousActivities = new Map();
+    this.logger = options.logger || auth.logger || createLogger({ namespace: 'auth' });
+
+    if (typeof this.resolveSecret !== 'function') {
+      throw new Error('SecurityMiddleware needs a resolveSecret function or a secrets map');
+    }
   }
 
   /**
-   * Validate incoming request
+   * Validate incoming request. Returns `{ valid: true, app, rateLimit }` or
+   * `{ valid: false, status, code, error, retryAfter?, rateLimit? }` (retryAfter in seconds).
+   * Adapters send `rateLimit` as X-RateLimit-Limit/Remaining/Reset headers.
    */
   async validateRequest(request) {
-    const appId = request.headers['x-ventureverse-app-id'];
-    const timestamp = request.headers['x-ventureverse-timestamp'];
-    const signature = request.headers['x-ventureverse-signature'];
+    const appId = getHeader(request, 'x-ventureverse-app-id');
+    const timestamp = getHeader(request, 'x-ventureverse-timestamp');
+    const nonce = getHeader(request, 'x-ventureverse-nonce');
+    const signature = getHeader(request, 'x-ventureverse-signature');
 
     // Basic validation
-    if (!appId || !timestamp || !signature) {
-      return { valid: false, error: 'Missing required headers' };
+    if (!appId || !timestamp || !nonce || !signature) {
+      return { valid: false, status: 401, code: ERROR_CODES.AUTH_FAILED, error: 'Missing required headers' };
+    }
+    if (!NONCE_PATTERN.test(nonce)) {
+      return { valid: false, status: 401, code: ERROR_CODES.AUTH_FAILED, error: 'Malformed nonce' };
     }
 
-    // Timestamp validation (prevent replay attacks)
-    const requestTime = parseInt(timestamp);
-    const now = Date.now();
-    const maxAge = 5 * 60 * 1000; // 5 minutes
+    // Timestamp validation (bounds how long nonces must be remembered)
+    const requestTime = Number(timestamp);
+    if (!Number.isFinite(requestTime) || Math.abs(Date.now() - requestTime) > this.options.maxClockSkewMs) {
+      return { valid: false, status: 401, code: ERROR_CODES.AUTH_FAILED, error: 'Request timestamp expired' };
+    }
 
-    if (Math.abs(now - requestTime) > maxAge) {
-      return { valid: false, error: 'Request timestamp expired' };
+    const resolved = await this.resolveSecret(appId);
+    const apiSecret = resolved && typeof resolved === 'object' ? resolved.apiSecret : resolved;
+    if (!apiSecret) {
+      this.logSuspiciousActivity(appId, 'Unknown app');
+      return { valid: false, status: 401, code: ERROR_CODES.INVALID_CREDENTIALS, error: 'Invalid credentials' };
     }
 
-    // Rate limiting
-    if (!this.rateLimiter.isAllowed(appId)) {
-      this.logSuspiciousActivity(appId, 'Rate limit exceeded');
-      return { valid: false, error: 'Rate limit exceeded' };
+    const body = await readRawBody(request);
+    if (body === null) {
+      return {
+        valid: false,
+        status: 401,
+        code: ERROR_CODES.AUTH_FAILED,
+        error: 'Request body was consumed before it could be verified; keep it as req.rawBody'
+      };
     }
 
-    // Signature validation would go here
-    // For now, just validate app exists
-    const isValidApp = await this.auth.validateCredentials(appId, 'temp-secret');
-    
-    if (!isValidApp) {
-      this.logSuspiciousActivity(appId, 'Invalid credentials');
-      return { valid: false, error: 'Invalid credentials' };
+    const signed = {
+      appId,
+      timestamp,
+      nonce,
+      method: request.method || 'GET',
+      path: getRequestPath(request),
+      body
+    };
+    if (!await this.auth.verifyRequestSignature(signed, signature, apiSecret)) {
+      this.logSuspiciousActivity(appId, 'Invalid signature');
+      return { valid: false, status: 401, code: ERROR_CODES.INVALID_SIGNATURE, error: 'Invalid signature' };
     }
 
-    return { valid: true };
+    // Keep the nonce until the timestamp could no longer pass the skew check
+    const isFresh = await this.nonceStore.checkAndSet(
+      `${appId}:${nonce}`,
+      requestTime + this.options.maxClockSkewMs
+    );
+    if (!isFresh) {
+      this.logSuspiciousActivity(appId, 'Replayed request');
+      return { valid: false, status: 401, code: ERROR_CODES.AUTH_FAILED, error: 'Request replayed' };
+    }
+
+    // Rate limiting (after the signature check, so forged requests cannot use up an app's quota)
+    const rateLimit = await this.rateLimiter.consume(appId);
+    if (!rateLimit.allowed) {
+      this.logSuspiciousActivity(appId, 'Rate limit exceeded');
+      return {
+        valid: false,
+        status: 429,
+        code: ERROR_CODES.RATE_LIMITED,
+        error: 'Rate limit exceeded',
+        retryAfter: Math.ceil(rateLimit.retryAfter / 1000),
+        rateLimit
+      };
+    }
+
+    const info = resolved && typeof resolved === 'object' ? { ...resolved } : {};
+    delete info.apiSecret;
+
+    return { valid: true, app: { ...info, appId, timestamp: requestTime }, rateLimit };
+  }
+
+  /**
+   * Node `http` adapter: wraps `handler(req, res)`; the verified app is on `req.ventureverse`
+   */
+  http(handler) {
+    return async (req, res) => {
+      let result;
+      try {
+        result = await this.validateRequest(req);
+      } catch (error) {
+        this.logger.error('Request validation failed:', error);
+        return sendRejection(res, { status: 500, code: ERROR_CODES.UNKNOWN, error: 'Request validation failed' });
+      }
+
+      if (!result.valid) {
+        return sendRejection(res, result);
+      }
+
+      setHeaders(res, getRateLimitHeaders(result));
+      req.ventureverse = result.app;
+      try {
+        return await handler(req, res);
+      } catch (error) {
+        this.logger.error('Request handler failed:', error);
+        if (res.headersSent) {
+          return res.end();
+        }
+        return sendRejection(res, { status: 500, code: ERROR_CODES.UNKNOWN, error: 'Internal server error' });
+      }
+    };
+  }
+
+  /**
+   * Express/Connect adapter; the verified app is on `req.ventureverse`
+   */
+  express() {
+    return (req, res, next) => {
+      this.validateRequest(req).then((result) => {
+        if (!result.valid) {
+          return sendRejection(res, result);
+        }
+        setHeaders(res, getRateLimitHeaders(result));
+        req.ventureverse = result.app;
+        return next();
+      }, next);
+    };
+  }
+
+  /**
+   * Koa adapter; the verified app is on `ctx.state.ventureverse`
+   */
+  koa() {
+    return async (ctx, next) => {
+      let result;
+      try {
+        result = await this.validateRequest(ctx.request);
+      } catch (error) {
+        this.logger.error('Request validation failed:', error);
+        ctx.status = 500;
+        ctx.body = { error: 'Request validation failed', code: ERROR_CODES.UNKNOWN };
+        return;
+      }
+
+      ctx.set(getRateLimitHeaders(result));
+
+      if (!result.valid) {
+        ctx.status = result.status;
+        ctx.body = { error: result.error, code: result.code };
+        return;
+      }
+
+      ctx.state.ventureverse = result.app;
+      try {
+        await next();
+      } catch (error) {
+        // Still reported through the app's 'error' event
+        ctx.app.emit('error', error, ctx);
+        ctx.status = 500;
+        ctx.body = { error: 'Internal server error', code: ERROR_CODES.UNKNOWN };
+      }
+    };
   }
 
   /**
@@ -276,12 +535,111 @@ export class SecurityMiddleware {
     const count = this.suspiciousActivities.get(key) || 0;
     this.suspiciousActivities.set(key, count + 1);
 
-    console.warn(`🚨 Suspicious activity: ${reason} for app ${appId} (count: ${count + 1})`);
+    this.logger.warn(`🚨 Suspicious activity: ${reason} for app ${appId} (count: ${count + 1})`);
 
     // Auto-suspend after multiple violations
     if (count + 1 >= 10) {
-      console.error(`🔒 Auto-suspending app ${appId} due to repeated violations`);
+      this.logger.error(`🔒 Auto-suspending app ${appId} due to repeated violations`);
       // In production, call API to suspend app
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Build a SecurityMiddleware from one options object
+ */
+export function createSecurityMiddleware(options = {}) {
+  return new SecurityMiddleware(
+    options.auth || new VentureVerseAuth(),
+    options.rateLimiter || new RateLimiter(options.rateLimit),
+    options
+  );
+}
+
+/**
+ * Read a header from a Node/Express/Koa request (lower-cased keys) or a fetch Request
+ */
+function getHeader(request, name) {
+  const headers = request.headers || {};
+  if (typeof headers.get === 'function') {
+    return headers.get(name);
+  }
+  const value = headers[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Path and query the request was signed for. Express and Koa rewrite `url`
+ * inside mounted routers, so `originalUrl` wins.
+ */
+function getRequestPath(request) {
+  const url = new URL(request.originalUrl || request.url || '/', 'http://localhost');
+  return `${url.pathname}${url.search}`;
+}
+
+/**
+ * Raw request body as bytes or text, '' for none, or null when a body parser
+ * already consumed it without keeping `rawBody`
+ */
+async function readRawBody(request) {
+  if (request.rawBody !== undefined && request.rawBody !== null) {
+    return request.rawBody;
+  }
+
+  // fetch Request
+  if (typeof request.clone === 'function' && typeof request.text === 'function') {
+    return request.clone().text();
+  }
+
+  // Koa keeps the Node request on `req`
+  const stream = request.req || request;
+  if (stream.rawBody !== undefined && stream.rawBody !== null) {
+    return stream.rawBody;
+  }
+  if (typeof stream.on !== 'function') {
+    return '';
+  }
+  if (stream.readableEnded) {
+    const length = getHeader(request, 'content-length');
+    const hasBody = (length && length !== '0') || getHeader(request, 'transfer-encoding');
+    return hasBody ? null : '';
+  }
+
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  // The stream can only be read once; handlers find the body here
+  stream.rawBody = Buffer.concat(chunks);
+  return stream.rawBody;
+}
+
+/**
+ * Rate limit and Retry-After headers for a validation result
+ */
+function getRateLimitHeaders({ rateLimit, retryAfter }) {
+  const headers = {};
+  if (rateLimit) {
+    headers['X-RateLimit-Limit'] = String(rateLimit.limit);
+    headers['X-RateLimit-Remaining'] = String(rateLimit.remaining);
+    headers['X-RateLimit-Reset'] = String(Math.ceil(rateLimit.resetAt / 1000));
+  }
+  if (retryAfter !== undefined) {
+    headers['Retry-After'] = String(retryAfter);
+  }
+  return headers;
+}
+
+function setHeaders(res, headers) {
+  for (const [name, value] of Object.entries(headers)) {
+    res.setHeader(name, value);
+  }
+}
+
+/**
+ * Write a JSON rejection on a Node/Express response
+ */
+function sendRejection(res, result) {
+  res.writeHead(result.status, { 'Content-Type': 'application/json', ...getRateLimitHeaders(result) });
+  res.end(JSON.stringify({ error: result.error, code: result.code }));
+}
@@ -0,0 +1,283 @@
+/**
+ * Isomorphic crypto layer for VentureVerse SDK
+ *
+ * Uses Node's crypto module on the server and WebCrypto (crypto.subtle) in
+ * browsers, behind one async API. Byte values are Uint8Arrays; signatures,
+ * keys and ciphertexts cross the wire as hex strings.
+ */
+
+const isNode = typeof process !== 'undefined' &&
+  process.versions != null &&
+  process.versions.node != null;
+
+// Only Node resolves the 'crypto' module; browsers never reach this import.
+// package.json maps 'crypto' to false under "browser", so bundlers do not try
+// to resolve it for browser builds.
+const nodeCrypto = isNode ? (await import('crypto')).default : null;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export const AES_GCM_TAG_LENGTH = 16;
+
+/**
+ * Convert a string (UTF-8) or byte array into a Uint8Array
+ */
+export function toBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  return textEncoder.encode(String(data));
+}
+
+export function bytesToUtf8(bytes) {
+  return textDecoder.decode(bytes);
+}
+
+export function bytesToHex(bytes) {
+  let hex = '';
+  for (const byte of bytes) {
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+export function hexToBytes(hex) {
+  if (typeof hex !== 'string' || hex.length % 2 !== 0 || !/^[0-9a-f]*$/i.test(hex)) {
+    throw new Error('Invalid hex string');
+  }
+
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * Unpadded base64url, as used in tokens
+ */
+export function bytesToBase64Url(bytes) {
+  let output = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    const chars = Math.min(4, Math.ceil(((bytes.length - i) * 8) / 6));
+    for (let j = 0; j < chars; j++) {
+      output += BASE64URL_ALPHABET[(chunk >> (18 - j * 6)) & 63];
+    }
+  }
+  return output;
+}
+
+export function base64UrlToBytes(text) {
+  if (typeof text !== 'string' || !/^[A-Za-z0-9_-]*$/.test(text) || text.length % 4 === 1) {
+    throw new Error('Invalid base64url string');
+  }
+
+  const bytes = new Uint8Array(Math.floor((text.length * 6) / 8));
+  let buffer = 0;
+  let bits = 0;
+  let index = 0;
+
+  for (const char of text) {
+    buffer = (buffer << 6) | BASE64URL_ALPHABET.indexOf(char);
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[index++] = (buffer >> bits) & 255;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Cryptographically secure random bytes
+ */
+export function randomBytes(length) {
+  if (nodeCrypto) {
+    return new Uint8Array(nodeCrypto.randomBytes(length));
+  }
+  return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
+
+export function randomHex(length) {
+  return bytesToHex(randomBytes(length));
+}
+
+/**
+ * Constant-time comparison of two byte arrays or hex strings
+ */
+export function timingSafeEqual(a, b) {
+  const left = typeof a === 'string' ? toBytes(a.toLowerCase()) : a;
+  const right = typeof b === 'string' ? toBytes(b.toLowerCase()) : b;
+
+  if (!left || !right || left.length !== right.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < left.length; i++) {
+    diff |= left[i] ^ right[i];
+  }
+  return diff === 0;
+}
+
+function getSubtle() {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) {
+    throw new Error('WebCrypto is not available (a secure context is required)');
+  }
+  return subtle;
+}
+
+/**
+ * HMAC-SHA256, returned as hex
+ */
+export async function hmacSha256(key, data) {
+  if (nodeCrypto) {
+    return nodeCrypto
+      .createHmac('sha256', toBytes(key))
+      .update(toBytes(data))
+      .digest('hex');
+  }
+
+  const subtle = getSubtle();
+  const cryptoKey = await subtle.importKey(
+    'raw',
+    toBytes(key),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await subtle.sign('HMAC', cryptoKey, toBytes(data));
+  return bytesToHex(new Uint8Array(signature));
+}
+
+/**
+ * SHA-256 digest, returned as hex
+ */
+export async function sha256(data) {
+  if (nodeCrypto) {
+    return nodeCrypto.createHash('sha256').update(toBytes(data)).digest('hex');
+  }
+
+  const digest = await getSubtle().digest('SHA-256', toBytes(data));
+  return bytesToHex(new Uint8Array(digest));
+}
+
+/**
+ * PBKDF2-SHA256 key derivation, returned as raw key bytes
+ */
+export async function pbkdf2(password, salt, iterations, keyLength) {
+  if (nodeCrypto) {
+    const key = await new Promise((resolve, reject) => {
+      nodeCrypto.pbkdf2(toBytes(password), toBytes(salt), iterations, keyLength, 'sha256',
+        (error, derived) => (error ? reject(error) : resolve(derived)));
+    });
+    return new Uint8Array(key);
+  }
+
+  const subtle = getSubtle();
+  const baseKey = await subtle.importKey('raw', toBytes(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: toBytes(salt), iterations },
+    baseKey,
+    keyLength * 8
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * AES-256-GCM encryption. Returns the ciphertext and the 16-byte auth tag separately.
+ */
+export async function aesGcmEncrypt(key, iv, plaintext, aad) {
+  if (nodeCrypto) {
+    const cipher = nodeCrypto.createCipheriv('aes-256-gcm', key, iv, { authTagLength: AES_GCM_TAG_LENGTH });
+    if (aad) {
+      cipher.setAAD(toBytes(aad));
+    }
+    const ciphertext = Buffer.concat([cipher.update(toBytes(plaintext)), cipher.final()]);
+    return {
+      ciphertext: new Uint8Array(ciphertext),
+      authTag: new Uint8Array(cipher.getAuthTag())
+    };
+  }
+
+  const subtle = getSubtle();
+  const cryptoKey = await subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt']);
+  const params = { name: 'AES-GCM', iv, tagLength: AES_GCM_TAG_LENGTH * 8 };
+  if (aad) {
+    params.additionalData = toBytes(aad);
+  }
+
+  // WebCrypto appends the auth tag to the ciphertext
+  const sealed = new Uint8Array(await subtle.encrypt(params, cryptoKey, toBytes(plaintext)));
+  return {
+    ciphertext: sealed.slice(0, sealed.length - AES_GCM_TAG_LENGTH),
+    authTag: sealed.slice(sealed.length - AES_GCM_TAG_LENGTH)
+  };
+}
+
+/**
+ * AES-256-GCM decryption. Throws if the auth tag does not verify.
+ */
+export async function aesGcmDecrypt(key, iv, ciphertext, authTag, aad) {
+  if (nodeCrypto) {
+    const decipher = nodeCrypto.createDecipheriv('aes-256-gcm', key, iv, { authTagLength: AES_GCM_TAG_LENGTH });
+    if (aad) {
+      decipher.setAAD(toBytes(aad));
+    }
+    decipher.setAuthTag(authTag);
+    const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    return new Uint8Array(plaintext);
+  }
+
+  const subtle = getSubtle();
+  const cryptoKey = await subtle.importKey('raw', key, 'AES-GCM', false, ['decrypt']);
+  const params = { name: 'AES-GCM', iv, tagLength: AES_GCM_TAG_LENGTH * 8 };
+  if (aad) {
+    params.additionalData = toBytes(aad);
+  }
+
+  const sealed = new Uint8Array(ciphertext.length + authTag.length);
+  sealed.set(ciphertext);
+  sealed.set(authTag, ciphertext.length);
+  return new Uint8Array(await subtle.decrypt(params, cryptoKey, sealed));
+}
+
+/**
+ * OpenSSL EVP_BytesToKey (MD5, no salt, one round) as used by the removed
+ * crypto.createCipher to turn a password into a key and IV. Only needed to read
+ * payloads written by createCipher, which only ever ran on Node.
+ */
+export function legacyEvpBytesToKey(password, keyLength, ivLength) {
+  if (!nodeCrypto) {
+    throw new Error('Legacy createCipher payloads can only be read on Node');
+  }
+
+  const passwordBytes = toBytes(password);
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+
+  while (derived.length < keyLength + ivLength) {
+    block = nodeCrypto.createHash('md5').update(Buffer.concat([block, passwordBytes])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+
+  return {
+    key: new Uint8Array(derived.subarray(0, keyLength)),
+    iv: new Uint8Array(derived.subarray(keyLength, keyLength + ivLength))
+  };
+}
+
+/**
+ * Name of the active backend, mainly for diagnostics
+ */
+export function getCryptoBackend() {
+  return nodeCrypto ? 'node' : 'webcrypto';
+}
@@ -0,0 +1,263 @@
+/**
+ * Versioned AES-256-GCM envelopes with key rotation
+ *
+ * v2 envelope: { version: 2, keyId, algorithm, iv, encrypted, authTag }
+ * - Fresh random 12-byte IV per message
+ * - AAD binds the ciphertext to its key id, app id and message type, so a payload
+ *   cannot be replayed under a different app or message type
+ *
+ * v1 envelope (legacy): { encrypted, iv, authTag, algorithm } as written by the
+ * createCipher-based SecureEncryption and VentureVerseAuth.encrypt; still readable.
+ */
+
+import {
+  pbkdf2,
+  sha256,
+  randomBytes,
+  aesGcmEncrypt,
+  aesGcmDecrypt,
+  legacyEvpBytesToKey,
+  bytesToHex,
+  hexToBytes,
+  bytesToUtf8
+} from './crypto-provider.js';
+import { ERROR_CODES, CryptoError } from '../errors/ventureverse-error.js';
+
+export const ENVELOPE_VERSION = 2;
+export const ENVELOPE_ALGORITHM = 'aes-256-gcm';
+
+const KEY_SALT = 'ventureverse-salt';
+const KEY_ITERATIONS = 100000;
+const IV_LENGTH = 12;
+
+/**
+ * Derive a 32-byte key from a secret; 32-byte Uint8Arrays are used as-is
+ */
+export function deriveEncryptionKey(secret) {
+  if (secret instanceof Uint8Array && secret.length === 32) {
+    return Promise.resolve(secret);
+  }
+  return pbkdf2(secret, KEY_SALT, KEY_ITERATIONS, 32);
+}
+
+/**
+ * Set of encryption keys. New data is sealed with the primary key; any key in
+ * the ring can open data, so old keys stay readable while a rotation rolls out.
+ */
+export class EncryptionKeyring {
+  constructor(options = {}) {
+    this.keys = new Map();
+    this.primaryKeyId = null;
+
+    const keys = options.keys || {};
+    const entries = Array.isArray(keys)
+      ? keys.map(entry => [entry.id, entry.key])
+      : Object.entries(keys);
+
+    for (const [id, secret] of entries) {
+      this.addKey(id, secret);
+    }
+
+    if (options.primaryKeyId) {
+      this.setPrimary(options.primaryKeyId);
+    }
+  }
+
+  /**
+   * Build a keyring from a single secret, an existing keyring or `{keys, primaryKeyId}`
+   */
+  static from(source) {
+    if (source instanceof EncryptionKeyring) {
+      return source;
+    }
+
+    if (source && typeof source === 'object' && !(source instanceof Uint8Array)) {
+      return new EncryptionKeyring(source);
+    }
+
+    const keyring = new EncryptionKeyring();
+    keyring.addKey(null, source);
+    return keyring;
+  }
+
+  /**
+   * Add a key. Without an id, a fingerprint of the derived key is used, so the
+   * same secret always gets the same id on every side.
+   */
+  addKey(id, secret, { primary = false } = {}) {
+    if (!secret || secret === 'ventureverse-default-key') {
+      throw new Error('Secure encryption requires a valid encryption key');
+    }
+
+    const keyPromise = deriveEncryptionKey(secret);
+    const entry = {
+      secret,
+      keyPromise,
+      resolvedId: id ? String(id) : null,
+      idPromise: id ? Promise.resolve(String(id)) : keyPromise.then(key => sha256(key)).then(hash => hash.slice(0, 16))
+    };
+    entry.idPromise.then(resolvedId => { entry.resolvedId = resolvedId; }, () => {});
+
+    const slot = id ? String(id) : Symbol('pending-key-id');
+    this.keys.set(slot, entry);
+
+    if (primary || this.primaryKeyId === null) {
+      this.primaryKeyId = slot;
+    }
+    return this;
+  }
+
+  removeKey(id) {
+    const slot = this.findSlot(id);
+    if (slot === undefined) return;
+
+    this.keys.delete(slot);
+    if (this.primaryKeyId === slot) {
+      this.primaryKeyId = this.keys.size > 0 ? this.keys.keys().next().value : null;
+    }
+  }
+
+  setPrimary(id) {
+    const slot = this.findSlot(id);
+    if (slot === undefined) {
+      throw new Error(`Unknown encryption key id: ${id}`);
+    }
+    this.primaryKeyId = slot;
+  }
+
+  findSlot(id) {
+    if (this.keys.has(id)) return id;
+    for (const [slot, entry] of this.keys) {
+      if (entry.resolvedId === String(id)) return slot;
+    }
+    return undefined;
+  }
+
+  async getPrimary() {
+    const entry = this.keys.get(this.primaryKeyId);
+    if (!entry) {
+      throw new Error('Keyring has no encryption keys');
+    }
+    return { id: await entry.idPromise, key: await entry.keyPromise };
+  }
+
+  async getKey(id) {
+    for (const entry of this.keys.values()) {
+      if (await entry.idPromise === id) {
+        return { id, key: await entry.keyPromise };
+      }
+    }
+    return null;
+  }
+
+  async getAllKeys() {
+    const all = [];
+    for (const entry of this.keys.values()) {
+      all.push({ id: await entry.idPromise, key: await entry.keyPromise, secret: entry.secret });
+    }
+    return all;
+  }
+}
+
+function buildAAD(keyId, context = {}) {
+  return `ventureverse:v${ENVELOPE_VERSION}:${keyId}:${context.appId || ''}:${context.type || ''}`;
+}
+
+/**
+ * Encrypt text into a v2 envelope object
+ */
+export async function sealEnvelope(keyring, text, context = {}) {
+  const { id, key } = await keyring.getPrimary();
+  const iv = randomBytes(IV_LENGTH);
+  const { ciphertext, authTag } = await aesGcmEncrypt(key, iv, text, buildAAD(id, context));
+
+  return {
+    version: ENVELOPE_VERSION,
+    keyId: id,
+    algorithm: ENVELOPE_ALGORITHM,
+    iv: bytesToHex(iv),
+    encrypted: bytesToHex(ciphertext),
+    authTag: bytesToHex(authTag)
+  };
+}
+
+/**
+ * Decrypt a v2 or legacy v1 envelope (object or JSON string)
+ *
+ * `legacy` describes how v1 payloads were written:
+ * - `aad`: the fixed AAD string they used, if any
+ * - `password`: 'derived' if createCipher was given the PBKDF2-derived key,
+ *   'secret' if it was given the raw secret
+ */
+export async function openEnvelope(keyring, envelope, context = {}, legacy = {}) {
+  const data = parseEnvelope(envelope);
+
+  if (!data || typeof data !== 'object' || typeof data.encrypted !== 'string' || !data.authTag) {
+    throw new CryptoError('Malformed encryption envelope', { code: ERROR_CODES.MALFORMED_ENVELOPE });
+  }
+
+  if (data.algorithm && data.algorithm !== ENVELOPE_ALGORITHM) {
+    throw new CryptoError(`Unsupported algorithm: ${data.algorithm}`, { code: ERROR_CODES.UNSUPPORTED_ENVELOPE });
+  }
+
+  const ciphertext = hexToBytes(data.encrypted);
+  const authTag = hexToBytes(data.authTag);
+
+  if (data.version === ENVELOPE_VERSION) {
+    const entry = await keyring.getKey(data.keyId);
+    if (!entry) {
+      throw new CryptoError(`Unknown encryption key id: ${data.keyId}`, { code: ERROR_CODES.UNKNOWN_KEY });
+    }
+
+    let plaintext;
+    try {
+      plaintext = await aesGcmDecrypt(entry.key, hexToBytes(data.iv), ciphertext, authTag, buildAAD(data.keyId, context));
+    } catch (error) {
+      // Wrong key, tampered ciphertext or a context (app id, type) mismatch
+      throw new CryptoError('Envelope failed authentication', { code: ERROR_CODES.DECRYPTION_FAILED, cause: error });
+    }
+    return bytesToUtf8(plaintext);
+  }
+
+  if (data.version !== undefined && data.version !== 1) {
+    throw new CryptoError(`Unsupported envelope version: ${data.version}`, { code: ERROR_CODES.UNSUPPORTED_ENVELOPE });
+  }
+
+  return openLegacyEnvelope(keyring, data, ciphertext, authTag, legacy);
+}
+
+/**
+ * v1 payloads carry no key id, so every key in the ring is tried. Each key is
+ * tried with the stored IV first, then with createCipher's password-derived IV.
+ */
+async function openLegacyEnvelope(keyring, data, ciphertext, authTag, legacy) {
+  for (const { key, secret } of await keyring.getAllKeys()) {
+    try {
+      return bytesToUtf8(await aesGcmDecrypt(key, hexToBytes(data.iv), ciphertext, authTag, legacy.aad));
+    } catch (error) {
+      // Fall through to the createCipher layout
+    }
+
+    try {
+      const password = legacy.password === 'secret' ? secret : key;
+      const evp = legacyEvpBytesToKey(password, 32, IV_LENGTH);
+      return bytesToUtf8(await aesGcmDecrypt(evp.key, evp.iv, ciphertext, authTag, legacy.aad));
+    } catch (error) {
+      // Try the next key
+    }
+  }
+
+  throw new CryptoError('Unable to decrypt legacy payload with any known key', { code: ERROR_CODES.DECRYPTION_FAILED });
+}
+
+function parseEnvelope(envelope) {
+  if (typeof envelope !== 'string') {
+    return envelope;
+  }
+
+  try {
+    return JSON.parse(envelope);
+  } catch (error) {
+    throw new CryptoError('Malformed encryption envelope', { code: ERROR_CODES.MALFORMED_ENVELOPE, cause: error });
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * Signed, expiring launch tokens for iframe URLs
+ *
+ * Format: `vvl1.<base64url(claims JSON)>.<hex HMAC-SHA256>`, signed with the
+ * app's API secret like session tokens. Claims:
+ * { app_id, iat, exp, nonce, user } or, with an encryption key,
+ * { app_id, iat, exp, nonce, user_enc } where `user_enc` is a v2 envelope of
+ * the user context, so names and emails never appear in URLs or server logs.
+ *
+ * The token travels in the `vv_launch` query param. Each nonce is accepted
+ * once; StorageNonceStore remembers them across reloads and tabs.
+ */
+
+import {
+  hmacSha256,
+  timingSafeEqual,
+  randomHex,
+  bytesToBase64Url,
+  base64UrlToBytes,
+  toBytes,
+  bytesToUtf8
+} from './crypto-provider.js';
+import { EncryptionKeyring, sealEnvelope, openEnvelope } from './encryption-envelope.js';
+
+export const LAUNCH_TOKEN_PREFIX = 'vvl1';
+export const LAUNCH_TOKEN_PARAM = 'vv_launch';
+export const DEFAULT_LAUNCH_TTL = 2 * 60 * 1000;
+
+// Envelope context type, so a launch envelope cannot be replayed as a message payload
+const LAUNCH_CONTEXT_TYPE = 'launch_context';
+
+/**
+ * Nonce store for launch tokens, persisted in a Storage (localStorage) when
+ * one is given. Same `checkAndSet(nonce, expiresAt)` contract as
+ * InMemoryNonceStore; entries are dropped once their token has expired.
+ */
+export class StorageNonceStore {
+  constructor(storage, storageKey = 'ventureverse:launch-nonces', options = {}) {
+    this.storage = storage || null;
+    this.storageKey = storageKey;
+    this.maxEntries = options.maxEntries || 100;
+    this.seen = new Map();
+  }
+
+  load() {
+    if (!this.storage) return;
+
+    try {
+      const saved = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+      this.seen = new Map(Object.entries(saved));
+    } catch (error) {
+      // Corrupt or inaccessible storage: fall back to what this page has seen
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(Object.fromEntries(this.seen)));
+    } catch (error) {
+      // Quota or sandbox errors only weaken replay protection to this page
+    }
+  }
+
+  checkAndSet(nonce, expiresAt) {
+    this.load();
+
+    const now = Date.now();
+    for (const [seenNonce, seenExpiry] of this.seen) {
+      if (now >= seenExpiry) {
+        this.seen.delete(seenNonce);
+      }
+    }
+
+    if (this.seen.has(nonce)) {
+      return false;
+    }
+
+    this.seen.set(nonce, expiresAt);
+    if (this.seen.size > this.maxEntries) {
+      this.seen.delete(this.seen.keys().next().value);
+    }
+    this.save();
+    return true;
+  }
+}
+
+/**
+ * Issue a token carrying `user` for `appId`. `encryptionKey` (secret or
+ * keyring) encrypts the user context; without one it is only signed.
+ */
+export async function createLaunchToken(user, { appId, apiSecret, encryptionKey, ttlMs, now } = {}) {
+  if (!apiSecret) {
+    throw new Error('API secret is required to sign launch tokens');
+  }
+  if (!appId) {
+    throw new Error('App ID is required for launch tokens');
+  }
+  if (!user || user.id === undefined || user.id === null) {
+    throw new Error('Launch tokens need a user with an id');
+  }
+
+  const issuedAt = now || Date.now();
+  const claims = {
+    app_id: appId,
+    iat: issuedAt,
+    exp: issuedAt + (ttlMs || DEFAULT_LAUNCH_TTL),
+    nonce: randomHex(16)
+  };
+
+  if (encryptionKey) {
+    claims.user_enc = await sealEnvelope(EncryptionKeyring.from(encryptionKey), JSON.stringify(user), {
+      appId,
+      type: LAUNCH_CONTEXT_TYPE
+    });
+  } else {
+    claims.user = user;
+  }
+
+  const body = `${LAUNCH_TOKEN_PREFIX}.${bytesToBase64Url(toBytes(JSON.stringify(claims)))}`;
+  return `${body}.${await hmacSha256(apiSecret, body)}`;
+}
+
+/**
+ * Read a token's claims without verifying it
+ */
+export function decodeLaunchToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== LAUNCH_TOKEN_PREFIX) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(bytesToUtf8(base64UrlToBytes(parts[1])));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verify signature, app, lifetime and nonce, then decrypt the user context.
+ * Returns `{ valid: true, claims, user }` or `{ valid: false, reason }` with
+ * reason one of: missing, malformed, signature, app_mismatch, expired,
+ * not_yet_valid, decryption, replay.
+ */
+export async function verifyLaunchToken(token, options = {}) {
+  if (!token) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const claims = decodeLaunchToken(token);
+  if (!claims || !options.apiSecret || typeof claims.nonce !== 'string') {
+    return { valid: false, reason: 'malformed' };
+  }
+  // A token must name its user, or it would launch an anonymous session
+  if (!claims.user && !claims.user_enc) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const body = token.slice(0, token.lastIndexOf('.'));
+  const signature = token.slice(token.lastIndexOf('.') + 1);
+  if (!timingSafeEqual(signature, await hmacSha256(options.apiSecret, body))) {
+    return { valid: false, reason: 'signature' };
+  }
+
+  if (options.appId && claims.app_id !== options.appId) {
+    return { valid: false, reason: 'app_mismatch' };
+  }
+
+  const now = options.now || Date.now();
+  const clockSkewMs = options.clockSkewMs || 0;
+  if (typeof claims.exp !== 'number' || now - clockSkewMs >= claims.exp) {
+    return { valid: false, reason: 'expired' };
+  }
+  if (typeof claims.iat !== 'number' || claims.iat > now + clockSkewMs) {
+    return { valid: false, reason: 'not_yet_valid' };
+  }
+
+  let user = claims.user;
+  if (claims.user_enc) {
+    if (!options.encryptionKey) {
+      return { valid: false, reason: 'decryption' };
+    }
+    try {
+      user = JSON.parse(await openEnvelope(EncryptionKeyring.from(options.encryptionKey), claims.user_enc, {
+        appId: claims.app_id,
+        type: LAUNCH_CONTEXT_TYPE
+      }));
+    } catch (error) {
+      return { valid: false, reason: 'decryption' };
+    }
+  }
+
+  // Consumed last, so a token rejected for another reason does not burn its nonce
+  if (options.nonceStore && !await options.nonceStore.checkAndSet(claims.nonce, claims.exp + clockSkewMs)) {
+    return { valid: false, reason: 'replay' };
+  }
+
+  return { valid: true, claims, user };
+}
+
+/**
+ * `appUrl` with `iframe_mode=true`, the launch token and any extra `params`
+ */
+export async function createLaunchUrl(appUrl, user, options = {}) {
+  const url = new URL(appUrl, options.baseUrl);
+  url.searchParams.set('iframe_mode', 'true');
+  for (const [name, value] of Object.entries(options.params || {})) {
+    url.searchParams.set(name, value);
+  }
+  url.searchParams.set(LAUNCH_TOKEN_PARAM, await createLaunchToken(user, options));
+  return url.toString();
+}
+
+/**
+ * The launch token from a query string or URL, or null
+ */
+export function readLaunchToken(search) {
+  const query = search.includes('?') ? search.slice(search.indexOf('?')) : search;
+  return new URLSearchParams(query).get(LAUNCH_TOKEN_PARAM);
+}
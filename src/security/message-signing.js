@@ -0,0 +1,149 @@
+/**
+ * Message signing for iframe <-> host postMessage traffic
+ *
+ * Both directions sign and verify with the same scheme: HMAC-SHA256 over a
+ * canonical serialization of the message envelope, including a hash of the
+ * payload exactly as sent (so encrypted payloads are verified before decryption).
+ * ReplayGuard rejects stale timestamps and reused nonces.
+ */
+
+import { hmacSha256, sha256, randomHex, timingSafeEqual } from './crypto-provider.js';
+
+export const SIGNATURE_VERSION = 2;
+
+/**
+ * JSON with object keys sorted at every level, so both sides hash identical bytes
+ */
+export function canonicalize(value) {
+  if (value === undefined || value === null) {
+    return 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item)).join(',')}]`;
+  }
+
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+export function hashPayload(payload) {
+  return sha256(canonicalize(payload));
+}
+
+export function generateNonce() {
+  return randomHex(16);
+}
+
+/**
+ * The exact string that gets signed
+ */
+export async function buildSigningString(message) {
+  return [
+    `v${SIGNATURE_VERSION}`,
+    message.appId,
+    message.source,
+    message.type,
+    message.requestId === undefined || message.requestId === null ? '' : message.requestId,
+    message.nonce,
+    message.timestamp,
+    await hashPayload(message.payload)
+  ].join('\n');
+}
+
+/**
+ * Sign a protocol message ({appId, source, type, requestId, nonce, timestamp, payload})
+ */
+export async function signMessage(message, apiSecret) {
+  if (!apiSecret) {
+    throw new Error('API secret is required to sign messages');
+  }
+  return hmacSha256(apiSecret, await buildSigningString(message));
+}
+
+/**
+ * Verify a protocol message signature
+ */
+export async function verifyMessageSignature(message, apiSecret) {
+  if (!message || typeof message.signature !== 'string' || !message.nonce || !apiSecret) {
+    return false;
+  }
+
+  const expectedSignature = await signMessage(message, apiSecret);
+
+  // Constant-time comparison to prevent timing attacks
+  return timingSafeEqual(message.signature, expectedSignature);
+}
+
+/**
+ * Rejects messages outside the clock-skew window and nonces seen before.
+ * Nonces are kept only as long as their timestamp could still pass the skew
+ * check, and the cache never holds more than `maxEntries`.
+ *
+ * When the cache is full of live nonces, the oldest is dropped and the
+ * accepted window shrinks past its timestamp: anything that old is rejected
+ * as expired from then on, so a dropped nonce can never be replayed.
+ */
+export class ReplayGuard {
+  constructor(options = {}) {
+    this.maxClockSkewMs = options.maxClockSkewMs || 5 * 60 * 1000;
+    this.maxEntries = options.maxEntries || 1000;
+    this.seen = new Map();
+    // Timestamp of the newest nonce dropped while still live
+    this.evictedUntil = -Infinity;
+  }
+
+  /**
+   * Returns null if the message is fresh, otherwise the rejection reason
+   */
+  check(message, now = Date.now()) {
+    const timestamp = Date.parse(message.timestamp);
+    if (Number.isNaN(timestamp) || Math.abs(now - timestamp) > this.maxClockSkewMs ||
+        timestamp <= this.evictedUntil) {
+      return 'expired';
+    }
+
+    this.prune(now);
+
+    if (this.seen.has(message.nonce)) {
+      return 'replay';
+    }
+
+    this.seen.set(message.nonce, timestamp);
+    if (this.seen.size > this.maxEntries) {
+      this.evictOldest();
+    }
+
+    return null;
+  }
+
+  evictOldest() {
+    let oldestNonce = null;
+    let oldest = Infinity;
+    for (const [nonce, timestamp] of this.seen) {
+      if (timestamp < oldest) {
+        oldest = timestamp;
+        oldestNonce = nonce;
+      }
+    }
+    this.seen.delete(oldestNonce);
+    this.evictedUntil = Math.max(this.evictedUntil, oldest);
+  }
+
+  prune(now) {
+    for (const [nonce, timestamp] of this.seen) {
+      if (now - timestamp > this.maxClockSkewMs) {
+        this.seen.delete(nonce);
+      }
+    }
+  }
+
+  clear() {
+    this.seen.clear();
+    this.evictedUntil = -Infinity;
+  }
+}
@@ -0,0 +1,530 @@
+/**
+ * Rate limiting for VentureVerse SDK
+ *
+ * A RateLimiter applies one or more limits to each key, e.g. 10 per second
+ * and 300 per minute; a request is only counted if every limit allows it.
+ * Algorithms:
+ * - `sliding-window`: sliding window counter (current + weighted previous window)
+ * - `token-bucket`: `max` tokens, refilled at `max` per `windowMs`
+ *
+ * State lives in a store. MemoryRateLimitStore is synchronous and bounded by an
+ * LRU; RedisRateLimitStore shares limits across processes through any server
+ * speaking the Redis protocol. RateLimiter methods return plain values with a
+ * synchronous store and Promises with an async one, so `await` works for both.
+ *
+ * Quotas reported by a server (rate-limit headers, host messages) can be fed in
+ * with `applyQuota()`; the limiter then holds requests back until the server's
+ * window resets.
+ */
+
+export const RATE_LIMIT_ALGORITHMS = {
+  'sliding-window': slidingWindow,
+  'token-bucket': tokenBucket
+};
+
+/**
+ * Token bucket: state `{ tokens, updatedAt }`
+ */
+function tokenBucket(state, limit, now, cost) {
+  const rate = limit.max / limit.windowMs;
+  const tokens = state
+    ? Math.min(limit.max, state.tokens + Math.max(0, now - state.updatedAt) * rate)
+    : limit.max;
+
+  const allowed = tokens >= cost;
+  const left = allowed ? tokens - cost : tokens;
+
+  return {
+    allowed,
+    state: { tokens: left, updatedAt: now },
+    remaining: Math.floor(left),
+    resetAt: now + Math.ceil((limit.max - left) / rate),
+    retryAfter: allowed ? 0 : Math.ceil((cost - tokens) / rate)
+  };
+}
+
+/**
+ * Sliding window counter: state `{ window, current, previous }`. The previous
+ * window's count is weighted by how much of it still overlaps the sliding window.
+ */
+function slidingWindow(state, limit, now, cost) {
+  const { max, windowMs } = limit;
+  const window = Math.floor(now / windowMs);
+
+  let current = 0;
+  let previous = 0;
+  if (state && state.window === window) {
+    current = state.current;
+    previous = state.previous;
+  } else if (state && state.window === window - 1) {
+    previous = state.current;
+  }
+
+  const untilNextWindow = (window + 1) * windowMs - now;
+  const weighted = previous * untilNextWindow / windowMs;
+  const allowed = weighted + current + cost <= max;
+  if (allowed) {
+    current += cost;
+  }
+
+  let retryAfter = 0;
+  if (!allowed) {
+    if (previous > 0 && max - current - cost >= 0) {
+      // Allowed later in this window, once enough of the previous one slides out
+      retryAfter = Math.ceil(untilNextWindow - (max - current - cost) * windowMs / previous);
+    } else {
+      // Wait for the next window, where this window's count becomes the weighted one
+      retryAfter = untilNextWindow + (current > 0 ? Math.max(0, Math.ceil(windowMs * (1 - (max - cost) / current))) : 0);
+    }
+  }
+
+  return {
+    allowed,
+    state: { window, current, previous },
+    remaining: Math.max(0, Math.floor(max - weighted - current)),
+    resetAt: now + untilNextWindow,
+    retryAfter
+  };
+}
+
+/**
+ * In-process store. Keeps at most `maxKeys` keys, evicting the least recently
+ * used, and drops state once it can no longer affect a limit.
+ */
+export class MemoryRateLimitStore {
+  constructor(options = {}) {
+    this.maxKeys = options.maxKeys || 10000;
+    this.entries = new Map();
+  }
+
+  /**
+   * Run every limit for its key; state is only written if all of them allow
+   * the request (and never on a dry run)
+   */
+  consume(keys, limits, { cost = 1, now = Date.now(), dryRun = false } = {}) {
+    const results = keys.map((key, i) =>
+      RATE_LIMIT_ALGORITHMS[limits[i].algorithm](this.read(key, now), limits[i], now, cost)
+    );
+
+    if (!dryRun && results.every(result => result.allowed)) {
+      results.forEach((result, i) => this.write(keys[i], result.state, now + 2 * limits[i].windowMs));
+    }
+
+    return results.map(({ state, ...result }) => result);
+  }
+
+  read(key, now) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    this.entries.delete(key);
+    if (now >= entry.expiresAt) {
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.set(key, entry);
+    return entry.state;
+  }
+
+  write(key, state, expiresAt) {
+    this.entries.delete(key);
+    this.entries.set(key, { state, expiresAt });
+
+    while (this.entries.size > this.maxKeys) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(keys) {
+    keys.forEach(key => this.entries.delete(key));
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Same algorithms as above, run atomically for all of a request's limits.
+ * Replies are `{ allowed (0/1), remaining, resetAt, retryAfter }` per key.
+ */
+const REDIS_CONSUME_SCRIPT = `
+local now = tonumber(ARGV[1])
+local cost = tonumber(ARGV[2])
+local dryRun = ARGV[3] == '1'
+local results = {}
+local states = {}
+local allowedAll = true
+
+for i, key in ipairs(KEYS) do
+  local offset = 3 + (i - 1) * 3
+  local algorithm = ARGV[offset + 1]
+  local max = tonumber(ARGV[offset + 2])
+  local windowMs = tonumber(ARGV[offset + 3])
+  local raw = redis.call('GET', key)
+  local allowed, remaining, resetAt
+  local retryAfter = 0
+
+  if algorithm == 'token-bucket' then
+    local rate = max / windowMs
+    local tokens = max
+    if raw then
+      local storedTokens, updatedAt = string.match(raw, '^([^:]+):([^:]+)$')
+      tokens = math.min(max, tonumber(storedTokens) + math.max(0, now - tonumber(updatedAt)) * rate)
+    end
+    allowed = tokens >= cost
+    local left = tokens
+    if allowed then
+      left = tokens - cost
+    else
+      retryAfter = math.ceil((cost - tokens) / rate)
+    end
+    states[i] = string.format('%.17g:%.17g', left, now)
+    remaining = math.floor(left)
+    resetAt = now + math.ceil((max - left) / rate)
+  else
+    local window = math.floor(now / windowMs)
+    local current = 0
+    local previous = 0
+    if raw then
+      local storedWindow, storedCurrent, storedPrevious = string.match(raw, '^([^:]+):([^:]+):([^:]+)$')
+      storedWindow = tonumber(storedWindow)
+      if storedWindow == window then
+        current = tonumber(storedCurrent)
+        previous = tonumber(storedPrevious)
+      elseif storedWindow == window - 1 then
+        previous = tonumber(storedCurrent)
+      end
+    end
+    local untilNextWindow = (window + 1) * windowMs - now
+    local weighted = previous * untilNextWindow / windowMs
+    allowed = weighted + current + cost <= max
+    if allowed then
+      current = current + cost
+    elseif previous > 0 and max - current - cost >= 0 then
+      retryAfter = math.ceil(untilNextWindow - (max - current - cost) * windowMs / previous)
+    else
+      retryAfter = untilNextWindow
+      if current > 0 then
+        retryAfter = retryAfter + math.max(0, math.ceil(windowMs * (1 - (max - cost) / current)))
+      end
+    end
+    states[i] = string.format('%.17g:%.17g:%.17g', window, current, previous)
+    remaining = math.max(0, math.floor(max - weighted - current))
+    resetAt = now + untilNextWindow
+  end
+
+  if not allowed then
+    allowedAll = false
+  end
+  results[i] = { allowed and 1 or 0, remaining, resetAt, retryAfter }
+end
+
+if allowedAll and not dryRun then
+  for i, key in ipairs(KEYS) do
+    redis.call('SET', key, states[i], 'PX', math.ceil(2 * tonumber(ARGV[3 + (i - 1) * 3 + 3])))
+  end
+end
+
+return results
+`;
+
+/**
+ * Store for Redis and other servers speaking its protocol (Valkey, KeyDB, ...).
+ * `client` needs `sendCommand(args)` (node-redis v4) or `call(...args)` (ioredis).
+ */
+export class RedisRateLimitStore {
+  constructor(client) {
+    if (!client || (typeof client.sendCommand !== 'function' && typeof client.call !== 'function')) {
+      throw new Error('Redis client with sendCommand() or call() is required');
+    }
+    this.client = client;
+  }
+
+  async consume(keys, limits, { cost = 1, now = Date.now(), dryRun = false } = {}) {
+    const args = [now, cost, dryRun ? 1 : 0];
+    limits.forEach(limit => args.push(limit.algorithm, limit.max, limit.windowMs));
+
+    const reply = await this.command(['EVAL', REDIS_CONSUME_SCRIPT, keys.length, ...keys, ...args]);
+
+    return reply.map(([allowed, remaining, resetAt, retryAfter]) => ({
+      allowed: Number(allowed) === 1,
+      remaining: Number(remaining),
+      resetAt: Number(resetAt),
+      retryAfter: Number(retryAfter)
+    }));
+  }
+
+  async delete(keys) {
+    if (keys.length > 0) {
+      await this.command(['DEL', ...keys]);
+    }
+  }
+
+  command(args) {
+    const strings = args.map(String);
+    return typeof this.client.sendCommand === 'function'
+      ? this.client.sendCommand(strings)
+      : this.client.call(...strings);
+  }
+}
+
+/**
+ * Rate Limiter for API requests
+ *
+ * Options:
+ * - `limits`: `[{ max, windowMs, algorithm }]`; defaults to one limit of
+ *   `maxRequests` (100) per `windowMs` (1 minute), the pre-store options
+ * - `algorithm`: default for limits that name none (`sliding-window`)
+ * - `store`: MemoryRateLimitStore (default, `maxKeys` bounded) or RedisRateLimitStore
+ * - `prefix`: key prefix inside the store
+ *
+ * `consume()` and `check()` return `{ allowed, limit, remaining, resetAt,
+ * retryAfter, limits }` for the most restrictive limit, with `retryAfter` in
+ * ms and `resetAt` as a timestamp; `limits` has the per-limit detail.
+ */
+export class RateLimiter {
+  constructor(options = {}) {
+    const limits = options.limits || [{
+      max: options.maxRequests || 100,
+      windowMs: options.windowMs || 60 * 1000
+    }];
+
+    this.algorithm = options.algorithm || 'sliding-window';
+    this.limits = limits.map(limit => normalizeLimit(limit, this.algorithm));
+    this.store = options.store || new MemoryRateLimitStore({ maxKeys: options.maxKeys });
+    this.prefix = options.prefix || 'vv:rl:';
+    this.quotas = new Map();
+    this.maxQuotas = options.maxKeys || 10000;
+  }
+
+  /**
+   * Replace the limits, e.g. with the ones a host announces.
+   * Accepts `windowMs` or the snake_case `window_ms` wire format.
+   */
+  setLimits(limits) {
+    if (!Array.isArray(limits) || limits.length === 0) {
+      throw new Error('At least one rate limit is required');
+    }
+    this.limits = limits.map(limit => normalizeLimit({
+      ...limit,
+      windowMs: limit.windowMs !== undefined ? limit.windowMs : limit.window_ms
+    }, this.algorithm));
+  }
+
+  /**
+   * Record a quota reported by a server: `{ limit, remaining, resetAt, retryAfter }`
+   * (see parseRateLimitHeaders). Until `resetAt`, at most `remaining` more
+   * requests are allowed; a `retryAfter` blocks all requests for that long.
+   */
+  applyQuota(identifier, quota) {
+    if (!quota) {
+      return;
+    }
+
+    const now = Date.now();
+    let { remaining, resetAt } = quota;
+    if (quota.retryAfter > 0) {
+      remaining = 0;
+      resetAt = Math.max(resetAt || 0, now + quota.retryAfter);
+    }
+
+    if (typeof remaining !== 'number' || !(resetAt > now)) {
+      return;
+    }
+
+    this.quotas.delete(identifier);
+    this.quotas.set(identifier, { limit: quota.limit || null, remaining, resetAt });
+    if (this.quotas.size > this.maxQuotas) {
+      this.quotas.delete(this.quotas.keys().next().value);
+    }
+  }
+
+  /**
+   * The server quota in force for identifier, if any
+   */
+  getQuota(identifier) {
+    const quota = this.quotas.get(identifier);
+    if (quota && Date.now() >= quota.resetAt) {
+      this.quotas.delete(identifier);
+      return null;
+    }
+    return quota || null;
+  }
+
+  /**
+   * Count a request of `cost` units against every limit
+   */
+  consume(identifier, cost = 1) {
+    return this.run(identifier, { cost, dryRun: false });
+  }
+
+  /**
+   * Whether a request of `cost` units would be allowed, without counting it
+   */
+  check(identifier, cost = 1) {
+    return this.run(identifier, { cost, dryRun: true });
+  }
+
+  /**
+   * Check if request is allowed (and count it)
+   */
+  isAllowed(identifier) {
+    return whenResolved(this.consume(identifier), result => result.allowed);
+  }
+
+  /**
+   * Get remaining requests for identifier
+   */
+  getRemaining(identifier) {
+    return whenResolved(this.check(identifier, 0), result => result.remaining);
+  }
+
+  /**
+   * Milliseconds until the identifier may make another request (0 if it may now)
+   */
+  getRetryAfter(identifier) {
+    return whenResolved(this.check(identifier), result => result.retryAfter);
+  }
+
+  /**
+   * Timestamp at which the most restrictive limit is fully available again
+   */
+  getResetTime(identifier) {
+    return whenResolved(this.check(identifier, 0), result => result.resetAt);
+  }
+
+  reset(identifier) {
+    this.quotas.delete(identifier);
+    return this.store.delete(this.getKeys(identifier));
+  }
+
+  getKeys(identifier) {
+    return this.limits.map(limit => `${this.prefix}${identifier}:${limit.algorithm}:${limit.windowMs}`);
+  }
+
+  run(identifier, { cost, dryRun }) {
+    const now = Date.now();
+    const quota = this.getQuota(identifier);
+
+    // Nothing left of the server's quota: don't count against local limits
+    if (quota && quota.remaining < cost) {
+      return {
+        allowed: false,
+        limit: quota.limit,
+        remaining: 0,
+        resetAt: quota.resetAt,
+        retryAfter: quota.resetAt - now,
+        limits: [],
+        quota
+      };
+    }
+
+    const results = this.store.consume(this.getKeys(identifier), this.limits, { cost, now, dryRun });
+    return whenResolved(results, (resolved) => {
+      const summary = this.summarize(resolved);
+      if (quota) {
+        if (summary.allowed && !dryRun) {
+          quota.remaining -= cost;
+        }
+        summary.quota = quota;
+        summary.remaining = Math.min(summary.remaining, quota.remaining);
+      }
+      return summary;
+    });
+  }
+
+  summarize(results) {
+    const limits = results.map((result, i) => ({
+      ...result,
+      limit: this.limits[i].max,
+      windowMs: this.limits[i].windowMs
+    }));
+
+    const tightest = limits.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    const denied = limits.filter(result => !result.allowed);
+
+    return {
+      allowed: denied.length === 0,
+      limit: tightest.limit,
+      remaining: tightest.remaining,
+      resetAt: tightest.resetAt,
+      retryAfter: denied.reduce((longest, result) => Math.max(longest, result.retryAfter), 0),
+      limits
+    };
+  }
+}
+
+/**
+ * Read rate-limit headers from a fetch Response's Headers (or a plain object
+ * with lower-cased names). Understands Retry-After (seconds or HTTP date),
+ * X-RateLimit-Limit/Remaining/Reset (Reset as Unix seconds) and the
+ * RateLimit-Limit/Remaining/Reset draft headers (Reset as seconds from now).
+ * Returns `{ limit, remaining, resetAt, retryAfter }` (ms) or null.
+ */
+export function parseRateLimitHeaders(headers, now = Date.now()) {
+  if (!headers) {
+    return null;
+  }
+
+  const get = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+  const number = name => {
+    const value = get(name);
+    return value === null || value === undefined || value === '' || Number.isNaN(Number(value)) ? null : Number(value);
+  };
+
+  const limit = number('x-ratelimit-limit') ?? number('ratelimit-limit');
+  const remaining = number('x-ratelimit-remaining') ?? number('ratelimit-remaining');
+
+  let resetAt = null;
+  const reset = number('x-ratelimit-reset');
+  if (reset !== null) {
+    // Some servers send seconds from now rather than a Unix timestamp
+    resetAt = reset > 1e9 ? reset * 1000 : now + reset * 1000;
+  } else if (number('ratelimit-reset') !== null) {
+    resetAt = now + number('ratelimit-reset') * 1000;
+  }
+
+  let retryAfter = null;
+  const retryAfterHeader = get('retry-after');
+  if (retryAfterHeader) {
+    const seconds = Number(retryAfterHeader);
+    if (Number.isFinite(seconds)) {
+      retryAfter = Math.max(0, seconds * 1000);
+    } else if (!Number.isNaN(Date.parse(retryAfterHeader))) {
+      retryAfter = Math.max(0, Date.parse(retryAfterHeader) - now);
+    }
+  }
+
+  if (limit === null && remaining === null && resetAt === null && retryAfter === null) {
+    return null;
+  }
+  return { limit, remaining, resetAt, retryAfter };
+}
+
+function normalizeLimit(limit, defaultAlgorithm) {
+  const algorithm = limit.algorithm || defaultAlgorithm;
+  if (!RATE_LIMIT_ALGORITHMS[algorithm]) {
+    throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+  }
+  if (!(limit.max > 0) || !(limit.windowMs > 0)) {
+    throw new Error('Rate limits need a positive max and windowMs');
+  }
+  return { algorithm, max: limit.max, windowMs: limit.windowMs };
+}
+
+/**
+ * Apply `fn` now for plain values, or once a Promise resolves
+ */
+function whenResolved(value, fn) {
+  return value && typeof value.then === 'function' ? value.then(fn) : fn(value);
+}
+
+export default RateLimiter;
@@ -0,0 +1,149 @@
+/**
+ * Signed session tokens
+ *
+ * Format: `vvs1.<base64url(claims JSON)>.<hex HMAC-SHA256>`, signed with the
+ * app's API secret so any backend holding the secret can verify a token
+ * without a lookup. Claims:
+ * { app_id, user_id, scopes, iat, exp, jti }
+ *
+ * Revocation is by token id (`jti`) through a RevocationList; the in-memory
+ * default forgets entries once the token would have expired anyway.
+ */
+
+import {
+  hmacSha256,
+  timingSafeEqual,
+  randomHex,
+  bytesToBase64Url,
+  base64UrlToBytes,
+  toBytes,
+  bytesToUtf8
+} from './crypto-provider.js';
+
+export const SESSION_TOKEN_PREFIX = 'vvs1';
+export const DEFAULT_SESSION_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Default revocation list. Any object with async-or-sync
+ * `revoke(tokenId, expiresAt)` and `isRevoked(tokenId)` can replace it,
+ * e.g. one backed by Redis or a database table.
+ */
+export class InMemoryRevocationList {
+  constructor() {
+    this.revoked = new Map();
+  }
+
+  revoke(tokenId, expiresAt = Date.now() + DEFAULT_SESSION_TTL) {
+    this.prune();
+    this.revoked.set(tokenId, expiresAt);
+  }
+
+  isRevoked(tokenId) {
+    const expiresAt = this.revoked.get(tokenId);
+    if (expiresAt === undefined) {
+      return false;
+    }
+    if (Date.now() >= expiresAt) {
+      this.revoked.delete(tokenId);
+      return false;
+    }
+    return true;
+  }
+
+  prune(now = Date.now()) {
+    for (const [tokenId, expiresAt] of this.revoked) {
+      if (now >= expiresAt) {
+        this.revoked.delete(tokenId);
+      }
+    }
+  }
+
+  clear() {
+    this.revoked.clear();
+  }
+}
+
+/**
+ * Issue a token for `{ appId, userId, scopes }`
+ */
+export async function createSessionToken({ appId, userId, scopes = [] }, apiSecret, options = {}) {
+  if (!apiSecret) {
+    throw new Error('API secret is required to sign session tokens');
+  }
+  if (!appId) {
+    throw new Error('App ID is required for session tokens');
+  }
+
+  const now = options.now || Date.now();
+  const claims = {
+    app_id: appId,
+    user_id: userId === undefined ? null : userId,
+    scopes: [...scopes],
+    iat: now,
+    exp: now + (options.ttlMs || DEFAULT_SESSION_TTL),
+    jti: randomHex(16)
+  };
+
+  const body = `${SESSION_TOKEN_PREFIX}.${bytesToBase64Url(toBytes(JSON.stringify(claims)))}`;
+  return `${body}.${await hmacSha256(apiSecret, body)}`;
+}
+
+/**
+ * Read a token's claims without verifying it (e.g. to schedule a refresh)
+ */
+export function decodeSessionToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== SESSION_TOKEN_PREFIX) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(bytesToUtf8(base64UrlToBytes(parts[1])));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verify signature, expiry, revocation, app and scopes.
+ * Returns `{ valid: true, claims }` or `{ valid: false, reason }` with reason
+ * one of: malformed, signature, expired, revoked, app_mismatch, scope.
+ */
+export async function verifySessionToken(token, apiSecret, options = {}) {
+  const claims = decodeSessionToken(token);
+  if (!claims || !apiSecret) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const body = token.slice(0, token.lastIndexOf('.'));
+  const signature = token.slice(token.lastIndexOf('.') + 1);
+  if (!timingSafeEqual(signature, await hmacSha256(apiSecret, body))) {
+    return { valid: false, reason: 'signature' };
+  }
+
+  const now = options.now || Date.now();
+  const clockSkewMs = options.clockSkewMs || 0;
+  if (typeof claims.exp !== 'number' || now - clockSkewMs >= claims.exp) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  if (options.appId && claims.app_id !== options.appId) {
+    return { valid: false, reason: 'app_mismatch' };
+  }
+
+  const requiredScopes = options.scopes || [];
+  const grantedScopes = Array.isArray(claims.scopes) ? claims.scopes : [];
+  if (!requiredScopes.every(scope => grantedScopes.includes(scope))) {
+    return { valid: false, reason: 'scope' };
+  }
+
+  if (options.revocationList && await options.revocationList.isRevoked(claims.jti)) {
+    return { valid: false, reason: 'revoked' };
+  }
+
+  return { valid: true, claims };
+}
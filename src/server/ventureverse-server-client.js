@@ -0,0 +1,322 @@
+/**
+ * VentureVerse Server Client
+ *
+ * Signed REST client for app backends (Node 18+), so billing decisions run on
+ * the server instead of in the iframe:
+ * - Every request carries X-VentureVerse-App-ID/Timestamp/Nonce/Signature
+ *   headers from VentureVerseAuth.signRequest
+ * - Timeouts, retry with exponential backoff (honoring Retry-After)
+ * - Typed errors and validated response shapes
+ */
+
+import { VentureVerseAuth } from '../security/auth-system.js';
+import { randomHex } from '../security/crypto-provider.js';
+import { parseRateLimitHeaders } from '../security/rate-limiter.js';
+import { createLogger } from '../logging/logger.js';
+import {
+  ERROR_CODES,
+  VentureVerseError,
+  AuthError,
+  RateLimitError,
+  InsufficientCreditsError,
+  TimeoutError,
+  NetworkError,
+  ProtocolError,
+  NotFoundError
+} from '../errors/ventureverse-error.js';
+
+export {
+  VentureVerseError,
+  AuthError,
+  RateLimitError,
+  InsufficientCreditsError,
+  TimeoutError,
+  NetworkError,
+  ProtocolError,
+  NotFoundError
+};
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Response shape checks; each returns an error message or null
+ */
+const RESPONSE_VALIDATORS = {
+  user: (data) => (data && data.user && data.user.id !== undefined ? null : 'missing user'),
+  credits: (data) => {
+    if (!data || !data.credit_info) return 'missing credit_info';
+    if (!isNumber(data.total_balance)) return 'missing total_balance';
+    return null;
+  },
+  deduction: (data) => {
+    if (!data || data.success !== true) return 'success flag not set';
+    return isNumber(data.credits_deducted) ? null : 'missing credits_deducted';
+  },
+  estimation: (data) => (data && isNumber(data.credits) ? null : 'missing credits'),
+  success: (data) => (data && data.success === true ? null : 'success flag not set')
+};
+
+export class VentureVerseServerClient {
+  constructor(options = {}) {
+    if (!options.appId) {
+      throw new Error('App ID is required');
+    }
+
+    if (!options.apiSecret) {
+      throw new Error('API secret is required to sign requests');
+    }
+
+    this.options = {
+      apiEndpoint: 'https://api.ventureverse.com',
+      timeout: 10000,
+      retryAttempts: 3,
+      retryDelay: 500,
+      maxRetryDelay: 10000,
+      debug: false,
+      ...options
+    };
+
+    this.logger = options.logger || createLogger({
+      namespace: 'server',
+      level: this.options.debug ? 'debug' : 'warn'
+    });
+    this.auth = options.auth || new VentureVerseAuth({ apiEndpoint: this.options.apiEndpoint });
+    this.fetch = options.fetch || globalThis.fetch;
+
+    if (typeof this.fetch !== 'function') {
+      throw new Error('fetch is not available; pass options.fetch or use Node 18+');
+    }
+  }
+
+  /**
+   * Look up a user by id
+   */
+  async getUser(userId) {
+    const data = await this.request('GET', `/v1/users/${encodeURIComponent(userId)}`, { validate: 'user' });
+    return data.user;
+  }
+
+  /**
+   * Current balance: `{ credit_info, total_balance }`
+   */
+  async getCreditBalance(userId) {
+    return this.request('GET', `/v1/users/${encodeURIComponent(userId)}/credits`, { validate: 'credits' });
+  }
+
+  /**
+   * Charge a user. An idempotency key is generated when none is given, so the
+   * client's own retries never charge twice; pass your own to make the charge
+   * idempotent across processes.
+   */
+  async deductCredits(userId, charge = {}) {
+    if (!isNumber(charge.cost) || charge.cost < 0) {
+      throw new Error('cost must be a non-negative USD amount');
+    }
+
+    const idempotencyKey = charge.idempotencyKey || randomHex(16);
+
+    return this.request('POST', `/v1/users/${encodeURIComponent(userId)}/credits/deduct`, {
+      body: {
+        cost: charge.cost,
+        description: charge.description || '',
+        type: charge.type || 'app_usage',
+        estimation: false,
+        feature: charge.feature,
+        quantity: charge.quantity,
+        usage: charge.usage,
+        idempotency_key: idempotencyKey
+      },
+      idempotencyKey,
+      validate: 'deduction'
+    });
+  }
+
+  /**
+   * Price a charge without deducting
+   */
+  async estimateCredits(userId, cost, options = {}) {
+    return this.request('POST', `/v1/users/${encodeURIComponent(userId)}/credits/deduct`, {
+      body: {
+        cost,
+        description: options.description || '',
+        feature: options.feature,
+        quantity: options.quantity,
+        estimation: true
+      },
+      // Estimates have no side effects, so they are safe to retry
+      retry: true,
+      validate: 'estimation'
+    });
+  }
+
+  /**
+   * Record an activity. Not retried unless `options.idempotencyKey` is set,
+   * since the platform would log a retried activity twice.
+   */
+  async trackActivity(activity, options = {}) {
+    return this.request('POST', '/v1/activity', {
+      body: { app_id: this.options.appId, ...activity },
+      idempotencyKey: options.idempotencyKey,
+      validate: 'success'
+    });
+  }
+
+  /**
+   * Verify a session token from the iframe SDK and return its claims.
+   * Throws AuthError (code SESSION_INVALID) for invalid, expired or revoked
+   * tokens; `details.reason` says which.
+   */
+  async verifySessionToken(token, options = {}) {
+    const result = await this.auth.verifySession(token, this.options.apiSecret, {
+      appId: this.options.appId,
+      ...options
+    });
+
+    if (!result.valid) {
+      throw new AuthError(`Invalid session token (${result.reason})`, {
+        code: ERROR_CODES.SESSION_INVALID,
+        details: { reason: result.reason }
+      });
+    }
+    return result.claims;
+  }
+
+  /**
+   * Signed request with timeout, retry and response validation.
+   * GETs and requests with an idempotency key are retried; other POSTs are not.
+   */
+  async request(method, path, options = {}) {
+    const canRetry = options.retry !== undefined
+      ? options.retry
+      : method === 'GET' || Boolean(options.idempotencyKey);
+    const maxAttempts = canRetry ? this.options.retryAttempts + 1 : 1;
+
+    let lastError;
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      try {
+        return await this.send(method, path, options);
+      } catch (error) {
+        lastError = error;
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (!error.retryable || delay === null || attempt === maxAttempts - 1) {
+          break;
+        }
+
+        this.log(`Retrying ${method} ${path} in ${delay}ms (${error.code})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    throw lastError;
+  }
+
+  async send(method, path, options) {
+    const url = new URL(`${this.options.apiEndpoint}${path}`);
+    const body = options.body === undefined ? undefined : JSON.stringify(options.body);
+    const headers = {
+      'Content-Type': 'application/json',
+      ...await this.auth.signRequest({
+        appId: this.options.appId,
+        method,
+        path: `${url.pathname}${url.search}`,
+        body: body || ''
+      }, this.options.apiSecret)
+    };
+    if (options.idempotencyKey) {
+      headers['Idempotency-Key'] = options.idempotencyKey;
+    }
+
+    let response;
+    try {
+      response = await this.fetch(url.toString(), {
+        method,
+        headers,
+        body,
+        signal: AbortSignal.timeout(this.options.timeout)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        throw new TimeoutError(`${method} ${path} timed out after ${this.options.timeout}ms`, { cause: error });
+      }
+      throw new NetworkError(`${method} ${path} failed: ${error.message}`, { cause: error });
+    }
+
+    const data = await this.readBody(response);
+
+    if (!response.ok) {
+      throw this.createHttpError(method, path, response, data);
+    }
+
+    const validator = options.validate && RESPONSE_VALIDATORS[options.validate];
+    const problem = validator ? validator(data) : null;
+    if (problem) {
+      throw new ProtocolError(`Unexpected response from ${method} ${path}: ${problem}`, {
+        code: ERROR_CODES.INVALID_RESPONSE,
+        status: response.status,
+        details: data
+      });
+    }
+
+    return data;
+  }
+
+  async readBody(response) {
+    const text = await response.text();
+    if (!text) return null;
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return { raw: text };
+    }
+  }
+
+  createHttpError(method, path, response, data) {
+    const { status } = response;
+    const message = (data && data.error) || `${method} ${path} failed with status ${status}`;
+    const details = { status, details: data };
+
+    if (status === 401 || status === 403) {
+      return new AuthError(message, details);
+    }
+    if (status === 402) {
+      return new InsufficientCreditsError(message, {
+        ...details,
+        required: data && data.required,
+        available: data && data.available
+      });
+    }
+    if (status === 404) {
+      return new NotFoundError(message, details);
+    }
+    if (status === 429) {
+      const rateLimit = parseRateLimitHeaders(response.headers);
+      return new RateLimitError(message, { ...details, retryAfter: rateLimit && rateLimit.retryAfter });
+    }
+
+    if (status >= 500) {
+      return new NetworkError(message, { ...details, code: ERROR_CODES.SERVICE_UNAVAILABLE });
+    }
+    return new VentureVerseError(message, { ...details, code: (data && data.code) || ERROR_CODES.UNKNOWN });
+  }
+
+  /**
+   * Backoff before the next attempt, or null when the server asked for a
+   * longer wait than maxRetryDelay: retrying early would only be rejected again
+   */
+  getRetryDelay(error, attempt) {
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      return error.retryAfter <= this.options.maxRetryDelay ? error.retryAfter : null;
+    }
+    return Math.min(this.options.retryDelay * Math.pow(2, attempt), this.options.maxRetryDelay);
+  }
+
+  log(...args) {
+    this.logger.debug(...args);
+  }
+}
+
+export const createVentureVerseServerClient = (options) => new VentureVerseServerClient(options);
+
+export default VentureVerseServerClient;
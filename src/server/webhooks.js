@@ -0,0 +1,445 @@
+/**
+ * VentureVerse Webhooks
+ *
+ * Verifies and dispatches events the platform POSTs to an app backend
+ * (credit top-ups, app status changes, API key rotations):
+ * - Signed like VentureVerseAuth.generateSignature, with the raw body bound in:
+ *   X-VentureVerse-Signature = HMAC-SHA256(apiSecret, `${appId}:${timestamp}:${body}`)
+ * - Timestamps outside `toleranceMs` are rejected
+ * - Each event id is processed once (redeliveries are acknowledged, not re-run)
+ * - Bodies are parsed into typed events; Express and Node `http` adapters
+ *
+ * WebhookSender signs and delivers events the same way, for local tests.
+ */
+
+import { hmacSha256, timingSafeEqual, randomHex } from '../security/crypto-provider.js';
+import { InMemoryNonceStore } from '../security/auth-system.js';
+import { ERROR_CODES, AuthError, ProtocolError, VentureVerseError } from '../errors/ventureverse-error.js';
+import { createLogger } from '../logging/logger.js';
+
+export const WEBHOOK_HEADERS = {
+  APP_ID: 'x-ventureverse-app-id',
+  TIMESTAMP: 'x-ventureverse-timestamp',
+  SIGNATURE: 'x-ventureverse-signature'
+};
+
+export const WEBHOOK_EVENT_TYPES = {
+  CREDITS_TOPPED_UP: 'credits.topped_up',
+  APP_STATUS_CHANGED: 'app.status_changed',
+  API_KEY_ROTATED: 'api_key.rotated'
+};
+
+export const APP_STATUSES = ['dev', 'reviewing', 'disabled'];
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isString = value => typeof value === 'string' && value.length > 0;
+
+/**
+ * Event `data` checks per type; each returns an error message or null
+ */
+const EVENT_VALIDATORS = {
+  [WEBHOOK_EVENT_TYPES.CREDITS_TOPPED_UP]: (data) => {
+    if (data.user_id === undefined || data.user_id === null) return 'missing user_id';
+    if (!isNumber(data.credits) || data.credits <= 0) return 'credits must be a positive number';
+    if (data.total_balance !== undefined && !isNumber(data.total_balance)) return 'total_balance must be a number';
+    return null;
+  },
+  [WEBHOOK_EVENT_TYPES.APP_STATUS_CHANGED]: (data) => {
+    if (!APP_STATUSES.includes(data.status)) return `unknown status ${data.status}`;
+    if (data.previous_status !== undefined && !APP_STATUSES.includes(data.previous_status)) {
+      return `unknown previous_status ${data.previous_status}`;
+    }
+    return null;
+  },
+  [WEBHOOK_EVENT_TYPES.API_KEY_ROTATED]: (data) => {
+    if (!isString(data.key_id)) return 'missing key_id';
+    if (data.previous_key_expires_at !== undefined && Number.isNaN(Date.parse(data.previous_key_expires_at))) {
+      return 'previous_key_expires_at must be a date';
+    }
+    return null;
+  }
+};
+
+/**
+ * The signature of one delivery
+ */
+export async function signWebhookPayload(appId, timestamp, body, apiSecret) {
+  return hmacSha256(apiSecret, `${appId}:${timestamp}:${body}`);
+}
+
+/**
+ * Turn a raw body into `{ id, type, appId, createdAt, data }`. Throws
+ * ProtocolError INVALID_EVENT for malformed bodies and, unless
+ * `allowUnknownTypes`, for types without a validator.
+ */
+export function parseWebhookEvent(body, options = {}) {
+  let raw;
+  try {
+    raw = JSON.parse(body);
+  } catch (error) {
+    throw invalidEvent('Webhook body is not JSON', { cause: error });
+  }
+
+  if (!raw || typeof raw !== 'object' || !isString(raw.id) || !isString(raw.type)) {
+    throw invalidEvent('Webhook event needs an id and a type');
+  }
+
+  const data = raw.data && typeof raw.data === 'object' ? raw.data : {};
+  const validate = EVENT_VALIDATORS[raw.type];
+  if (validate) {
+    const problem = validate(data);
+    if (problem) {
+      throw invalidEvent(`Invalid ${raw.type} event: ${problem}`, { details: { id: raw.id, type: raw.type } });
+    }
+  } else if (options.allowUnknownTypes === false) {
+    throw invalidEvent(`Unknown webhook event type: ${raw.type}`, { details: { id: raw.id, type: raw.type } });
+  }
+
+  const createdAt = Date.parse(raw.created_at);
+  return {
+    id: raw.id,
+    type: raw.type,
+    appId: raw.app_id,
+    createdAt: Number.isNaN(createdAt) ? null : createdAt,
+    data
+  };
+}
+
+function invalidEvent(message, options = {}) {
+  return new ProtocolError(message, { code: ERROR_CODES.INVALID_EVENT, ...options });
+}
+
+/**
+ * Verifies deliveries and dispatches them to handlers registered with `on()`.
+ *
+ * Options:
+ * - `apiSecret`: the app's secret; an array accepts any of them (during a key rotation)
+ * - `resolveSecret(appId)` / `secrets` (appId -> secret): for several apps, like SecurityMiddleware
+ * - `toleranceMs`: accepted timestamp drift (default: 5 minutes)
+ * - `eventStore`: remembers processed event ids; anything with `checkAndSet(id, expiresAt)`
+ *   and optionally `delete(id)` (default: InMemoryNonceStore)
+ * - `dedupeTtlMs`: how long an event id is remembered (default: 24 hours)
+ * - `allowUnknownTypes`: accept event types this version does not know (default: true)
+ */
+export class WebhookVerifier {
+  constructor(options = {}) {
+    this.options = {
+      toleranceMs: 5 * 60 * 1000,
+      dedupeTtlMs: 24 * 60 * 60 * 1000,
+      allowUnknownTypes: true,
+      ...options
+    };
+
+    if (options.resolveSecret) {
+      this.resolveSecret = options.resolveSecret;
+    } else if (options.secrets) {
+      this.resolveSecret = appId => options.secrets[appId] || null;
+    } else if (options.apiSecret) {
+      this.resolveSecret = () => options.apiSecret;
+    } else {
+      throw new Error('WebhookVerifier needs an apiSecret, a secrets map or a resolveSecret function');
+    }
+
+    this.eventStore = options.eventStore || new InMemoryNonceStore();
+    this.logger = options.logger || createLogger({ namespace: 'webhooks' });
+    this.handlers = new Map();
+    // appId:eventId -> promise of the delivery being dispatched
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Handle one event type, or every event with '*'. Handlers may be async.
+   */
+  on(type, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for ${type} must be a function`);
+    }
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+    return this;
+  }
+
+  off(type, handler) {
+    if (this.handlers.has(type)) {
+      this.handlers.get(type).delete(handler);
+    }
+    return this;
+  }
+
+  /**
+   * Check signature and timestamp and parse the event. Does not dedupe.
+   * `body` must be the raw request body (string or Buffer), not re-serialized JSON.
+   */
+  async verify(body, headers) {
+    const text = typeof body === 'string' ? body : bodyToString(body);
+    const appId = getHeader(headers, WEBHOOK_HEADERS.APP_ID);
+    const timestamp = getHeader(headers, WEBHOOK_HEADERS.TIMESTAMP);
+    const signature = getHeader(headers, WEBHOOK_HEADERS.SIGNATURE);
+
+    if (!appId || !timestamp || !signature) {
+      throw new AuthError('Missing webhook signature headers', { details: { reason: 'missing_headers' } });
+    }
+
+    const sentAt = Number(timestamp);
+    if (!Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > this.options.toleranceMs) {
+      throw new AuthError('Webhook timestamp outside tolerance', { details: { reason: 'timestamp' } });
+    }
+
+    const resolved = await this.resolveSecret(appId);
+    const secrets = (Array.isArray(resolved) ? resolved : [resolved]).filter(Boolean);
+    if (secrets.length === 0) {
+      throw new AuthError(`Unknown app ${appId}`, { code: ERROR_CODES.INVALID_CREDENTIALS });
+    }
+
+    let isValid = false;
+    for (const secret of secrets) {
+      if (timingSafeEqual(signature, await signWebhookPayload(appId, timestamp, text, secret))) {
+        isValid = true;
+        break;
+      }
+    }
+    if (!isValid) {
+      throw new AuthError('Invalid webhook signature', { code: ERROR_CODES.INVALID_SIGNATURE });
+    }
+
+    const event = parseWebhookEvent(text, { allowUnknownTypes: this.options.allowUnknownTypes });
+    if (event.appId && event.appId !== appId) {
+      throw invalidEvent('Webhook event belongs to another app', { details: { id: event.id } });
+    }
+    return { ...event, appId };
+  }
+
+  /**
+   * Verify, dedupe and dispatch one delivery. Resolves `{ event, duplicate }`;
+   * a duplicate is not dispatched again. A redelivery that arrives while the
+   * first delivery is still running waits for it and shares its outcome. If a
+   * handler throws, the event id is forgotten (when the store supports
+   * `delete`) so the platform's retry runs it.
+   */
+  async handle(body, headers) {
+    const event = await this.verify(body, headers);
+    const key = `${event.appId}:${event.id}`;
+
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      this.logger.info('Webhook event already in progress:', event.type, event.id);
+      await pending;
+      return { event, duplicate: true };
+    }
+
+    const run = this.processEvent(key, event);
+    this.inFlight.set(key, run);
+    try {
+      return await run;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  async processEvent(key, event) {
+    const isFirst = await this.eventStore.checkAndSet(key, Date.now() + this.options.dedupeTtlMs);
+    if (!isFirst) {
+      this.logger.info('Duplicate webhook event:', event.type, event.id);
+      return { event, duplicate: true };
+    }
+
+    try {
+      await this.dispatch(event);
+    } catch (error) {
+      if (typeof this.eventStore.delete === 'function') {
+        await this.eventStore.delete(key);
+      }
+      throw error;
+    }
+    return { event, duplicate: false };
+  }
+
+  async dispatch(event) {
+    const handlers = [...(this.handlers.get(event.type) || []), ...(this.handlers.get('*') || [])];
+    if (handlers.length === 0) {
+      this.logger.debug('No handler for webhook event:', event.type);
+    }
+    for (const handler of handlers) {
+      await handler(event);
+    }
+  }
+
+  /**
+   * Node `http` handler (reads the raw body itself)
+   */
+  http() {
+    return (req, res) => readBody(req)
+      .then(body => this.settle(body, req.headers), error => ({ error }))
+      .then(outcome => this.respond(res, outcome));
+  }
+
+  /**
+   * Express/Connect handler. Mount it behind a raw body parser, e.g.
+   * `app.post('/webhooks', express.raw({ type: 'application/json' }), webhooks.express())`;
+   * without one the body is read from the stream.
+   */
+  express() {
+    return (req, res, next) => {
+      readExpressBody(req)
+        .then(body => this.settle(body, req.headers), error => ({ error }))
+        .then(outcome => this.respond(res, outcome))
+        .catch(next);
+    };
+  }
+
+  async settle(body, headers) {
+    try {
+      return await this.handle(body, headers);
+    } catch (error) {
+      return { error };
+    }
+  }
+
+  respond(res, outcome) {
+    const { error } = outcome;
+    if (!error) {
+      return sendJson(res, 200, { received: true, duplicate: outcome.duplicate });
+    }
+
+    if (error instanceof AuthError) {
+      this.logger.warn('Rejected webhook:', error);
+      return sendJson(res, 401, { error: error.message, code: error.code });
+    }
+    if (error instanceof ProtocolError && error.code === ERROR_CODES.INVALID_EVENT) {
+      this.logger.warn('Rejected webhook:', error);
+      return sendJson(res, 400, { error: error.message, code: error.code });
+    }
+
+    // Handler failures get a 500 so the platform redelivers
+    this.logger.error('Webhook handler failed:', error);
+    return sendJson(res, 500, {
+      error: 'Webhook handler failed',
+      code: error instanceof VentureVerseError ? error.code : ERROR_CODES.UNKNOWN
+    });
+  }
+}
+
+/**
+ * Signs and POSTs events like the platform does. For tests and local development.
+ */
+export class WebhookSender {
+  constructor(options = {}) {
+    if (!options.appId) {
+      throw new Error('App ID is required');
+    }
+    if (!options.apiSecret) {
+      throw new Error('API secret is required to sign webhooks');
+    }
+    this.appId = options.appId;
+    this.apiSecret = options.apiSecret;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  /**
+   * Event body for `type`; `id` and `created_at` are generated unless given
+   */
+  createEvent(type, data = {}, options = {}) {
+    return {
+      id: options.id || `evt_${randomHex(12)}`,
+      type,
+      app_id: this.appId,
+      created_at: new Date(options.createdAt || Date.now()).toISOString(),
+      data
+    };
+  }
+
+  /**
+   * `{ body, headers }` of a signed delivery. `timestamp` can be set to test tolerance.
+   */
+  async buildRequest(event, options = {}) {
+    const body = typeof event === 'string' ? event : JSON.stringify(event);
+    const timestamp = String(options.timestamp || Date.now());
+    return {
+      body,
+      headers: {
+        'Content-Type': 'application/json',
+        [WEBHOOK_HEADERS.APP_ID]: this.appId,
+        [WEBHOOK_HEADERS.TIMESTAMP]: timestamp,
+        [WEBHOOK_HEADERS.SIGNATURE]: await signWebhookPayload(this.appId, timestamp, body, options.apiSecret || this.apiSecret)
+      }
+    };
+  }
+
+  /**
+   * POST an event (or `type` + `data`) to `url`; resolves `{ status, body, event }`
+   */
+  async send(url, typeOrEvent, data, options = {}) {
+    if (typeof this.fetch !== 'function') {
+      throw new Error('fetch is not available; pass options.fetch or use Node 18+');
+    }
+
+    const event = typeof typeOrEvent === 'string' ? this.createEvent(typeOrEvent, data, options) : typeOrEvent;
+    const request = await this.buildRequest(event, options);
+    const response = await this.fetch(url, { method: 'POST', headers: request.headers, body: request.body });
+
+    let body = null;
+    try {
+      body = await response.json();
+    } catch (error) {
+      // Not every receiver answers with JSON
+    }
+    return { status: response.status, body, event };
+  }
+}
+
+export const createWebhookVerifier = (options) => new WebhookVerifier(options);
+
+/**
+ * Read a header from a Node request (lower-cased keys), a fetch Headers object or a plain object
+ */
+function getHeader(headers = {}, name) {
+  if (typeof headers.get === 'function') {
+    return headers.get(name);
+  }
+  const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name);
+  const value = key === undefined ? undefined : headers[key];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function isBytes(value) {
+  return value instanceof Uint8Array;
+}
+
+function bodyToString(body) {
+  if (isBytes(body)) {
+    return new TextDecoder().decode(body);
+  }
+  throw invalidEvent('Webhook body must be the raw request body (string or Buffer)');
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function readExpressBody(req) {
+  if (typeof req.body === 'string' || isBytes(req.body)) {
+    return Promise.resolve(req.body);
+  }
+  if (req.rawBody !== undefined) {
+    return Promise.resolve(req.rawBody);
+  }
+  // A JSON parser already consumed the stream; re-serializing would not match the signature
+  if (req.body !== undefined) {
+    return Promise.reject(invalidEvent('Webhook body was already parsed; mount express.raw() in front of the webhook route'));
+  }
+  return readBody(req);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+export default WebhookVerifier;
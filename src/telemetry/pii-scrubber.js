@@ -0,0 +1,97 @@
+/**
+ * PII scrubbing for telemetry
+ *
+ * Removes what must never leave the browser in an error report:
+ * - Values of sensitive keys (the URL params SecureEncryption encrypts, plus
+ *   anything named like a secret, token, password or signature)
+ * - Email addresses, bearer tokens, session tokens, API keys and long hex
+ *   strings (secrets, HMAC signatures) inside any string
+ * - Sensitive query parameters in URLs and stack traces
+ */
+
+// URL params that carry user identity; SecureEncryption encrypts exactly these
+export const SENSITIVE_PARAMS = ['user_id', 'user_email', 'user_name', 'auth_token', 'session_id'];
+
+// Matched against snake_case keys. `token` only as the last word, so usage
+// counters like max_tokens or token_count are kept
+const SECRET_KEY_PATTERN = /secret|password|passwd|signature|api_?key|authorization|cookie|(^|_)token$/;
+
+const REDACTED = '[redacted]';
+
+const STRING_RULES = [
+  // Session tokens: base64url claims + hex HMAC
+  [/\b[A-Za-z0-9_-]{8,}\.[a-f0-9]{64}\b/g, '[token]'],
+  [/\bBearer\s+[A-Za-z0-9._~+/-]+=*/gi, 'Bearer [token]'],
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, '[token]'],
+  [/\bvv_[A-Za-z0-9_]{8,}/g, '[api-key]'],
+  [/\b[a-f0-9]{32,}\b/gi, '[hex]'],
+  [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[email]']
+];
+
+const MAX_DEPTH = 8;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class PIIScrubber {
+  constructor(options = {}) {
+    this.sensitiveKeys = new Set([...SENSITIVE_PARAMS, ...(options.sensitiveKeys || [])]);
+    this.queryPattern = new RegExp(
+      `([?&#](?:${[...this.sensitiveKeys].map(escapeRegExp).join('|')})=)[^&#\\s]*`,
+      'gi'
+    );
+  }
+
+  isSensitiveKey(key) {
+    if (this.sensitiveKeys.has(key)) {
+      return true;
+    }
+    // sessionToken, X-Api-Key -> session_token, x_api_key
+    const normalized = key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/-/g, '_').toLowerCase();
+    return SECRET_KEY_PATTERN.test(normalized);
+  }
+
+  scrubString(value) {
+    let result = value.replace(this.queryPattern, `$1${REDACTED}`);
+    for (const [pattern, replacement] of STRING_RULES) {
+      result = result.replace(pattern, replacement);
+    }
+    return result;
+  }
+
+  /**
+   * Deep copy of `value` with PII removed. Cycles and very deep objects are cut off.
+   */
+  scrub(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+      return this.scrubString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (depth >= MAX_DEPTH || seen.has(value)) {
+      return '[truncated]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.scrub(item, depth + 1, seen));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = this.isSensitiveKey(key) && item !== null && item !== undefined
+        ? REDACTED
+        : this.scrub(item, depth + 1, seen);
+    }
+    return result;
+  }
+}
+
+/**
+ * Scrub with the default rules
+ */
+export function scrubPII(value, options) {
+  return new PIIScrubber(options).scrub(value);
+}
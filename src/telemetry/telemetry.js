@@ -0,0 +1,252 @@
+/**
+ * Telemetry pipeline for VentureVerse SDK
+ *
+ * Receives error reports from ErrorHandler.sendToMonitoring and ships them:
+ * - Scrubbed of PII before they are queued
+ * - Sampled (`sampleRate`) and deduplicated per error fingerprint
+ * - Batched (`batchSize`, `flushInterval`) to one or more transports
+ *
+ * A transport is a function `(events) => Promise` or an object with
+ * `send(events)`. Transport failures are swallowed: telemetry must never
+ * break the app or report on itself.
+ */
+
+import { PIIScrubber } from './pii-scrubber.js';
+import { createLogger } from '../logging/logger.js';
+
+/**
+ * Send batches to the host page as a signed REPORT_TELEMETRY message.
+ * Events are dropped outside iframe mode or before the handshake.
+ */
+export function createHostTransport(sdk) {
+  return {
+    name: 'host',
+    send: async (events) => {
+      if (!sdk.isIframeMode || !sdk.parentOrigin) return;
+      await sdk.sendSecureMessage('REPORT_TELEMETRY', { events });
+    }
+  };
+}
+
+/**
+ * POST batches as JSON (`{ events }`) to an HTTP endpoint
+ */
+export function createHttpTransport(url, options = {}) {
+  const fetchFn = options.fetch || globalThis.fetch;
+  return {
+    name: 'http',
+    send: async (events) => {
+      const response = await fetchFn(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+        body: JSON.stringify({ events }),
+        // Lets the request outlive the page, e.g. a flush from pagehide
+        keepalive: true
+      });
+      if (response && response.ok === false) {
+        throw new Error(`Telemetry endpoint answered ${response.status}`);
+      }
+    }
+  };
+}
+
+export class TelemetryPipeline {
+  constructor(options = {}) {
+    this.options = {
+      sampleRate: 1,
+      batchSize: 20,
+      flushInterval: 5000,
+      dedupeWindowMs: 60 * 1000,
+      maxQueueSize: 100,
+      maxFingerprints: 500,
+      debug: false,
+      ...options
+    };
+
+    this.transports = (this.options.transports || []).map(transport => (
+      typeof transport === 'function' ? { name: 'custom', send: transport } : transport
+    ));
+    this.scrubber = this.options.scrubber || new PIIScrubber({ sensitiveKeys: this.options.sensitiveKeys });
+    this.random = this.options.random || Math.random;
+    this.logger = this.options.logger || createLogger({
+      namespace: 'telemetry',
+      level: this.options.debug ? 'debug' : 'warn'
+    });
+
+    this.queue = [];
+    // fingerprint -> { reportedAt, event } for the dedupe window
+    this.fingerprints = new Map();
+    this.flushTimer = null;
+    this.inFlight = null;
+    this.isDestroyed = false;
+  }
+
+  /**
+   * Queue an error report (ErrorHandler's logData). Returns false when it
+   * was sampled out, deduplicated or dropped.
+   */
+  record(logData) {
+    if (this.isDestroyed || this.transports.length === 0) return false;
+
+    const fingerprint = logData.fingerprint;
+    const now = Date.now();
+    const previous = fingerprint && this.fingerprints.get(fingerprint);
+
+    if (previous && now - previous.reportedAt < this.options.dedupeWindowMs) {
+      // Still queued: carry the latest count; otherwise the next report after the window does
+      if (previous.event) {
+        previous.event.occurrences = logData.occurrences;
+      }
+      return false;
+    }
+
+    if (this.random() >= this.options.sampleRate) {
+      return false;
+    }
+
+    if (this.queue.length >= this.options.maxQueueSize) {
+      this.log('Telemetry queue full, dropping report');
+      return false;
+    }
+
+    const event = this.scrubber.scrub({ ...logData, sampleRate: this.options.sampleRate });
+    this.queue.push(event);
+
+    if (fingerprint) {
+      this.rememberFingerprint(fingerprint, { reportedAt: now, event });
+    }
+
+    if (this.queue.length >= this.options.batchSize) {
+      this.flush();
+    } else {
+      this.scheduleFlush();
+    }
+    return true;
+  }
+
+  /**
+   * Queue reports that were already sampled and deduplicated elsewhere,
+   * e.g. forwarded by the host from the app. They are scrubbed again.
+   */
+  enqueue(events) {
+    if (this.isDestroyed || this.transports.length === 0) return 0;
+
+    const room = Math.max(0, this.options.maxQueueSize - this.queue.length);
+    const accepted = events.slice(0, room).map(event => this.scrubber.scrub(event));
+    this.queue.push(...accepted);
+
+    if (this.queue.length >= this.options.batchSize) {
+      this.flush();
+    } else if (accepted.length > 0) {
+      this.scheduleFlush();
+    }
+    return accepted.length;
+  }
+
+  rememberFingerprint(fingerprint, entry) {
+    this.fingerprints.delete(fingerprint);
+    this.fingerprints.set(fingerprint, entry);
+
+    if (this.fingerprints.size > this.options.maxFingerprints) {
+      this.fingerprints.delete(this.fingerprints.keys().next().value);
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.options.flushInterval);
+  }
+
+  /**
+   * Send everything queued. Transports run on the next microtask and the
+   * host transport signs before posting, so callers that tear down the
+   * transport afterwards must await the returned promise.
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.queue.length === 0) {
+      return this.inFlight || Promise.resolve();
+    }
+
+    const batches = [];
+    while (this.queue.length > 0) {
+      batches.push(this.queue.splice(0, this.options.batchSize));
+    }
+
+    // Sent events are final; later occurrences wait for the dedupe window
+    for (const entry of this.fingerprints.values()) {
+      entry.event = null;
+    }
+
+    const sends = [];
+    for (const batch of batches) {
+      for (const transport of this.transports) {
+        sends.push(Promise.resolve()
+          .then(() => transport.send(batch))
+          .catch(error => this.log(`Telemetry transport ${transport.name || 'custom'} failed:`, error.message)));
+      }
+    }
+
+    const previous = this.inFlight || Promise.resolve();
+    const current = Promise.all([previous, ...sends]).then(() => {
+      if (this.inFlight === current) {
+        this.inFlight = null;
+      }
+    });
+    this.inFlight = current;
+    return current;
+  }
+
+  /**
+   * Flush and stop accepting reports
+   */
+  destroy() {
+    const flushed = this.flush();
+    this.isDestroyed = true;
+    this.fingerprints.clear();
+    return flushed;
+  }
+
+  log(...args) {
+    this.logger.debug(...args);
+  }
+}
+
+/**
+ * Build a pipeline from the `telemetry` option. Transports may be given as
+ * 'host', an endpoint URL, a function or a transport object; `endpoint` is
+ * shorthand for one HTTP transport. Returns null when telemetry is off.
+ */
+export function createTelemetry(config, { sdk, debug, logger } = {}) {
+  if (!config) return null;
+  if (config instanceof TelemetryPipeline) return config;
+
+  const specs = [...(config.transports || [])];
+  if (config.endpoint) {
+    specs.push(config.endpoint);
+  }
+  if (specs.length === 0 && sdk) {
+    specs.push('host');
+  }
+
+  const transports = specs.map((spec) => {
+    if (spec === 'host') {
+      if (!sdk) {
+        throw new Error("The 'host' telemetry transport is only available in the iframe SDK");
+      }
+      return createHostTransport(sdk);
+    }
+    if (typeof spec === 'string') {
+      return createHttpTransport(spec, { headers: config.headers, fetch: config.fetch });
+    }
+    return spec;
+  });
+
+  return new TelemetryPipeline({ debug, logger, ...config, transports });
+}
@@ -8,8 +8,335 @@ export interface VentureVerseSDKOptions {
   debug?: boolean;
   timeout?: number;
   retryAttempts?: number;
-  encryptionKey?: string;
+  encryptionKey?: EncryptionKeySource;
   enableEncryption?: boolean;
+  allowedParentOrigins?: string[];
+  maxClockSkewMs?: number;
+  /** How long a fetched credit balance is reused (ms) */
+  creditCacheTtl?: number;
+  pricing?: PricingCatalogOptions | PricingCatalog;
+  /** How often metered usage is settled (ms) */
+  meterFlushInterval?: number;
+  /** How long before expiry the session token is refreshed (ms) */
+  sessionRefreshMargin?: number;
+  /** Client-side limits on outgoing messages */
+  rateLimits?: RateLimit[];
+  /** Where unacknowledged charges are kept; defaults to localStorage */
+  storage?: Pick<Storage, 'getItem' | 'setItem' | 'removeItem'> | null;
+  /** Error reporting; `true` sends to the host page. Off by default */
+  telemetry?: TelemetryOptions | TelemetryPipeline | boolean;
+  /** Per-operation circuit breaker thresholds; false disables them */
+  circuitBreaker?: CircuitBreakerOptions | false;
+  /** Report content size to the host (default true) */
+  autoResize?: boolean;
+  resizeThrottleMs?: number;
+  /** Minimum level logged; 'debug' when `debug` is set, else 'warn' */
+  logLevel?: LogLevel;
+  logSinks?: LogSinkSpec[];
+  /** Shared logger; logLevel and logSinks are ignored when given */
+  logger?: Logger;
+}
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export const LOG_LEVELS: Readonly<Record<LogLevel, number>>;
+
+export interface LogRecord {
+  timestamp: string;
+  level: Exclude<LogLevel, 'silent'>;
+  namespace: string;
+  message: any;
+  data?: any[];
+}
+
+export type LogSinkFn = (record: LogRecord) => void;
+
+export interface LogSink {
+  name?: string;
+  write(record: LogRecord): void;
+  destroy?(): void | Promise<void>;
+}
+
+/** 'host' is only available in the iframe SDK */
+export type LogSinkSpec = 'console' | 'memory' | 'host' | LogSinkFn | LogSink;
+
+export class LogRedactor {
+  constructor(options?: { scrubber?: PIIScrubber; sensitiveKeys?: string[]; includeStack?: boolean });
+  includeStack: boolean;
+  redact<T>(value: T): any;
+}
+
+export function createConsoleSink(options?: { prefix?: string }): LogSink;
+
+export class RingBufferSink implements LogSink {
+  constructor(size?: number);
+  readonly name: 'memory';
+  readonly records: LogRecord[];
+  write(record: LogRecord): void;
+  getEntries(filter?: { level?: LogLevel; namespace?: string }): LogRecord[];
+  clear(): void;
+}
+
+export class HostLogSink implements LogSink {
+  constructor(sdk: VentureVerseSDK, options?: { level?: LogLevel; flushInterval?: number; maxEntries?: number });
+  readonly name: 'host';
+  write(record: LogRecord): void;
+  flush(): Promise<void>;
+  destroy(): Promise<void>;
+}
+
+export class Logger {
+  constructor(options?: { namespace?: string; level?: LogLevel; sinks?: Array<LogSinkFn | LogSink>; redactor?: LogRedactor; sensitiveKeys?: string[] });
+  readonly namespace: string;
+  readonly level: LogLevel;
+  /** Child loggers share the root's level and sinks */
+  child(namespace: string): Logger;
+  setLevel(level: LogLevel): void;
+  isEnabled(level: LogLevel): boolean;
+  addSink(sink: LogSinkFn | LogSink): void;
+  removeSink(sink: LogSinkFn | LogSink): void;
+  getSink(name: 'memory'): RingBufferSink | null;
+  getSink(name: string): LogSink | null;
+  debug(message: any, ...data: any[]): void;
+  info(message: any, ...data: any[]): void;
+  warn(message: any, ...data: any[]): void;
+  error(message: any, ...data: any[]): void;
+  write(level: Exclude<LogLevel, 'silent'>, message: any, data: any[]): void;
+  destroy(): void;
+}
+
+export function createLogger(options?: {
+  logger?: Logger;
+  namespace?: string;
+  level?: LogLevel;
+  sinks?: LogSinkSpec[];
+  sensitiveKeys?: string[];
+  prefix?: string;
+  bufferSize?: number;
+}, context?: { sdk?: VentureVerseSDK }): Logger;
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export const CIRCUIT_STATES: { readonly CLOSED: 'closed'; readonly OPEN: 'open'; readonly HALF_OPEN: 'half-open' };
+
+export interface CircuitBreakerOptions {
+  /** Consecutive failures that open the circuit (default: 3) */
+  failureThreshold?: number;
+  /** How long the circuit stays open before a trial call (ms, default: 30000) */
+  resetTimeout?: number;
+  /** Trial calls allowed while half-open (default: 1) */
+  halfOpenMaxCalls?: number;
+  /** Which errors count as failures (default: TimeoutError and NetworkError) */
+  isFailure?: (error: unknown) => boolean;
+  onStateChange?: (name: string, state: CircuitState, info: { failures: number; retryAt: number | null }) => void;
+}
+
+export class CircuitBreaker {
+  constructor(name: string, options?: CircuitBreakerOptions);
+  readonly name: string;
+  getState(now?: number): CircuitState;
+  run<T>(operation: () => Promise<T> | T): Promise<T>;
+  reset(): void;
+}
+
+export class CircuitBreakerGroup {
+  constructor(options?: CircuitBreakerOptions);
+  get(name: string): CircuitBreaker;
+  run<T>(name: string, operation: () => Promise<T> | T): Promise<T>;
+  getState(name: string): CircuitState;
+  getStates(): Record<string, CircuitState>;
+  /** Close one circuit, or all of them */
+  reset(name?: string): void;
+}
+
+export interface CircuitOpenedEvent {
+  /** Message type, or 'validateCredentials' */
+  operation: string;
+  failures: number;
+  /** When a trial call will be allowed (ms timestamp) */
+  retryAt: number;
+}
+
+export interface TelemetryEvent {
+  timestamp: string;
+  /** `${error.name}:${error.message}`, used for deduplication */
+  fingerprint: string;
+  error: { name: string; message: string; code?: string; retryable?: boolean; stack?: string };
+  context: Record<string, any>;
+  occurrences: number;
+  sampleRate: number;
+  /** Set by the host on reports forwarded from the app */
+  source?: 'app';
+  appId?: string;
+}
+
+export type TelemetryTransportFn = (events: TelemetryEvent[]) => void | Promise<void>;
+
+export interface TelemetryTransport {
+  name?: string;
+  send: TelemetryTransportFn;
+}
+
+export interface TelemetryOptions {
+  /** 'host', an endpoint URL, a function or a transport object (default: ['host']) */
+  transports?: Array<'host' | string | TelemetryTransportFn | TelemetryTransport>;
+  /** Shorthand for one URL transport */
+  endpoint?: string;
+  /** Headers for URL transports */
+  headers?: Record<string, string>;
+  fetch?: typeof fetch;
+  /** Fraction of distinct errors reported (default: 1) */
+  sampleRate?: number;
+  batchSize?: number;
+  flushInterval?: number;
+  /** Each fingerprint is reported once per window (ms, default: 60000) */
+  dedupeWindowMs?: number;
+  maxQueueSize?: number;
+  maxFingerprints?: number;
+  /** Extra keys whose values are redacted */
+  sensitiveKeys?: string[];
+  debug?: boolean;
+  /** Where pipeline diagnostics go (default: a 'telemetry' logger) */
+  logger?: Logger;
+}
+
+export class TelemetryPipeline {
+  constructor(options?: TelemetryOptions & { transports?: Array<TelemetryTransportFn | TelemetryTransport>; random?: () => number });
+  /** Queue an ErrorHandler report; false when sampled out, deduplicated or dropped */
+  record(logData: Omit<TelemetryEvent, 'sampleRate'>): boolean;
+  /** Queue reports sampled elsewhere (scrubbed again); returns how many were accepted */
+  enqueue(events: TelemetryEvent[]): number;
+  flush(): Promise<void>;
+  destroy(): Promise<void>;
+}
+
+export function createTelemetry(config: TelemetryOptions | TelemetryPipeline | boolean | null | undefined, context?: { sdk?: VentureVerseSDK; debug?: boolean; logger?: Logger }): TelemetryPipeline | null;
+export function createHostTransport(sdk: VentureVerseSDK): TelemetryTransport;
+export function createHttpTransport(url: string, options?: { headers?: Record<string, string>; fetch?: typeof fetch }): TelemetryTransport;
+
+/** URL params SecureEncryption encrypts and telemetry redacts */
+export const SENSITIVE_PARAMS: string[];
+
+export class PIIScrubber {
+  constructor(options?: { sensitiveKeys?: string[] });
+  isSensitiveKey(key: string): boolean;
+  scrubString(value: string): string;
+  scrub<T>(value: T): T;
+}
+
+export function scrubPII<T>(value: T, options?: { sensitiveKeys?: string[] }): T;
+
+export interface DeductCreditsOptions {
+  idempotencyKey?: string;
+  /** Catalog feature and quantity, sent along so the platform can price them */
+  feature?: string;
+  quantity?: number;
+  /** Metered usage the charge settles */
+  usage?: MeteredUsage[];
+}
+
+export interface MeteredUsage {
+  metric: string;
+  quantity: number;
+}
+
+export interface UnsettledUsage {
+  metrics: Record<string, { quantity: number; cost: number; credits: number }>;
+  cost: number;
+  credits: number;
+}
+
+export interface PendingCharge {
+  cost: number;
+  type: string;
+  description: string;
+  estimation: false;
+  idempotency_key: string;
+  created_at: number;
+}
+
+export interface FeaturePrice {
+  /** USD per `per` units */
+  price: number;
+  per?: number;
+  unit?: string;
+  minimum?: number;
+  description?: string;
+  tiers?: Record<string, number | { price?: number; discount?: number }>;
+}
+
+export interface PricingCatalogOptions {
+  creditsPerUsd?: number;
+  credits_per_usd?: number;
+  features?: Record<string, FeaturePrice>;
+  tiers?: Record<string, { discount: number }>;
+}
+
+export interface PriceQuote {
+  feature: string;
+  quantity: number;
+  unit?: string;
+  unitPrice: number;
+  discount: number;
+  cost: number;
+  credits: number;
+  description: string;
+}
+
+export class PricingCatalog {
+  constructor(options?: PricingCatalogOptions);
+  static from(source?: PricingCatalogOptions | PricingCatalog): PricingCatalog;
+
+  readonly creditsPerUsd: number;
+
+  update(catalog: PricingCatalogOptions): this;
+  setConversionRate(creditsPerUsd: number): void;
+  defineFeature(name: string, feature: FeaturePrice): void;
+  removeFeature(name: string): void;
+  hasFeature(name: string): boolean;
+  getFeature(name: string): FeaturePrice;
+  usdToCredits(usdAmount: number): number;
+  quote(name: string, options?: { quantity?: number; tierId?: number | string | null }): PriceQuote;
+  toJSON(): { credits_per_usd: number; features: Record<string, FeaturePrice>; tiers: Record<string, { discount: number }> };
+}
+
+export interface ChargeOptions {
+  quantity?: number;
+  description?: string;
+  type?: string;
+  idempotencyKey?: string;
+}
+
+export interface ReserveCreditsOptions {
+  ttlMs?: number;
+  idempotencyKey?: string;
+}
+
+export interface CreditCaptureResponse {
+  success: boolean;
+  reservation_id?: string;
+  credits_deducted: number;
+  credits_released: number;
+  remaining_balance?: Partial<CreditInfo>;
+  error?: string;
+}
+
+export interface CreditReservation {
+  readonly id: string;
+  readonly cost: number;
+  readonly credits: number;
+  readonly description: string;
+  readonly expiresAt: number;
+  readonly status: 'held' | 'captured' | 'released' | 'expired';
+  readonly isActive: boolean;
+  capture(actualCost?: number): Promise<CreditCaptureResponse>;
+  release(): Promise<{ success: boolean; credits_released: number }>;
+}
+
+export interface OriginRejectedEvent {
+  origin: string;
+  type?: string;
+  reason: 'unexpected_source' | 'origin_mismatch' | 'origin_not_allowed' | 'origin_not_pinned' | 'handshake_invalid';
 }
 
 export interface User {
@@ -63,7 +390,16 @@ export interface IFrameMessage {
   payload: any;
   timestamp: string;
   source: 'parent' | 'iframe';
-  requestId?: number;
+  requestId?: number | null;
+  appId: string;
+  nonce: string;
+  encrypted: boolean;
+  signature: string;
+}
+
+export interface InvalidMessageEvent {
+  type: string;
+  reason: 'signature' | 'expired' | 'replay' | 'encryption' | 'decryption';
 }
 
 export interface CreditEstimation {
@@ -71,12 +407,245 @@ export interface CreditEstimation {
   cost: number;
 }
 
+export interface EncryptionContext {
+  appId?: string;
+  type?: string;
+}
+
+export interface EncryptedEnvelope {
+  version: 2;
+  keyId: string;
+  algorithm: 'aes-256-gcm';
+  iv: string;
+  encrypted: string;
+  authTag: string;
+}
+
+/** Legacy envelope written before key ids and AAD binding; still readable */
+export interface LegacyEncryptedEnvelope {
+  encrypted: string;
+  iv: string;
+  authTag: string;
+  algorithm?: 'aes-256-gcm';
+}
+
+export interface EncryptionKeyringOptions {
+  keys: Record<string, string | Uint8Array> | Array<{ id: string; key: string | Uint8Array }>;
+  primaryKeyId?: string;
+}
+
+export class EncryptionKeyring {
+  constructor(options?: EncryptionKeyringOptions);
+  static from(source: EncryptionKeySource): EncryptionKeyring;
+  addKey(id: string | null, secret: string | Uint8Array, options?: { primary?: boolean }): this;
+  removeKey(id: string): void;
+  setPrimary(id: string): void;
+  getPrimary(): Promise<{ id: string; key: Uint8Array }>;
+}
+
+export type EncryptionKeySource = string | Uint8Array | EncryptionKeyring | EncryptionKeyringOptions;
+
+export interface SessionClaims {
+  app_id: string;
+  user_id: number | string | null;
+  scopes: string[];
+  /** Issued at (ms since epoch) */
+  iat: number;
+  /** Expires at (ms since epoch) */
+  exp: number;
+  /** Token id, used for revocation */
+  jti: string;
+}
+
+export type SessionVerification =
+  | { valid: true; claims: SessionClaims }
+  | { valid: false; reason: 'malformed' | 'signature' | 'expired' | 'revoked' | 'app_mismatch' | 'scope' };
+
+export interface SessionVerifyOptions {
+  appId?: string;
+  scopes?: string[];
+  clockSkewMs?: number;
+}
+
+export type DisplayMode = 'auto' | 'fullscreen' | 'modal' | 'fixed';
+
+export const DISPLAY_MODES: DisplayMode[];
+
+export interface IframeViewport {
+  /** Frame size in the host page */
+  width: number;
+  height: number;
+  mode: DisplayMode;
+  /** Host window size */
+  window_width: number;
+  window_height: number;
+}
+
+export class IframeLayout {
+  readonly mode: DisplayMode;
+  readonly viewport: IframeViewport | null;
+  start(): void;
+  reportSize(options?: { force?: boolean }): Promise<void | null>;
+  setDisplayMode(mode: DisplayMode, options?: { height?: number }): Promise<{ mode: DisplayMode; viewport: IframeViewport | null }>;
+  requestFullscreen(): Promise<{ mode: DisplayMode; viewport: IframeViewport | null }>;
+  requestModal(): Promise<{ mode: DisplayMode; viewport: IframeViewport | null }>;
+  setFixedHeight(height: number): Promise<{ mode: DisplayMode; viewport: IframeViewport | null }>;
+  exitDisplayMode(): Promise<{ mode: DisplayMode; viewport: IframeViewport | null }>;
+  /** Returns a function that removes the callback */
+  onResize(callback: (width: number, height: number, viewport: IframeViewport) => void): () => void;
+}
+
+export const ROUTE_PARAM: 'vv_path';
+
+/** True for app routes: a path starting with a single '/' */
+export function isAppPath(path: unknown): path is string;
+
+export interface NavigateInfo {
+  /** 'history' for host back/forward, 'host' for host.navigate() */
+  reason: 'history' | 'host';
+}
+
+export class AppNavigation {
+  /** Deep link passed at launch (`vv_path`), if any */
+  readonly initialPath: string | null;
+  readonly currentPath: string | null;
+  readonly adapter: HistoryRouterAdapter | null;
+  reportRoute(path: string, options?: { title?: string; replace?: boolean }): Promise<void | null>;
+  /** Returns a function that removes the callback */
+  onNavigate(callback: (path: string, info: NavigateInfo) => void): () => void;
+  useHistory(options?: HistoryRouterOptions): HistoryRouterAdapter;
+}
+
+export interface HistoryRouterOptions {
+  /** Apply host navigation through the router's own API, e.g. `path => router.replace(path)` */
+  navigate?: (path: string) => unknown;
+  basePath?: string;
+  window?: Window;
+}
+
+export class HistoryRouterAdapter {
+  constructor(navigation: AppNavigation, options?: HistoryRouterOptions);
+  start(): void;
+  stop(): void;
+  getPath(): string;
+  go(path: string): void;
+}
+
+export const LAUNCH_TOKEN_PARAM: 'vv_launch';
+export const DEFAULT_LAUNCH_TTL: number;
+
+export interface LaunchClaims {
+  app_id: string;
+  iat: number;
+  exp: number;
+  /** Accepted once per nonce store */
+  nonce: string;
+  /** Present when the token was issued without an encryption key */
+  user?: User;
+  /** Encrypted user context */
+  user_enc?: EncryptedEnvelope;
+}
+
+export type LaunchVerification =
+  | { valid: true; claims: LaunchClaims; user: User }
+  | { valid: false; reason: 'missing' | 'malformed' | 'signature' | 'app_mismatch' | 'expired' | 'not_yet_valid' | 'decryption' | 'replay' };
+
+export interface LaunchTokenOptions {
+  appId: string;
+  apiSecret: string;
+  /** Encrypts the user context; without it the context is only signed */
+  encryptionKey?: EncryptionKeySource;
+  /** Token lifetime (ms, default 2 minutes) */
+  ttlMs?: number;
+  now?: number;
+}
+
+/** Launch nonces persisted in localStorage (or memory when `storage` is null) */
+export class StorageNonceStore implements NonceStore {
+  constructor(storage: Storage | null, storageKey?: string, options?: { maxEntries?: number });
+  checkAndSet(nonce: string, expiresAt: number): boolean;
+}
+
+export function createLaunchToken(user: Partial<User> & { id: number | string }, options: LaunchTokenOptions): Promise<string>;
+export function decodeLaunchToken(token: string): LaunchClaims | null;
+export function verifyLaunchToken(token: string | null, options: {
+  apiSecret: string;
+  appId?: string;
+  encryptionKey?: EncryptionKeySource;
+  nonceStore?: NonceStore;
+  clockSkewMs?: number;
+  now?: number;
+}): Promise<LaunchVerification>;
+export function createLaunchUrl(appUrl: string, user: Partial<User> & { id: number | string }, options: LaunchTokenOptions & {
+  params?: Record<string, string>;
+  baseUrl?: string;
+}): Promise<string>;
+
+export interface RevocationList {
+  revoke(tokenId: string, expiresAt: number): void | Promise<void>;
+  isRevoked(tokenId: string): boolean | Promise<boolean>;
+}
+
+export class InMemoryRevocationList implements RevocationList {
+  revoke(tokenId: string, expiresAt?: number): void;
+  isRevoked(tokenId: string): boolean;
+  clear(): void;
+}
+
+export interface VentureVerseAuthOptions {
+  apiEndpoint?: string;
+  timeout?: number;
+  /** Default session token lifetime (ms) */
+  sessionTtl?: number;
+  revocationList?: RevocationList;
+  /** Called with rate-limit headers read from platform responses */
+  onRateLimit?: (quota: RateLimitQuota) => void;
+  /** Defaults to a console logger in the 'auth' namespace */
+  logger?: Logger;
+}
+
+export interface SignedRequest {
+  appId: string;
+  timestamp: number | string;
+  nonce: string;
+  method: string;
+  /** Path with query, e.g. `/v1/users/42?fields=credits` */
+  path: string;
+  /** Raw body; '' when there is none */
+  body?: string | Uint8Array;
+}
+
+export class VentureVerseAuth {
+  constructor(options?: VentureVerseAuthOptions);
+
+  validateCredentials(appId: string, apiSecret: string): Promise<boolean>;
+  generateSignature(appId: string, timestamp: number | string, apiSecret: string): Promise<string>;
+  verifySignature(appId: string, timestamp: number | string, signature: string, apiSecret: string): Promise<boolean>;
+  generateRequestSignature(request: SignedRequest, apiSecret: string): Promise<string>;
+  verifyRequestSignature(request: SignedRequest, signature: string, apiSecret: string): Promise<boolean>;
+  signRequest(request: { appId: string; method: string; path: string; body?: string | Uint8Array }, apiSecret: string): Promise<Record<string, string>>;
+
+  generateSessionToken(appId: string, userId: number | string | null, apiSecret: string, options?: { scopes?: string[]; ttlMs?: number }): Promise<string>;
+  verifySession(token: string, apiSecret: string, options?: SessionVerifyOptions): Promise<SessionVerification>;
+  validateSession(token: string, apiSecret: string, options?: SessionVerifyOptions): Promise<boolean>;
+  refreshSessionToken(token: string, apiSecret: string, options?: { appId?: string; ttlMs?: number }): Promise<string>;
+  revokeSession(token: string): Promise<void>;
+
+  readonly revocationList: RevocationList;
+  readonly logger: Logger;
+
+  static generateAPICredentials(appId: string): { apiKey: string; apiSecret: string };
+  static encrypt(text: string, key: EncryptionKeySource, context?: EncryptionContext): Promise<EncryptedEnvelope>;
+  static decrypt(encryptedData: EncryptedEnvelope | LegacyEncryptedEnvelope | string, key: EncryptionKeySource, context?: EncryptionContext): Promise<string>;
+}
+
 export class VentureVerseEncryption {
-  constructor(key?: string);
-  encrypt(text: string): string;
-  decrypt(encryptedText: string): string;
-  encryptUrlParams(params: Record<string, any>): Record<string, any>;
-  decryptUrlParams(params: Record<string, any>): Record<string, any>;
+  constructor(key: EncryptionKeySource, options?: { appId?: string });
+  readonly keyring: EncryptionKeyring;
+  encrypt(text: string, context?: EncryptionContext): Promise<string>;
+  decrypt(encryptedText: string, context?: EncryptionContext): Promise<string>;
+  encryptUrlParams(params: Record<string, any>): Promise<Record<string, any>>;
+  decryptUrlParams(params: Record<string, any>): Promise<Record<string, any>>;
   shouldEncrypt(paramName: string): boolean;
 }
 
@@ -85,7 +654,7 @@ export class VentureVerseSDK {
   
   // Core methods
   initialize(): Promise<void>;
-  destroy(): void;
+  destroy(): Promise<void>;
   
   // User management
   getUserProfile(): Promise<User>;
@@ -95,11 +664,25 @@ export class VentureVerseSDK {
   hasRole(role: string): boolean;
   
   // Credit management
-  getCreditBalance(): Promise<CreditInfo>;
+  getCreditBalance(options?: { maxAge?: number }): Promise<CreditInfo>;
   refreshCreditBalance(): Promise<CreditInfo>;
-  deductCredits(cost: number, description?: string, type?: string): Promise<CreditDeductionResponse>;
+  getCredits(): Promise<number>;
+  hasCredits(cost: number): Promise<boolean>;
+  getAvailableCredits(): number;
+  deductCredits(cost: number, description?: string, type?: string, options?: DeductCreditsOptions): Promise<CreditDeductionResponse>;
+  getPendingCharges(): PendingCharge[];
+  reserveCredits(cost: number, description?: string, options?: ReserveCreditsOptions): Promise<CreditReservation>;
+  getHeldCredits(): number;
   estimateCredits(cost: number, description?: string): Promise<CreditEstimation>;
   calculateCreditCost(usdAmount: number): number;
+  charge(feature: string, options?: ChargeOptions): Promise<CreditDeductionResponse>;
+  quote(feature: string, quantity?: number): PriceQuote;
+  meter(metric: string, quantity?: number): void;
+  flushUsage(): Promise<CreditDeductionResponse | null>;
+  /** State of every circuit breaker used so far */
+  getCircuitStates(): Record<string, CircuitState>;
+  isInIframe(): boolean;
+  getUnsettledUsage(): UnsettledUsage;
   hasEnoughCredits(requiredCredits: number): boolean;
   
   // Activity tracking
@@ -114,23 +697,536 @@ export class VentureVerseSDK {
   sendMessage(type: string, payload?: any, expectResponse?: boolean): Promise<any>;
   
   // Event system
+  addEventListener(event: 'rateLimited', handler: (data: RateLimitedEvent) => void): void;
+  addEventListener(event: 'circuitOpened', handler: (data: CircuitOpenedEvent) => void): void;
+  addEventListener(event: 'circuitClosed', handler: (data: { operation: string }) => void): void;
+  addEventListener(event: 'navigate', handler: (data: { path: string } & NavigateInfo) => void): void;
+  addEventListener(event: 'viewportChanged', handler: (data: IframeViewport) => void): void;
+  addEventListener(event: 'launchRejected', handler: (data: { reason: string }) => void): void;
   addEventListener(event: string, handler: (data: any) => void): void;
   removeEventListener(event: string, handler: (data: any) => void): void;
   
   // Encryption utilities
-  encryptData(data: string): string;
-  decryptData(encryptedData: string): string;
-  encryptUrlParams(params: Record<string, any>): Record<string, any>;
-  decryptUrlParams(params: Record<string, any>): Record<string, any>;
-  createSecureIframeUrl(baseUrl: string, userContext?: User): string;
+  encryptData(data: string): Promise<string>;
+  decryptData(encryptedData: string): Promise<string>;
+  encryptUrlParams(params: Record<string, any>): Promise<Record<string, any>>;
+  decryptUrlParams(params: Record<string, any>): Promise<Record<string, any>>;
+  /** Launch URL with a signed, expiring token for `userContext` (default: the current user) */
+  createSecureIframeUrl(baseUrl: string, userContext?: User, options?: { ttlMs?: number; params?: Record<string, string> }): Promise<string>;
+
+  // Session tokens
+  getSessionToken(): Promise<string>;
+  refreshSession(): Promise<string>;
   
   // Properties
   readonly isInitialized: boolean;
   readonly isIframeMode: boolean;
   readonly user: User | null;
   readonly credits: CreditInfo | null;
+  readonly pricing: PricingCatalog;
+  readonly sessionToken: string | null;
+  readonly sessionClaims: SessionClaims | null;
+  /** Root logger (namespace 'sdk') */
+  readonly logger: Logger;
+  readonly loggers: { auth: Logger; transport: Logger; credits: Logger; crypto: Logger };
+  /** Content auto-resize, display modes and host viewport */
+  readonly iframe: IframeLayout;
+  /** Route reports, launch deep link and host back/forward */
+  readonly navigation: AppNavigation;
+}
+
+export interface HostRequestContext {
+  appId: string;
+  type: string;
+  requestId: number | null;
+  origin: string;
+  idempotencyKey?: string;
+}
+
+export type HostHandler<TPayload = any, TResult = any> =
+  (payload: TPayload, context: HostRequestContext) => TResult | Promise<TResult>;
+
+export interface VentureVerseHostHandlers {
+  getUserProfile?: HostHandler<{}, User>;
+  deductCredits?: HostHandler<{ cost: number; type: string; description: string; estimation: boolean; idempotency_key?: string }, Partial<CreditDeductionResponse>>;
+  estimateCredits?: HostHandler<{ cost: number; type: string; description: string; estimation: true }, Partial<CreditEstimation>>;
+  reserveCredits?: HostHandler<{ cost: number; description: string; ttl_ms?: number; idempotency_key?: string }, { reservation_id: string; credits_reserved: number; expires_at: string }>;
+  captureCredits?: HostHandler<{ reservation_id: string; cost?: number }, Partial<CreditCaptureResponse>>;
+  releaseCredits?: HostHandler<{ reservation_id: string }, { reservation_id?: string; credits_released: number }>;
+  getCreditBalance?: HostHandler<{}, CreditInfo>;
+  issueSession?: HostHandler<{}, string>;
+  refreshSession?: HostHandler<{ session_token: string }, string>;
+  trackActivity?: HostHandler<ActivityData, { success?: boolean }>;
+  requestPermission?: HostHandler<{ app_name?: string; action: string }, boolean>;
+  reportTelemetry?: HostHandler<{ events: TelemetryEvent[] }, any>;
+  reportLogs?: HostHandler<{ entries: LogRecord[] }, any>;
+  [messageType: string]: HostHandler | undefined;
+}
+
+export interface VentureVerseHostOptions {
+  appId: string;
+  apiSecret: string;
+  encryptionKey?: EncryptionKeySource;
+  enableEncryption?: boolean;
+  appOrigin?: string;
+  handlers?: VentureVerseHostHandlers;
+  maxClockSkewMs?: number;
+  /** Default lifetime of credit holds (ms) */
+  reservationTtlMs?: number;
+  maxReservationTtlMs?: number;
+  calculateCreditCost?: (usdAmount: number) => number;
+  pricing?: PricingCatalogOptions | PricingCatalog;
+  sessionTtl?: number;
+  sessionScopes?: string[];
+  revocationList?: RevocationList;
+  rateLimits?: RateLimit[];
+  /** Host errors and reports forwarded from the app */
+  telemetry?: TelemetryOptions | TelemetryPipeline;
+  logLevel?: LogLevel;
+  logSinks?: Array<'console' | 'memory' | LogSinkFn | LogSink>;
+  logger?: Logger;
+  title?: string;
+  /** Frame height bounds in 'auto' mode (default 150 / none) */
+  minFrameHeight?: number;
+  maxFrameHeight?: number;
+  viewportThrottleMs?: number;
+  /** Host URL query param holding the app route (default 'app_path') */
+  routeParam?: string;
+  /** Mirror app routes in the host URL and history (default true) */
+  syncRoutes?: boolean;
+  debug?: boolean;
+}
+
+export class VentureVerseHost {
+  constructor(options: VentureVerseHostOptions);
+
+  mount(container: HTMLElement, appUrl: string, params?: Record<string, string>): HTMLIFrameElement;
+  attach(iframe: HTMLIFrameElement): HTMLIFrameElement;
+  /** `user` defaults to what the getUserProfile handler returns */
+  createLaunchUrl(appUrl: string, user?: User, options?: { ttlMs?: number; params?: Record<string, string> }): Promise<string>;
+  setHandler(name: string, handler: HostHandler): void;
+  removeHandler(name: string): void;
+  send(type: string, payload?: any): Promise<void>;
+  setPricing(catalog: PricingCatalogOptions): Promise<void>;
+  setRateLimits(limits: RateLimit[]): Promise<void>;
+  revokeSession(token: string): Promise<void>;
+  /** Change the display mode from the host page and send the app a VIEWPORT_UPDATE */
+  setDisplayMode(mode: DisplayMode, options?: { height?: number }): Promise<IframeViewport | undefined>;
+  /** Move the app to one of its routes and add a host history entry */
+  navigate(path: string): Promise<void>;
+  /** App route in the host URL, for iframes created without mount() */
+  getInitialPath(): string | null;
+  calculateCreditCost(usdAmount: number): number;
+  destroy(): void;
+
+  addEventListener(event: 'routeChanged', handler: (data: { path: string; title?: string; replace: boolean }) => void): void;
+  addEventListener(event: 'telemetry', handler: (data: { appId: string; events: TelemetryEvent[] }) => void): void;
+  addEventListener(event: 'log', handler: (data: { appId: string; entries: LogRecord[] }) => void): void;
+  addEventListener(event: 'frameResized', handler: (data: { width: number; height: number; mode: DisplayMode }) => void): void;
+  addEventListener(event: 'displayModeChanged', handler: (data: { mode: DisplayMode; height: number | null; viewport: IframeViewport }) => void): void;
+  addEventListener(event: 'request' | 'invalidMessage' | string, handler: (data: any) => void): void;
+  removeEventListener(event: string, handler: (data: any) => void): void;
+
+  readonly iframe: HTMLIFrameElement | null;
+  readonly pricing: PricingCatalog;
+  readonly telemetry: TelemetryPipeline | null;
+  readonly logger: Logger;
+}
+
+export function createVentureVerseHost(options: VentureVerseHostOptions): VentureVerseHost;
+
+export type VentureVerseErrorCode =
+  | 'UNKNOWN'
+  | 'AUTH_FAILED'
+  | 'INVALID_CREDENTIALS'
+  | 'INVALID_SIGNATURE'
+  | 'SESSION_INVALID'
+  | 'INVALID_LAUNCH'
+  | 'RATE_LIMITED'
+  | 'INSUFFICIENT_CREDITS'
+  | 'TIMEOUT'
+  | 'NETWORK_ERROR'
+  | 'SERVICE_UNAVAILABLE'
+  | 'CIRCUIT_OPEN'
+  | 'PROTOCOL_ERROR'
+  | 'HANDSHAKE_REQUIRED'
+  | 'INVALID_RESPONSE'
+  | 'NO_HANDLER'
+  | 'HOST_ERROR'
+  | 'NOT_FOUND'
+  | 'RESERVATION_INACTIVE'
+  | 'INVALID_EVENT'
+  | 'CRYPTO_ERROR'
+  | 'ENCRYPTION_FAILED'
+  | 'DECRYPTION_FAILED'
+  | 'MALFORMED_ENVELOPE'
+  | 'UNKNOWN_KEY'
+  | 'UNSUPPORTED_ENVELOPE';
+
+export const ERROR_CODES: { readonly [K in VentureVerseErrorCode]: K };
+
+export interface VentureVerseErrorOptions {
+  code?: VentureVerseErrorCode | string;
+  retryable?: boolean;
+  cause?: unknown;
+  status?: number | null;
+  details?: any;
+}
+
+export class VentureVerseError extends Error {
+  constructor(message: string, options?: VentureVerseErrorOptions);
+  /** Stable identifier; branch on this rather than `message` */
+  readonly code: VentureVerseErrorCode | string;
+  /** Whether repeating the call can succeed */
+  readonly retryable: boolean;
+  readonly cause?: unknown;
+  /** HTTP status for errors from REST calls, otherwise null */
+  readonly status: number | null;
+  /** Extra context, e.g. the host payload or response body */
+  readonly details: any;
+  /** Host payload, set when the host processed the request and refused it */
+  response?: any;
+  toJSON(): { name: string; code: string; message: string; retryable: boolean; details: any };
+}
+
+export class AuthError extends VentureVerseError {}
+export class RateLimitError extends VentureVerseError {
+  constructor(message?: string, options?: VentureVerseErrorOptions & { retryAfter?: number | null; limit?: number | null; resetAt?: number | null });
+  /** Delay requested by Retry-After or the host (ms) */
+  readonly retryAfter: number | null;
+  readonly limit: number | null;
+  readonly resetAt: number | null;
+}
+export class InsufficientCreditsError extends VentureVerseError {
+  constructor(message?: string, options?: VentureVerseErrorOptions & { required?: number | null; available?: number | null });
+  /** Credits the operation needed, when known */
+  readonly required: number | null;
+  /** Credits available, when known */
+  readonly available: number | null;
+}
+export class TimeoutError extends VentureVerseError {}
+export class CircuitOpenError extends VentureVerseError {
+  constructor(operation: string, options?: VentureVerseErrorOptions & { retryAfter?: number | null });
+  readonly operation: string;
+  /** Milliseconds until a trial call is allowed */
+  readonly retryAfter: number | null;
+}
+export class NetworkError extends VentureVerseError {}
+export class ProtocolError extends VentureVerseError {}
+export class CryptoError extends VentureVerseError {}
+/** 404 from the platform API, or a host's NOT_FOUND answer */
+export class NotFoundError extends VentureVerseError {}
+
+export interface ErrorPayload {
+  error: string;
+  code: VentureVerseErrorCode | string;
+  retryable: boolean;
+  [key: string]: any;
+}
+
+export function toErrorPayload(error: Error): ErrorPayload;
+export function fromErrorPayload(payload: Partial<ErrorPayload>): VentureVerseError;
+export function isRetryable(error: unknown): boolean;
+
+export interface VentureVerseServerClientOptions {
+  appId: string;
+  apiSecret: string;
+  apiEndpoint?: string;
+  /** Per-attempt timeout (ms) */
+  timeout?: number;
+  /** Retries after the first attempt */
+  retryAttempts?: number;
+  /** Base backoff delay (ms), doubled per retry */
+  retryDelay?: number;
+  maxRetryDelay?: number;
+  fetch?: typeof fetch;
+  auth?: VentureVerseAuth;
+  debug?: boolean;
+  /** Default: a 'server' logger at debug level when `debug` is set, else warn */
+  logger?: Logger;
+}
+
+export interface ServerCharge {
+  /** USD amount */
+  cost: number;
+  description?: string;
+  type?: string;
+  feature?: string;
+  quantity?: number;
+  usage?: Array<{ metric: string; quantity: number; cost?: number; credits?: number }>;
+  idempotencyKey?: string;
+}
+
+export class VentureVerseServerClient {
+  constructor(options: VentureVerseServerClientOptions);
+
+  getUser(userId: number | string): Promise<User>;
+  getCreditBalance(userId: number | string): Promise<{ credit_info: CreditInfo; total_balance: number }>;
+  deductCredits(userId: number | string, charge: ServerCharge): Promise<CreditDeductionResponse>;
+  estimateCredits(userId: number | string, cost: number, options?: { description?: string; feature?: string; quantity?: number }): Promise<CreditEstimation>;
+  trackActivity(activity: Partial<ActivityData>, options?: { idempotencyKey?: string }): Promise<{ success: boolean }>;
+  verifySessionToken(token: string, options?: SessionVerifyOptions): Promise<SessionClaims>;
+  request(method: string, path: string, options?: { body?: any; idempotencyKey?: string; retry?: boolean; validate?: string }): Promise<any>;
+
+  readonly auth: VentureVerseAuth;
 }
 
+export function createVentureVerseServerClient(options: VentureVerseServerClientOptions): VentureVerseServerClient;
+
+export type RateLimitAlgorithm = 'sliding-window' | 'token-bucket';
+
+export interface RateLimit {
+  max: number;
+  windowMs: number;
+  algorithm?: RateLimitAlgorithm;
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  /** `max` of the most restrictive limit */
+  limit: number;
+  remaining: number;
+  /** Timestamp (ms) at which that limit is fully available again */
+  resetAt: number;
+  /** Milliseconds until a denied request would be allowed; 0 when allowed */
+  retryAfter: number;
+  limits: Array<{ allowed: boolean; limit: number; windowMs: number; remaining: number; resetAt: number; retryAfter: number }>;
+}
+
+export interface RateLimitStoreResult {
+  allowed: boolean;
+  remaining: number;
+  resetAt: number;
+  retryAfter: number;
+}
+
+export interface RateLimitStore {
+  consume(keys: string[], limits: Required<RateLimit>[], options: { cost: number; now: number; dryRun: boolean }): RateLimitStoreResult[] | Promise<RateLimitStoreResult[]>;
+  delete(keys: string[]): void | Promise<void>;
+}
+
+export class MemoryRateLimitStore implements RateLimitStore {
+  constructor(options?: { maxKeys?: number });
+  consume(keys: string[], limits: Required<RateLimit>[], options: { cost: number; now: number; dryRun: boolean }): RateLimitStoreResult[];
+  delete(keys: string[]): void;
+  clear(): void;
+  readonly size: number;
+}
+
+export class RedisRateLimitStore implements RateLimitStore {
+  constructor(client: { sendCommand(args: string[]): Promise<any> } | { call(...args: string[]): Promise<any> });
+  consume(keys: string[], limits: Required<RateLimit>[], options: { cost: number; now: number; dryRun: boolean }): Promise<RateLimitStoreResult[]>;
+  delete(keys: string[]): Promise<void>;
+}
+
+export interface RateLimiterOptions {
+  limits?: RateLimit[];
+  algorithm?: RateLimitAlgorithm;
+  store?: RateLimitStore;
+  maxKeys?: number;
+  prefix?: string;
+  /** Single-limit shorthand */
+  maxRequests?: number;
+  windowMs?: number;
+}
+
+/** Methods return plain values with a synchronous store, Promises with an async one */
+export class RateLimiter {
+  constructor(options?: RateLimiterOptions);
+  readonly limits: Required<RateLimit>[];
+  readonly store: RateLimitStore;
+  consume(identifier: string, cost?: number): RateLimitResult | Promise<RateLimitResult>;
+  check(identifier: string, cost?: number): RateLimitResult | Promise<RateLimitResult>;
+  isAllowed(identifier: string): boolean | Promise<boolean>;
+  getRemaining(identifier: string): number | Promise<number>;
+  getRetryAfter(identifier: string): number | Promise<number>;
+  getResetTime(identifier: string): number | Promise<number>;
+  reset(identifier: string): void | Promise<void>;
+  setLimits(limits: Array<RateLimit | { max: number; window_ms: number; algorithm?: RateLimitAlgorithm }>): void;
+  applyQuota(identifier: string, quota: RateLimitQuota | null): void;
+  getQuota(identifier: string): { limit: number | null; remaining: number; resetAt: number } | null;
+}
+
+/** Quota reported by a server; times in ms */
+export interface RateLimitQuota {
+  limit: number | null;
+  remaining: number | null;
+  resetAt: number | null;
+  retryAfter: number | null;
+}
+
+export function parseRateLimitHeaders(headers: Headers | Record<string, string>, now?: number): RateLimitQuota | null;
+
+export interface RateLimitedEvent {
+  source: 'client' | 'quota' | 'host' | 'platform';
+  type?: string;
+  limit: number | null;
+  remaining: 0;
+  resetAt: number;
+  retryAfter: number;
+}
+
+export interface NonceStore {
+  /** False if the nonce was already used */
+  checkAndSet(nonce: string, expiresAt: number): boolean | Promise<boolean>;
+  /** Forget a nonce; WebhookVerifier uses it so a failed event can be redelivered */
+  delete?(nonce: string): void | Promise<void>;
+}
+
+export class InMemoryNonceStore implements NonceStore {
+  constructor(options?: { maxEntries?: number });
+  checkAndSet(nonce: string, expiresAt: number): boolean;
+  delete(nonce: string): void;
+  clear(): void;
+}
+
+export type SecretResolution = string | ({ apiSecret: string } & Record<string, any>) | null | undefined;
+
+export interface SecurityMiddlewareOptions {
+  resolveSecret?: (appId: string) => SecretResolution | Promise<SecretResolution>;
+  secrets?: Record<string, string>;
+  nonceStore?: NonceStore;
+  maxClockSkewMs?: number;
+  /** Defaults to the auth instance's logger */
+  logger?: Logger;
+}
+
+export interface VerifiedApp {
+  appId: string;
+  timestamp: number;
+  [key: string]: any;
+}
+
+export type RequestValidation =
+  | { valid: true; app: VerifiedApp; rateLimit: RateLimitResult }
+  | { valid: false; status: 401 | 429; code: VentureVerseErrorCode; error: string; retryAfter?: number; rateLimit?: RateLimitResult };
+
+export class SecurityMiddleware {
+  constructor(auth?: VentureVerseAuth, rateLimiter?: RateLimiter, options?: SecurityMiddlewareOptions);
+  /** Node/Express/Koa request or fetch Request; the raw body is read from `rawBody` or the unread stream */
+  validateRequest(request: { headers: any; method?: string; url?: string; originalUrl?: string; rawBody?: string | Uint8Array }): Promise<RequestValidation>;
+  http(handler: (req: any, res: any) => any): (req: any, res: any) => Promise<any>;
+  express(): (req: any, res: any, next: (error?: any) => void) => void;
+  koa(): (ctx: any, next: () => Promise<any>) => Promise<void>;
+}
+
+export function createSecurityMiddleware(options: SecurityMiddlewareOptions & {
+  auth?: VentureVerseAuth;
+  rateLimiter?: RateLimiter;
+  rateLimit?: RateLimiterOptions;
+}): SecurityMiddleware;
+
+export const WEBHOOK_HEADERS: {
+  readonly APP_ID: 'x-ventureverse-app-id';
+  readonly TIMESTAMP: 'x-ventureverse-timestamp';
+  readonly SIGNATURE: 'x-ventureverse-signature';
+};
+
+export const WEBHOOK_EVENT_TYPES: {
+  readonly CREDITS_TOPPED_UP: 'credits.topped_up';
+  readonly APP_STATUS_CHANGED: 'app.status_changed';
+  readonly API_KEY_ROTATED: 'api_key.rotated';
+};
+
+export type AppStatus = 'dev' | 'reviewing' | 'disabled';
+
+export const APP_STATUSES: AppStatus[];
+
+interface WebhookEventBase<T extends string, D> {
+  id: string;
+  type: T;
+  appId: string;
+  /** created_at as a timestamp, null when missing */
+  createdAt: number | null;
+  data: D;
+}
+
+export type CreditsToppedUpEvent = WebhookEventBase<'credits.topped_up', {
+  user_id: number | string;
+  credits: number;
+  total_balance?: number;
+  [key: string]: any;
+}>;
+
+export type AppStatusChangedEvent = WebhookEventBase<'app.status_changed', {
+  status: AppStatus;
+  previous_status?: AppStatus;
+  reason?: string;
+  [key: string]: any;
+}>;
+
+export type ApiKeyRotatedEvent = WebhookEventBase<'api_key.rotated', {
+  key_id: string;
+  previous_key_id?: string;
+  /** ISO date until which the previous key keeps working */
+  previous_key_expires_at?: string;
+  [key: string]: any;
+}>;
+
+export type WebhookEvent = CreditsToppedUpEvent | AppStatusChangedEvent | ApiKeyRotatedEvent;
+
+export type UnknownWebhookEvent = WebhookEventBase<string, Record<string, any>>;
+
+export interface WebhookVerifierOptions {
+  /** The app's secret; several are tried in order during a key rotation */
+  apiSecret?: string | string[];
+  secrets?: Record<string, string | string[]>;
+  resolveSecret?: (appId: string) => string | string[] | null | undefined | Promise<string | string[] | null | undefined>;
+  /** Accepted timestamp drift (ms, default 5 minutes) */
+  toleranceMs?: number;
+  eventStore?: NonceStore;
+  /** How long processed event ids are remembered (ms, default 24 hours) */
+  dedupeTtlMs?: number;
+  allowUnknownTypes?: boolean;
+  logger?: Logger;
+}
+
+export type WebhookRawBody = string | Uint8Array;
+
+export class WebhookVerifier {
+  constructor(options: WebhookVerifierOptions);
+  on<E extends WebhookEvent>(type: E['type'], handler: (event: E) => void | Promise<void>): this;
+  on(type: '*' | string, handler: (event: WebhookEvent | UnknownWebhookEvent) => void | Promise<void>): this;
+  off(type: string, handler: (event: any) => void | Promise<void>): this;
+  verify(body: WebhookRawBody, headers: any): Promise<WebhookEvent | UnknownWebhookEvent>;
+  handle(body: WebhookRawBody, headers: any): Promise<{ event: WebhookEvent | UnknownWebhookEvent; duplicate: boolean }>;
+  dispatch(event: WebhookEvent | UnknownWebhookEvent): Promise<void>;
+  http(): (req: any, res: any) => Promise<void>;
+  express(): (req: any, res: any, next: (error?: any) => void) => void;
+  readonly logger: Logger;
+}
+
+export function createWebhookVerifier(options: WebhookVerifierOptions): WebhookVerifier;
+
+export function signWebhookPayload(appId: string, timestamp: number | string, body: string, apiSecret: string): Promise<string>;
+
+export function parseWebhookEvent(body: string, options?: { allowUnknownTypes?: boolean }): WebhookEvent | UnknownWebhookEvent;
+
+export interface WebhookEventBody {
+  id: string;
+  type: string;
+  app_id: string;
+  created_at: string;
+  data: Record<string, any>;
+}
+
+export class WebhookSender {
+  constructor(options: { appId: string; apiSecret: string; fetch?: typeof fetch });
+  createEvent(type: string, data?: Record<string, any>, options?: { id?: string; createdAt?: number }): WebhookEventBody;
+  buildRequest(event: WebhookEventBody | string, options?: { timestamp?: number; apiSecret?: string }): Promise<{ body: string; headers: Record<string, string> }>;
+  send(url: string, type: string, data?: Record<string, any>, options?: { id?: string; createdAt?: number; timestamp?: number; apiSecret?: string }): Promise<{ status: number; body: any; event: WebhookEventBody }>;
+  send(url: string, event: WebhookEventBody, data?: undefined, options?: { timestamp?: number; apiSecret?: string }): Promise<{ status: number; body: any; event: WebhookEventBody }>;
+}
+
+export interface DoctorFinding {
+  level: 'error' | 'warn' | 'ok';
+  option: string;
+  message: string;
+}
+
+/** Offline configuration checks behind `ventureverse doctor` */
+export function diagnoseConfig(config?: VentureVerseSDKOptions & { apiKey?: string; apiSecret?: string; apiEndpoint?: string }): DoctorFinding[];
+
 // Convenience functions
 export function createVentureVerseSDK(options?: VentureVerseSDKOptions): VentureVerseSDK;
 
@@ -12,68 +12,79 @@
  */
 
 import { VentureVerseAuth, RateLimiter } from './security/auth-system.js';
-import crypto from 'crypto';
+import { signMessage, verifyMessageSignature, generateNonce, ReplayGuard } from './security/message-signing.js';
+import { randomHex } from './security/crypto-provider.js';
+import { EncryptionKeyring, sealEnvelope, openEnvelope } from './security/encryption-envelope.js';
+import { PricingCatalog } from './pricing/pricing-catalog.js';
+import { verifySessionToken } from './security/session-tokens.js';
+import {
+  StorageNonceStore,
+  createLaunchUrl,
+  verifyLaunchToken,
+  readLaunchToken,
+  LAUNCH_TOKEN_PARAM
+} from './security/launch-tokens.js';
+import {
+  ERROR_CODES,
+  VentureVerseError,
+  AuthError,
+  RateLimitError,
+  TimeoutError,
+  ProtocolError,
+  CryptoError,
+  fromErrorPayload
+} from './errors/ventureverse-error.js';
+import { SENSITIVE_PARAMS } from './telemetry/pii-scrubber.js';
+import { createTelemetry } from './telemetry/telemetry.js';
+import { CircuitBreakerGroup, CIRCUIT_STATES } from './resilience/circuit-breaker.js';
+import { createLogger } from './logging/logger.js';
+import { IframeLayout } from './iframe/iframe-layout.js';
+import { AppNavigation } from './iframe/navigation.js';
 
 /**
  * Secure encryption utilities using AES-256-GCM
+ * Writes v2 envelopes bound to the app id and message type; reads v1 and v2.
+ * `key` may be a single secret or a keyring ({ keys, primaryKeyId }) for rotation.
  */
 class SecureEncryption {
-  constructor(key) {
-    if (!key || key === 'ventureverse-default-key') {
-      throw new Error('Secure encryption requires a valid encryption key');
-    }
-    this.key = this.deriveKey(key);
-  }
-
-  deriveKey(password) {
-    return crypto.pbkdf2Sync(password, 'ventureverse-salt', 100000, 32, 'sha256');
+  constructor(key, options = {}) {
+    this.keyring = EncryptionKeyring.from(key);
+    this.appId = options.appId || null;
+    this.logger = options.logger || createLogger({ namespace: 'crypto' });
   }
 
-  encrypt(text) {
+  async encrypt(text, context = {}) {
     try {
-      const iv = crypto.randomBytes(16);
-      const cipher = crypto.createCipher('aes-256-gcm', this.key);
-      cipher.setAAD(Buffer.from('ventureverse', 'utf8'));
-      
-      let encrypted = cipher.update(text, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      
-      const authTag = cipher.getAuthTag();
-      
-      return JSON.stringify({
-        encrypted,
-        iv: iv.toString('hex'),
-        authTag: authTag.toString('hex'),
-        algorithm: 'aes-256-gcm'
-      });
+      const envelope = await sealEnvelope(this.keyring, text, { appId: this.appId, ...context });
+      return JSON.stringify(envelope);
     } catch (error) {
-      console.error('Encryption failed:', error);
-      throw new Error('Encryption failed');
+      this.logger.error('Encryption failed:', error);
+      throw new CryptoError('Encryption failed', { code: ERROR_CODES.ENCRYPTION_FAILED, cause: error });
     }
   }
 
-  decrypt(encryptedData) {
+  async decrypt(encryptedData, context = {}) {
     try {
-      const data = JSON.parse(encryptedData);
-      const decipher = crypto.createDecipher('aes-256-gcm', this.key);
-      decipher.setAAD(Buffer.from('ventureverse', 'utf8'));
-      decipher.setAuthTag(Buffer.from(data.authTag, 'hex'));
-      
-      let decrypted = decipher.update(data.encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      return decrypted;
+      // Legacy v1 payloads used a fixed AAD and createCipher on the derived key
+      return await openEnvelope(this.keyring, encryptedData, { appId: this.appId, ...context }, {
+        aad: 'ventureverse',
+        password: 'derived'
+      });
     } catch (error) {
-      console.error('Decryption failed:', error);
-      throw new Error('Decryption failed');
+      this.logger.error('Decryption failed:', error);
+      // Keep the envelope's specific code (UNKNOWN_KEY, MALFORMED_ENVELOPE, ...)
+      throw new CryptoError('Decryption failed', {
+        code: error instanceof CryptoError ? error.code : ERROR_CODES.DECRYPTION_FAILED,
+        cause: error
+      });
     }
   }
 
-  encryptUrlParams(params) {
+  async encryptUrlParams(params) {
     const encrypted = {};
     for (const [key, value] of Object.entries(params)) {
       if (this.shouldEncrypt(key)) {
-        encrypted[key] = this.encrypt(String(value));
+        encrypted[key] = await this.encrypt(String(value), { type: `url_param:${key}` });
       } else {
         encrypted[key] = value;
       }
@@ -81,14 +92,14 @@ class SecureEncryption {
     return encrypted;
   }
 
-  decryptUrlParams(params) {
+  async decryptUrlParams(params) {
     const decrypted = {};
     for (const [key, value] of Object.entries(params)) {
       if (this.shouldEncrypt(key) && typeof value === 'string' && value.startsWith('{')) {
         try {
-          decrypted[key] = this.decrypt(value);
+          decrypted[key] = await this.decrypt(value, { type: `url_param:${key}` });
         } catch (error) {
-          console.warn(`Failed to decrypt parameter ${key}:`, error);
+          this.logger.warn(`Failed to decrypt parameter ${key}:`, error);
           decrypted[key] = value;
         }
       } else {
@@ -99,8 +110,7 @@ class SecureEncryption {
   }
 
   shouldEncrypt(paramName) {
-    const sensitiveParams = ['user_id', 'user_email', 'user_name', 'auth_token', 'session_id'];
-    return sensitiveParams.includes(paramName);
+    return SENSITIVE_PARAMS.includes(paramName);
   }
 }
 
@@ -108,10 +118,15 @@ class SecureEncryption {
  * Enhanced error handling with structured logging
  */
 class ErrorHandler {
-  constructor(debug = false) {
+  constructor(debug = false, options = {}) {
     this.debug = debug;
+    this.logger = options.logger || createLogger({ level: debug ? 'debug' : 'warn' });
+    // TelemetryPipeline fed by sendToMonitoring; null disables reporting
+    this.telemetry = options.telemetry || null;
     this.errorCounts = new Map();
     this.maxRetries = 3;
+    // Longest Retry-After worth waiting for; longer ones fail immediately
+    this.maxRetryAfter = 60 * 1000;
   }
 
   logError(error, context = {}) {
@@ -121,38 +136,50 @@ class ErrorHandler {
 
     const logData = {
       timestamp: new Date().toISOString(),
+      // Telemetry reports each fingerprint once per dedupe window
+      fingerprint: errorKey,
       error: {
         name: error.name,
         message: error.message,
-        stack: this.debug ? error.stack : undefined
+        code: error.code,
+        retryable: error.retryable,
+        stack: error.stack
       },
       context,
       occurrences: count + 1
     };
 
-    if (this.debug) {
-      console.error('[VentureVerse SDK Error]', logData);
-    }
+    // Typed errors are conditions the caller is handed as well; only unexpected ones log as errors
+    const level = error instanceof VentureVerseError ? 'info' : 'error';
+    this.logger.write(level, `${context.operation || 'Operation'} failed:`, [error, {
+      context,
+      occurrences: logData.occurrences
+    }]);
 
     // Send to monitoring service in production
     this.sendToMonitoring(logData);
   }
 
   sendToMonitoring(logData) {
-    // In production, send to your monitoring service
-    // Example: POST to /api/v1/monitoring/errors
+    if (!this.telemetry) return;
+
+    try {
+      this.telemetry.record(logData);
+    } catch (error) {
+      // Reporting must never turn into another error
+      this.logger.warn('Telemetry failed:', error);
+    }
   }
 
   shouldRetry(error, attempt = 0) {
     if (attempt >= this.maxRetries) return false;
-    
-    const retryableErrors = [
-      'NetworkError',
-      'TimeoutError',
-      'ServiceUnavailable'
-    ];
-    
-    return retryableErrors.some(type => error.message.includes(type));
+
+    // Rate limited: retry once the requested wait is over
+    if (typeof error.retryAfter === 'number') {
+      return error.retryable !== false && error.retryAfter <= this.maxRetryAfter;
+    }
+
+    return error.retryable === true;
   }
 
   async withRetry(operation, context = {}) {
@@ -169,8 +196,10 @@ class ErrorHandler {
           break;
         }
         
-        // Exponential backoff
-        const delay = Math.min(1000 * Math.pow(2, attempt), 10000);
+        // Wait as long as a rate limit asks, otherwise back off exponentially
+        const delay = typeof error.retryAfter === 'number'
+          ? error.retryAfter
+          : Math.min(1000 * Math.pow(2, attempt), 10000);
         await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
@@ -179,6 +208,276 @@ class ErrorHandler {
   }
 }
 
+/**
+ * Credit charges that have not been acknowledged by the host yet.
+ * Persisted (localStorage when available) so a retry after a timeout or a page
+ * reload reuses the same idempotency key instead of charging twice.
+ */
+class PendingChargeStore {
+  constructor(appId, storage) {
+    this.storageKey = `ventureverse:pending-charges:${appId}`;
+    this.storage = storage === undefined ? PendingChargeStore.defaultStorage() : storage;
+    this.charges = new Map();
+    this.ttl = 24 * 60 * 60 * 1000; // Hosts keep idempotency keys for 24 hours
+    this.load();
+  }
+
+  static defaultStorage() {
+    try {
+      return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+    } catch (error) {
+      // Storage access can throw in sandboxed iframes
+      return null;
+    }
+  }
+
+  load() {
+    if (!this.storage) return;
+
+    try {
+      const saved = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+      for (const charge of saved) {
+        if (Date.now() - charge.created_at < this.ttl) {
+          this.charges.set(charge.idempotency_key, charge);
+        }
+      }
+    } catch (error) {
+      this.charges.clear();
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+
+    try {
+      if (this.charges.size === 0) {
+        this.storage.removeItem(this.storageKey);
+      } else {
+        this.storage.setItem(this.storageKey, JSON.stringify([...this.charges.values()]));
+      }
+    } catch (error) {
+      // Quota or access errors leave the in-memory copy intact
+    }
+  }
+
+  add(charge) {
+    this.charges.set(charge.idempotency_key, { ...charge, created_at: Date.now() });
+    this.save();
+  }
+
+  remove(idempotencyKey) {
+    if (this.charges.delete(idempotencyKey)) {
+      this.save();
+    }
+  }
+
+  list() {
+    const now = Date.now();
+    return [...this.charges.values()].filter(charge => now - charge.created_at < this.ttl);
+  }
+}
+
+/**
+ * Monthly plus top-up credits (hosts spell the latter both ways)
+ */
+function totalCredits(creditInfo) {
+  if (!creditInfo) {
+    return 0;
+  }
+  return (creditInfo.monthly_credit_balance || 0) +
+    (creditInfo.topup_credit_balance || creditInfo.top_up_credit_balance || 0);
+}
+
+/**
+ * Quota from a host RATE_LIMITED answer, in the shape RateLimiter.applyQuota takes
+ */
+function readHostQuota(payload) {
+  const info = payload.rate_limit || {};
+  return {
+    limit: info.limit !== undefined ? info.limit : null,
+    remaining: info.remaining !== undefined ? info.remaining : 0,
+    resetAt: info.reset_at !== undefined ? info.reset_at : null,
+    retryAfter: payload.retry_after_ms !== undefined ? payload.retry_after_ms : null
+  };
+}
+
+/**
+ * Handle for credits held by reserveCredits(). Capture charges (up to) the
+ * held amount; release gives the hold back. Holds expire on their own.
+ */
+class CreditReservation {
+  constructor(sdk, { id, cost, credits, description, expiresAt }) {
+    this.sdk = sdk;
+    this.id = id;
+    this.cost = cost;
+    this.credits = credits;
+    this.description = description;
+    this.expiresAt = expiresAt;
+    this.status = 'held';
+  }
+
+  get isActive() {
+    return this.status === 'held';
+  }
+
+  capture(actualCost = this.cost) {
+    return this.sdk.captureReservation(this, actualCost);
+  }
+
+  release() {
+    return this.sdk.releaseReservation(this);
+  }
+}
+
+/**
+ * Aggregates metered usage locally and settles it in batched charges.
+ * A batch that fails without a host answer is re-sent unchanged (same
+ * idempotency key) before newer usage, so nothing is billed twice.
+ */
+class UsageMeter {
+  constructor(sdk, flushInterval) {
+    this.sdk = sdk;
+    this.flushInterval = flushInterval;
+    this.usage = new Map();
+    this.retryBatch = null;
+    this.inFlightBatch = null;
+    this.inFlight = null;
+    this.isScheduled = false;
+  }
+
+  record(metric, quantity) {
+    if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity <= 0) {
+      throw new Error('Metered quantity must be a positive number');
+    }
+
+    // Unknown metrics fail here rather than at settlement
+    this.sdk.pricing.getFeature(metric);
+
+    this.usage.set(metric, (this.usage.get(metric) || 0) + quantity);
+    this.schedule();
+  }
+
+  schedule() {
+    if (this.isScheduled) return;
+    this.isScheduled = true;
+
+    const { resourceManager } = this.sdk;
+    resourceManager.addInterval(setInterval(() => this.flush(), this.flushInterval));
+
+    if (typeof document !== 'undefined') {
+      resourceManager.addEventListener(document, 'visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          this.flush();
+        }
+      });
+    }
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      resourceManager.addEventListener(window, 'pagehide', () => this.flush());
+    }
+  }
+
+  /**
+   * Settle pending usage. The charge is posted only after it is signed (and
+   * encrypted), so callers that tear the SDK down must await the result;
+   * destroy() does. From pagehide the post may not get out in time; the
+   * pending charge is then resumed on the next initialize().
+   */
+  flush() {
+    if (this.inFlight) {
+      return this.inFlight;
+    }
+
+    if (!this.retryBatch && this.usage.size === 0) {
+      return Promise.resolve(null);
+    }
+
+    // Share the SDK's request budget; leftover usage waits for the next flush
+    const { rateLimiter, options } = this.sdk;
+    if (this.sdk.isIframeMode && rateLimiter.getRemaining(options.appId) === 0) {
+      this.sdk.loggers.credits.info('Rate limit reached, deferring metered usage');
+      return Promise.resolve(null);
+    }
+
+    const batch = this.retryBatch || this.createBatch();
+    this.retryBatch = null;
+    this.inFlightBatch = batch;
+    this.inFlight = this.settle(batch).finally(() => {
+      this.inFlight = null;
+      this.inFlightBatch = null;
+    });
+    return this.inFlight;
+  }
+
+  createBatch() {
+    const items = [...this.usage].map(([metric, quantity]) => {
+      const quote = this.sdk.quote(metric, quantity);
+      return { metric, quantity, cost: quote.cost, credits: quote.credits };
+    });
+    this.usage.clear();
+
+    return {
+      idempotencyKey: randomHex(16),
+      items,
+      cost: Number(items.reduce((sum, item) => sum + item.cost, 0).toFixed(6))
+    };
+  }
+
+  async settle(batch) {
+    const usage = batch.items.map(({ metric, quantity }) => ({ metric, quantity }));
+
+    try {
+      const response = await this.sdk.deductCredits(
+        batch.cost,
+        `Metered usage: ${batch.items.map(item => item.metric).join(', ')}`,
+        'metered_usage',
+        { idempotencyKey: batch.idempotencyKey, usage }
+      );
+      this.sdk.triggerEvent('usageSettled', { usage: batch.items, cost: batch.cost, response });
+      return response;
+    } catch (error) {
+      if (error.response) {
+        // The host refused the batch (e.g. insufficient credits); re-sending cannot help
+        this.sdk.triggerEvent('usageRejected', { usage: batch.items, cost: batch.cost, error: error.message });
+      } else {
+        this.retryBatch = batch;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Usage recorded but not yet acknowledged by the host, per metric
+   */
+  getUnsettled() {
+    const metrics = {};
+    const add = (metric, quantity, cost, credits) => {
+      const entry = metrics[metric] || (metrics[metric] = { quantity: 0, cost: 0, credits: 0 });
+      entry.quantity += quantity;
+      entry.cost = Number((entry.cost + cost).toFixed(6));
+      entry.credits += credits;
+    };
+
+    for (const batch of [this.retryBatch, this.inFlightBatch]) {
+      if (!batch) continue;
+      for (const item of batch.items) {
+        add(item.metric, item.quantity, item.cost, item.credits);
+      }
+    }
+
+    for (const [metric, quantity] of this.usage) {
+      const quote = this.sdk.quote(metric, quantity);
+      add(metric, quantity, quote.cost, quote.credits);
+    }
+
+    const totals = Object.values(metrics);
+    return {
+      metrics,
+      cost: Number(totals.reduce((sum, entry) => sum + entry.cost, 0).toFixed(6)),
+      credits: totals.reduce((sum, entry) => sum + entry.credits, 0)
+    };
+  }
+}
+
 /**
  * Resource manager for proper cleanup
  */
@@ -262,12 +561,6 @@ export class VentureVerseSDKSecure {
       throw new Error('API key is required');
     }
     
-    // API secret is optional for backward compatibility
-    // but recommended for enhanced security
-    if (!options.apiSecret) {
-      console.warn('⚠️ API secret not provided. For enhanced security, use both API key and secret.');
-    }
-
     this.options = {
       apiKey: options.apiKey,
       apiSecret: options.apiSecret,
@@ -277,24 +570,88 @@ export class VentureVerseSDKSecure {
       encryptionKey: options.encryptionKey,
       apiEndpoint: options.apiEndpoint || 'https://api.ventureverse.com',
       enableEncryption: options.enableEncryption !== false,
+      allowedParentOrigins: options.allowedParentOrigins || [],
+      maxClockSkewMs: options.maxClockSkewMs || 5 * 60 * 1000,
+      creditCacheTtl: options.creditCacheTtl !== undefined ? options.creditCacheTtl : 30 * 1000,
+      meterFlushInterval: options.meterFlushInterval || 30 * 1000,
+      sessionRefreshMargin: options.sessionRefreshMargin || 60 * 1000,
+      logLevel: options.logLevel || (options.debug ? 'debug' : 'warn'),
       ...options
     };
 
+    // Root logger plus one child per subsystem; records are redacted before any sink sees them
+    this.logger = createLogger({
+      logger: this.options.logger,
+      level: this.options.logLevel,
+      sinks: this.options.logSinks,
+      prefix: 'VentureVerse SDK'
+    }, { sdk: this });
+    this.loggers = {
+      auth: this.logger.child('auth'),
+      transport: this.logger.child('transport'),
+      credits: this.logger.child('credits'),
+      crypto: this.logger.child('crypto')
+    };
+
+    // API secret is optional for backward compatibility
+    // but recommended for enhanced security
+    if (!options.apiSecret) {
+      this.loggers.auth.warn('⚠️ API secret not provided. For enhanced security, use both API key and secret.');
+    }
+
     // Initialize components
     this.auth = new VentureVerseAuth({ 
       apiEndpoint: this.options.apiEndpoint,
-      timeout: this.options.timeout 
+      timeout: this.options.timeout,
+      logger: this.loggers.auth,
+      onRateLimit: (quota) => this.handleRateLimit(quota, 'platform')
     });
+    // Always the in-memory store, so limiter results are synchronous
     this.rateLimiter = new RateLimiter({
-      maxRequests: 1000,
-      windowMs: 60 * 1000
+      limits: this.options.rateLimits || [{ max: 1000, windowMs: 60 * 1000 }]
+    });
+    // Off unless `telemetry` is set; { transports, endpoint, sampleRate, batchSize, ... }
+    this.telemetry = createTelemetry(this.options.telemetry, {
+      sdk: this,
+      debug: this.options.debug,
+      logger: this.logger.child('telemetry')
+    });
+    this.errorHandler = new ErrorHandler(this.options.debug, { telemetry: this.telemetry, logger: this.logger });
+    // One breaker per message type and for credential validation; `circuitBreaker: false` disables them
+    this.circuitBreakers = this.options.circuitBreaker === false ? null : new CircuitBreakerGroup({
+      ...this.options.circuitBreaker,
+      onStateChange: (operation, state, info) => this.handleCircuitChange(operation, state, info)
     });
-    this.errorHandler = new ErrorHandler(this.options.debug);
     this.resourceManager = new ResourceManager();
+    this.replayGuard = new ReplayGuard({ maxClockSkewMs: this.options.maxClockSkewMs });
+    this.pendingCharges = new PendingChargeStore(this.options.appId, this.options.storage);
+    // Launch token nonces outlive reloads, so a copied launch URL only works once
+    this.launchNonces = new StorageNonceStore(
+      this.options.storage === undefined ? PendingChargeStore.defaultStorage() : this.options.storage,
+      `ventureverse:launch-nonces:${this.options.appId}`
+    );
+    this.launchVerification = null;
+    this.pricing = PricingCatalog.from(this.options.pricing);
+    this.usageMeter = new UsageMeter(this, this.options.meterFlushInterval);
+    // Content size reports, display modes and host viewport (`sdk.iframe`)
+    this.iframe = new IframeLayout(this, {
+      autoResize: this.options.autoResize,
+      resizeThrottleMs: this.options.resizeThrottleMs
+    });
+    // Route reports, launch deep link and host back/forward (`sdk.navigation`)
+    this.navigation = new AppNavigation(this);
+    this.resourceManager.addResource(this.navigation);
+
+    if (this.telemetry && typeof window !== 'undefined' && window.addEventListener) {
+      this.resourceManager.addEventListener(window, 'pagehide', () => this.telemetry.flush());
+    }
 
     // Initialize encryption if key provided
     if (this.options.encryptionKey) {
-      this.encryption = new SecureEncryption(this.options.encryptionKey);
+      this.encryption = new SecureEncryption(this.options.encryptionKey, {
+        appId: this.options.appId,
+        logger: this.loggers.crypto
+      });
     }
 
     // State management
@@ -303,12 +660,22 @@ export class VentureVerseSDKSecure {
     this.isIframeMode = false;
     this.user = null;
     this.credits = null;
+    this.creditsUpdatedAt = 0;
+    this.creditRequest = null;
     this.sessionToken = null;
+    this.sessionClaims = null;
+    this.sessionRequest = null;
+    this.sessionRefreshTimer = null;
     this.messageHandlers = new Map();
     this.pendingRequests = new Map();
     this.requestId = 0;
+    this.reservations = new Map();
 
-    this.log('Secure SDK initialized');
+    // Parent origin, pinned by the handshake
+    this.parentOrigin = null;
+    this.handshakeNonce = null;
+
+    this.logger.debug('Secure SDK initialized');
   }
 
   extractAppIdFromKey(apiKey) {
@@ -318,38 +685,52 @@ export class VentureVerseSDKSecure {
 
   async initialize() {
     if (this.isInitialized) {
-      this.log('SDK already initialized');
+      this.logger.debug('SDK already initialized');
       return;
     }
 
     try {
       // Validate credentials
       const isValid = await this.errorHandler.withRetry(
-        () => this.auth.validateCredentials(this.options.apiKey, this.options.apiSecret),
+        () => this.runWithCircuitBreaker('validateCredentials',
+          () => this.auth.validateCredentials(this.options.apiKey, this.options.apiSecret)),
         { operation: 'credential_validation' }
       );
 
       if (!isValid) {
-        throw new Error('Invalid API credentials');
+        throw new AuthError('Invalid API credentials', { code: ERROR_CODES.INVALID_CREDENTIALS });
       }
 
       this.isAuthenticated = true;
-      this.log('✅ Credentials validated');
+      this.loggers.auth.info('✅ Credentials validated');
 
       // Detect iframe mode
       this.isIframeMode = this.detectIframeMode();
-      this.log('Iframe mode:', this.isIframeMode);
+      this.logger.debug('Iframe mode:', this.isIframeMode);
 
       if (this.isIframeMode) {
         this.setupSecureMessageListener();
+        await this.performHandshake();
+        this.iframe.start();
+        this.navigation.start();
         await this.loadInitialData();
+        await this.resumePendingCharges();
       } else {
-        this.log('Running in standalone mode');
+        this.logger.info('Running in standalone mode');
         this.setupDemoMode();
       }
 
+      if (this.isIframeMode) {
+        try {
+          await this.refreshSession();
+        } catch (error) {
+          // Apps without a backend can run without a session token
+          this.loggers.auth.warn('⚠️ No session token:', error.message);
+        }
+      }
+
       this.isInitialized = true;
-      this.log('✅ SDK initialization complete');
+      this.logger.info('✅ SDK initialization complete');
 
     } catch (error) {
       this.errorHandler.logError(error, { operation: 'initialize' });
@@ -357,7 +738,18 @@ export class VentureVerseSDKSecure {
     }
   }
 
+  /**
+   * Whether the app runs inside the platform's iframe (before or after initialize())
+   */
+  isInIframe() {
+    return this.isIframeMode || this.detectIframeMode();
+  }
+
   detectIframeMode() {
+    // Node (tests, CI against the mock platform) runs standalone
+    if (typeof window === 'undefined') {
+      return false;
+    }
     const urlParams = new URLSearchParams(window.location.search);
     return urlParams.get('iframe_mode') === 'true' || window.parent !== window;
   }
@@ -365,12 +757,123 @@ export class VentureVerseSDKSecure {
   setupSecureMessageListener() {
     const messageHandler = this.handleSecureMessage.bind(this);
     this.resourceManager.addEventListener(window, 'message', messageHandler);
-    this.log('Secure message listener set up');
+    this.loggers.transport.debug('Secure message listener set up');
+  }
+
+  /**
+   * Learn and pin the parent origin. The parent answers HANDSHAKE with a signed
+   * HANDSHAKE_ACK echoing our nonce; its origin is pinned for all later traffic.
+   */
+  async performHandshake() {
+    if (this.parentOrigin) {
+      return this.parentOrigin;
+    }
+
+    this.handshakeNonce = randomHex(16);
+
+    try {
+      const ack = await this.sendSecureMessage('HANDSHAKE', {
+        nonce: this.handshakeNonce,
+        sdk_version: '2.0'
+      }, true);
+
+      // The host's prices and conversion rate take precedence over local defaults
+      if (ack && ack.pricing) {
+        this.applyPricing(ack.pricing);
+      }
+
+      // So are its rate limits, which replace the local defaults
+      if (ack && ack.rate_limits) {
+        this.applyRateLimits({ limits: ack.rate_limits });
+      }
+
+      if (ack && ack.viewport) {
+        this.iframe.handleViewport(ack.viewport);
+      }
+
+      this.loggers.transport.info('✅ Handshake complete, parent origin pinned:', this.parentOrigin);
+      return this.parentOrigin;
+    } catch (error) {
+      this.errorHandler.logError(error, { operation: 'handshake' });
+      return null;
+    } finally {
+      this.handshakeNonce = null;
+    }
+  }
+
+  completeHandshake(event, message) {
+    const { allowedParentOrigins } = this.options;
+
+    if (allowedParentOrigins.length > 0 && !allowedParentOrigins.includes(event.origin)) {
+      this.rejectOrigin(event, 'origin_not_allowed');
+      return false;
+    }
+
+    if (!message.payload || message.payload.nonce !== this.handshakeNonce) {
+      this.rejectOrigin(event, 'handshake_invalid');
+      return false;
+    }
+
+    this.parentOrigin = event.origin;
+    return true;
+  }
+
+  /**
+   * Only the parent window, from the pinned (or an allowed) origin, may talk to us
+   */
+  isTrustedSender(event) {
+    if (event.source !== window.parent) {
+      return false;
+    }
+
+    if (this.parentOrigin) {
+      return event.origin === this.parentOrigin;
+    }
+
+    const { allowedParentOrigins } = this.options;
+    return allowedParentOrigins.length === 0 || allowedParentOrigins.includes(event.origin);
+  }
+
+  rejectOrigin(event, reason) {
+    const details = {
+      origin: event.origin,
+      type: event.data && event.data.type,
+      reason
+    };
+    this.loggers.transport.debug('Rejected message:', details);
+
+    // Unrelated non-protocol traffic (devtools, other libraries) is dropped silently
+    if (event.data && typeof event.data === 'object' && event.data.type) {
+      this.triggerEvent('originRejected', details);
+    }
+  }
+
+  /**
+   * Where outgoing messages may be delivered. Never '*' once the parent is known;
+   * only the handshake may be broadcast while the origin is still unknown.
+   */
+  getTargetOrigin(type) {
+    if (this.parentOrigin) {
+      return this.parentOrigin;
+    }
+
+    const { allowedParentOrigins } = this.options;
+    if (allowedParentOrigins.length === 1) {
+      return allowedParentOrigins[0];
+    }
+
+    if (type === 'HANDSHAKE') {
+      return '*';
+    }
+
+    throw new ProtocolError('Parent origin not established - handshake required', {
+      code: ERROR_CODES.HANDSHAKE_REQUIRED
+    });
   }
 
   async loadInitialData() {
     try {
-      this.log('Loading initial data from parent window...');
+      this.logger.debug('Loading initial data from parent window...');
       
       // Try to get user profile from parent
       await this.getUserProfile();
@@ -378,42 +881,80 @@ export class VentureVerseSDKSecure {
       // Try to get initial credit info
       await this.getCredits();
       
-      this.log('✅ Initial data loaded successfully');
+      this.logger.debug('✅ Initial data loaded successfully');
     } catch (error) {
-      this.log('⚠️ Failed to load initial data, using fallback:', error.message);
-      // Fallback to URL parameters
-      this.getURLParamsFallback();
+      // getUserProfile already fell back to the launch token; without a user there is nothing to run as
+      if (!this.user) {
+        throw error;
+      }
+      this.logger.warn('⚠️ Failed to load initial data:', error.message);
     }
   }
 
-  handleSecureMessage(event) {
+  async handleSecureMessage(event) {
     try {
+      if (!this.isTrustedSender(event)) {
+        this.rejectOrigin(event, event.source !== window.parent ? 'unexpected_source' : 'origin_mismatch');
+        return;
+      }
+
       if (!this.validateMessage(event.data)) {
-        this.log('Invalid message received');
+        this.loggers.transport.debug('Invalid message received');
         return;
       }
 
       const message = event.data;
+
+      // Until the handshake pins an origin, the ack is the only accepted message
+      if (!this.parentOrigin && message.type !== 'HANDSHAKE_ACK') {
+        this.rejectOrigin(event, 'origin_not_pinned');
+        return;
+      }
+
+      const rejection = await this.verifyIncomingMessage(message);
+      if (rejection) {
+        this.loggers.transport.warn('Rejected message:', message.type, rejection);
+        this.triggerEvent('invalidMessage', { type: message.type, reason: rejection });
+        return;
+      }
       
       // Decrypt message if needed
       if (message.encrypted && this.encryption) {
         try {
-          message.payload = JSON.parse(this.encryption.decrypt(message.payload));
+          message.payload = JSON.parse(await this.encryption.decrypt(message.payload, { type: message.type }));
         } catch (error) {
           this.errorHandler.logError(error, { operation: 'message_decryption' });
           return;
         }
       }
 
-      this.log('Received secure message:', message.type);
+      this.loggers.transport.debug('Received secure message:', message.type);
+
+      if (message.type === 'HANDSHAKE_ACK' && !this.parentOrigin &&
+          !this.completeHandshake(event, message)) {
+        return;
+      }
 
       // Handle responses to pending requests
       if (message.requestId && this.pendingRequests.has(message.requestId)) {
         const { resolve, reject } = this.pendingRequests.get(message.requestId);
         this.pendingRequests.delete(message.requestId);
 
-        if (message.payload && message.payload.error) {
-          reject(new Error(message.payload.error));
+        if (message.payload && message.payload.code === ERROR_CODES.RATE_LIMITED) {
+          // Not processed, so callers may retry once the host's window allows it
+          const quota = readHostQuota(message.payload);
+          this.handleRateLimit(quota, 'host');
+          reject(new RateLimitError(message.payload.error, {
+            retryAfter: message.payload.retry_after_ms,
+            limit: quota.limit,
+            resetAt: quota.resetAt,
+            details: message.payload
+          }));
+        } else if (message.payload && message.payload.error) {
+          const error = fromErrorPayload(message.payload);
+          // The host processed the request; keep its answer for callers
+          error.response = message.payload;
+          reject(error);
         } else {
           resolve(message.payload);
         }
@@ -439,6 +980,21 @@ export class VentureVerseSDKSecure {
       case 'CREDIT_BALANCE_RESPONSE':
         this.handleCreditBalanceResponse(message.payload);
         break;
+      case 'PRICING_UPDATE':
+        this.applyPricing(message.payload);
+        break;
+      case 'RATE_LIMIT_UPDATE':
+        this.applyRateLimits(message.payload);
+        break;
+      case 'SESSION_REVOKED':
+        this.handleSessionRevoked(message.payload);
+        break;
+      case 'VIEWPORT_UPDATE':
+        this.iframe.handleViewport(message.payload);
+        break;
+      case 'NAVIGATE':
+        this.navigation.handleNavigate(message.payload);
+        break;
       case 'ERROR':
         this.handleError(message.payload);
         break;
@@ -455,19 +1011,60 @@ export class VentureVerseSDKSecure {
            data.type && 
            data.timestamp && 
            data.source === 'parent' &&
+           data.appId === this.options.appId &&
+           data.nonce &&
            data.signature; // Require signature for security
   }
 
+  /**
+   * Check the HMAC, then the clock-skew window and nonce cache.
+   * Returns null for an authentic, fresh message, otherwise the rejection reason.
+   */
+  async verifyIncomingMessage(message) {
+    if (!(await verifyMessageSignature(message, this.options.apiSecret))) {
+      return 'signature';
+    }
+    // Only authentic messages may claim a nonce
+    return this.replayGuard.check(message);
+  }
+
+  /**
+   * Send a signed message to the host. Requests that expect a response go
+   * through the message type's circuit breaker, so a host that stopped
+   * answering fails fast instead of waiting out every timeout.
+   */
   async sendSecureMessage(type, payload = {}, expectResponse = false) {
+    if (!expectResponse || !this.isIframeMode) {
+      return this.postSecureMessage(type, payload, expectResponse);
+    }
+    return this.runWithCircuitBreaker(type, () => this.postSecureMessage(type, payload, true));
+  }
+
+  async postSecureMessage(type, payload, expectResponse) {
     if (!this.isIframeMode) {
-      this.log('Cannot send message - not in iframe mode');
+      this.loggers.transport.debug('Cannot send message - not in iframe mode');
       return Promise.resolve(null);
     }
 
-    if (!this.rateLimiter.isAllowed(this.options.appId)) {
-      throw new Error('Rate limit exceeded');
+    const rateLimit = this.rateLimiter.consume(this.options.appId);
+    if (!rateLimit.allowed) {
+      this.triggerEvent('rateLimited', {
+        source: rateLimit.quota ? 'quota' : 'client',
+        type,
+        limit: rateLimit.limit,
+        remaining: 0,
+        resetAt: rateLimit.resetAt,
+        retryAfter: rateLimit.retryAfter
+      });
+
+      throw new RateLimitError('Rate limit exceeded', {
+        retryAfter: rateLimit.retryAfter,
+        limit: rateLimit.limit,
+        resetAt: rateLimit.resetAt
+      });
     }
 
+    const targetOrigin = this.getTargetOrigin(type);
     const requestId = expectResponse ? ++this.requestId : null;
     const timestamp = Date.now();
     
@@ -477,7 +1074,7 @@ export class VentureVerseSDKSecure {
     
     if (this.encryption && this.options.enableEncryption) {
       try {
-        messagePayload = this.encryption.encrypt(JSON.stringify(payload));
+        messagePayload = await this.encryption.encrypt(JSON.stringify(payload), { type });
         encrypted = true;
       } catch (error) {
         this.errorHandler.logError(error, { operation: 'message_encryption' });
@@ -491,18 +1088,19 @@ export class VentureVerseSDKSecure {
       timestamp: new Date(timestamp).toISOString(),
       source: 'iframe',
       requestId,
+      nonce: generateNonce(),
       encrypted,
-      appId: this.options.appId,
-      signature: this.generateMessageSignature(type, timestamp)
+      appId: this.options.appId
     };
+    message.signature = await this.generateMessageSignature(message);
 
-    this.log('Sending secure message:', type);
+    this.loggers.transport.debug('Sending secure message:', type);
     
     if (expectResponse) {
       return new Promise((resolve, reject) => {
         const timeoutId = setTimeout(() => {
           this.pendingRequests.delete(requestId);
-          reject(new Error(`Request ${type} timed out`));
+          reject(new TimeoutError(`Request ${type} timed out`, { details: { type } }));
         }, this.options.timeout);
 
         this.resourceManager.addTimeout(timeoutId);
@@ -518,20 +1116,16 @@ export class VentureVerseSDKSecure {
           }
         });
 
-        window.parent.postMessage(message, '*');
+        window.parent.postMessage(message, targetOrigin);
       });
     } else {
-      window.parent.postMessage(message, '*');
+      window.parent.postMessage(message, targetOrigin);
       return Promise.resolve();
     }
   }
 
-  generateMessageSignature(type, timestamp) {
-    const payload = `${this.options.appId}:${type}:${timestamp}`;
-    return crypto
-      .createHmac('sha256', this.options.apiSecret)
-      .update(payload)
-      .digest('hex');
+  async generateMessageSignature(message) {
+    return signMessage(message, this.options.apiSecret);
   }
 
   async getUserProfile() {
@@ -563,80 +1157,727 @@ export class VentureVerseSDKSecure {
         return this.user;
       }
       
-      this.log('API error, using URL params fallback');
-      return this.getURLParamsFallback();
+      this.logger.warn('API error, using launch token');
+      return this.getLaunchUser();
       
     } catch (error) {
       this.errorHandler.logError(error, { operation: 'refresh_user_profile' });
-      return this.getURLParamsFallback();
+      return this.getLaunchUser();
     }
   }
 
-  getURLParamsFallback() {
-    const urlParams = new URLSearchParams(window.location.search);
-    const rawParams = Object.fromEntries(urlParams.entries());
-    
-    // Decrypt parameters if encryption is enabled
-    const params = this.encryption && this.options.enableEncryption
-      ? this.encryption.decryptUrlParams(rawParams)
-      : rawParams;
-    
-    this.user = {
-      id: parseInt(params['user_id'] || '1'),
-      email: params['user_email'] || 'fallback@ventureverse.com',
-      first_name: params['user_name']?.split(' ')[0] || 'User',
-      last_name: params['user_name']?.split(' ')[1] || 'Name',
-      monthly_credit_balance: 0,
-      top_up_credit_balance: 0,
-      tier_id: 1,
-      user_roles: ['founder']
-    };
-    
-    this.log('Using URL params fallback');
-    this.triggerEvent('userProfileUpdated', this.user);
-    return this.user;
-  }
+  /**
+   * User from the signed launch token in the iframe URL (`vv_launch`), for
+   * when the host does not answer. The token is verified once per page and
+   * then removed from the address bar; a missing, tampered, expired or
+   * replayed token fires `launchRejected` and throws AuthError INVALID_LAUNCH.
+   */
+  getLaunchUser() {
+    if (!this.launchVerification) {
+      this.launchVerification = this.verifyLaunch();
+    }
+
+    return this.launchVerification.then((result) => {
+      if (!result.valid) {
+        throw new AuthError(`Launch token rejected (${result.reason})`, {
+          code: ERROR_CODES.INVALID_LAUNCH,
+          details: { reason: result.reason }
+        });
+      }
+
+      this.user = {
+        ...result.user,
+        monthly_credit_balance: result.user.monthly_credit_balance || 0,
+        top_up_credit_balance: result.user.top_up_credit_balance || 0
+      };
+      this.loggers.auth.debug('Using launch token user');
+      this.triggerEvent('userProfileUpdated', this.user);
+      return this.user;
+    });
+  }
+
+  async verifyLaunch() {
+    const token = readLaunchToken(window.location.search);
+    if (token) {
+      this.stripLaunchToken();
+    }
+
+    const result = await verifyLaunchToken(token, {
+      appId: this.options.appId,
+      apiSecret: this.options.apiSecret,
+      encryptionKey: this.options.enableEncryption ? this.options.encryptionKey : undefined,
+      nonceStore: this.launchNonces,
+      clockSkewMs: this.options.maxClockSkewMs
+    });
+
+    if (!result.valid) {
+      this.loggers.auth.warn('Launch token rejected:', result.reason);
+      this.triggerEvent('launchRejected', { reason: result.reason });
+    }
+    return result;
+  }
+
+  /**
+   * Drop the token from the address bar so it is not bookmarked, shared or
+   * sent on as a referrer
+   */
+  stripLaunchToken() {
+    try {
+      const url = new URL(window.location.href);
+      url.searchParams.delete(LAUNCH_TOKEN_PARAM);
+      window.history.replaceState(window.history.state, '', url.toString());
+    } catch (error) {
+      // Sandboxed or opaque-origin frames cannot rewrite their URL
+    }
+  }
+
+  /**
+   * Launch URL for `baseUrl` carrying `userContext` (default: the current
+   * user) in a signed, expiring token, encrypted when an encryption key is
+   * configured. Requires the API secret.
+   */
+  async createSecureIframeUrl(baseUrl, userContext = this.user, options = {}) {
+    return createLaunchUrl(baseUrl, userContext, {
+      appId: this.options.appId,
+      apiSecret: this.options.apiSecret,
+      encryptionKey: this.options.enableEncryption ? this.options.encryptionKey : undefined,
+      ttlMs: options.ttlMs,
+      params: options.params
+    });
+  }
+
+  /**
+   * Charge the user. Every attempt, including retries, carries the same
+   * idempotency key, so the host charges at most once per call. Pass
+   * `options.idempotencyKey` to make a charge idempotent across calls too.
+   */
+  async deductCredits(cost, description = '', type = 'app_usage', options = {}) {
+    if (typeof cost !== 'number' || !Number.isFinite(cost) || cost < 0) {
+      throw new Error('Cost must be a non-negative USD amount');
+    }
 
-  async deductCredits(cost, description = '', type = 'app_usage') {
     if (!this.isIframeMode) {
-      this.log('Demo mode - simulating credit deduction:', cost, description);
-      return {
+      this.loggers.credits.debug('Demo mode - simulating credit deduction:', cost, description);
+      const creditsDeducted = this.calculateCreditCost(cost);
+      const response = {
         success: true,
-        credits_deducted: this.calculateCreditCost(cost),
-        remaining_balance: this.getDemoCredits()
+        credits_deducted: creditsDeducted,
+        remaining_balance: this.simulateDemoDeduction(creditsDeducted)
       };
+      this.handleDeductionResult(response, description);
+      return response;
     }
 
+    const idempotencyKey = options.idempotencyKey || randomHex(16);
+    const payload = {
+      cost,
+      type,
+      description,
+      estimation: false,
+      idempotency_key: idempotencyKey,
+      // Lets the host price catalog features authoritatively
+      feature: options.feature,
+      quantity: options.quantity,
+      usage: options.usage
+    };
+
+    this.pendingCharges.add(payload);
+
     try {
       const response = await this.errorHandler.withRetry(
-        () => this.sendSecureMessage('DEDUCT_CREDITS', {
-          cost,
-          type,
-          description,
-          estimation: false
-        }, true),
+        () => this.sendSecureMessage('DEDUCT_CREDITS', payload, true),
         { operation: 'deduct_credits', cost, description }
       );
 
-      if (response.success !== false) {
-        this.triggerEvent('creditsDeducted', {
-          amount: response.credits_deducted,
-          description,
-          remaining: response.remaining_balance
-        });
-        
-        if (response.remaining_balance) {
-          this.user = { ...this.user, ...response.remaining_balance };
-        }
-      }
+      this.pendingCharges.remove(idempotencyKey);
+      this.handleDeductionResult(response, description);
 
       return response;
     } catch (error) {
+      // A host answer (e.g. insufficient credits) settles the charge; a timeout does not
+      if (error.response) {
+        this.pendingCharges.remove(idempotencyKey);
+      }
       this.errorHandler.logError(error, { operation: 'deduct_credits', cost, description });
       throw error;
     }
   }
 
+  /**
+   * Re-send charges left unacknowledged by a previous session. Hosts answer a
+   * known key with the original result, so nothing is charged twice.
+   */
+  async resumePendingCharges() {
+    for (const { created_at, ...payload } of this.pendingCharges.list()) {
+      try {
+        const response = await this.sendSecureMessage('DEDUCT_CREDITS', payload, true);
+        this.pendingCharges.remove(payload.idempotency_key);
+        this.handleDeductionResult(response, payload.description);
+      } catch (error) {
+        if (error.response) {
+          this.pendingCharges.remove(payload.idempotency_key);
+        }
+        this.errorHandler.logError(error, { operation: 'resume_pending_charge', description: payload.description });
+      }
+    }
+  }
+
+  getPendingCharges() {
+    return this.pendingCharges.list();
+  }
+
+  /**
+   * Current session token, refreshed first if it is about to expire.
+   * Send it to your backend, which verifies it with
+   * VentureVerseAuth.verifySession(token, apiSecret). Standalone mode has
+   * no platform user, so it rejects with AuthError (SESSION_INVALID).
+   */
+  async getSessionToken() {
+    if (this.sessionClaims &&
+        this.sessionClaims.exp - Date.now() > this.options.sessionRefreshMargin) {
+      return this.sessionToken;
+    }
+    return this.refreshSession();
+  }
+
+  /**
+   * Get a new session token from the host: a refresh while the current one is
+   * valid, otherwise a fresh issue. Concurrent callers share one request.
+   */
+  refreshSession() {
+    if (!this.sessionRequest) {
+      this.sessionRequest = this.requestSessionToken().finally(() => {
+        this.sessionRequest = null;
+      });
+    }
+    return this.sessionRequest;
+  }
+
+  async requestSessionToken() {
+    if (!this.isIframeMode) {
+      // A token signed here would carry the demo user yet pass backend verification
+      throw new AuthError('Session tokens are only issued inside the platform', {
+        code: ERROR_CODES.SESSION_INVALID,
+        details: { reason: 'standalone' }
+      });
+    }
+
+    let response = null;
+    if (this.sessionClaims && this.sessionClaims.exp > Date.now()) {
+      try {
+        response = await this.sendSecureMessage('REFRESH_SESSION_TOKEN', { session_token: this.sessionToken }, true);
+      } catch (error) {
+        // Revoked or rejected; fall back to a new session
+        this.errorHandler.logError(error, { operation: 'refresh_session' });
+      }
+    }
+
+    if (!response) {
+      response = await this.errorHandler.withRetry(
+        () => this.sendSecureMessage('REQUEST_SESSION_TOKEN', {}, true),
+        { operation: 'request_session' }
+      );
+    }
+
+    return this.applySessionToken(response.session_token);
+  }
+
+  async applySessionToken(token) {
+    const result = await verifySessionToken(token, this.options.apiSecret, { appId: this.options.appId });
+    if (!result.valid) {
+      throw new AuthError(`Received an invalid session token (${result.reason})`, {
+        code: ERROR_CODES.SESSION_INVALID,
+        details: { reason: result.reason }
+      });
+    }
+
+    this.sessionToken = token;
+    this.sessionClaims = result.claims;
+    this.scheduleSessionRefresh();
+
+    this.triggerEvent('sessionRefreshed', {
+      expiresAt: result.claims.exp,
+      scopes: result.claims.scopes
+    });
+    return token;
+  }
+
+  scheduleSessionRefresh() {
+    clearTimeout(this.sessionRefreshTimer);
+
+    const delay = Math.max(1000, this.sessionClaims.exp - Date.now() - this.options.sessionRefreshMargin);
+    this.sessionRefreshTimer = setTimeout(() => {
+      this.refreshSession().catch(error => {
+        this.errorHandler.logError(error, { operation: 'scheduled_session_refresh' });
+        if (!this.sessionClaims) return;
+
+        // Keep the current token until it actually expires
+        this.sessionRefreshTimer = setTimeout(
+          () => this.clearSession('expired'),
+          Math.max(0, this.sessionClaims.exp - Date.now())
+        );
+        this.resourceManager.addTimeout(this.sessionRefreshTimer);
+      });
+    }, delay);
+    this.resourceManager.addTimeout(this.sessionRefreshTimer);
+  }
+
+  handleSessionRevoked(payload = {}) {
+    if (this.sessionClaims && payload.jti === this.sessionClaims.jti) {
+      this.clearSession('revoked');
+    }
+  }
+
+  clearSession(reason) {
+    clearTimeout(this.sessionRefreshTimer);
+    this.sessionToken = null;
+    this.sessionClaims = null;
+    this.triggerEvent(reason === 'revoked' ? 'sessionRevoked' : 'sessionExpired', { reason });
+  }
+
+  /**
+   * Charge a priced feature from the catalog, e.g. charge('export_pdf') or
+   * charge('ai_tokens', { quantity: 1834 }). The price follows the user's tier.
+   */
+  async charge(feature, options = {}) {
+    const quote = this.quote(feature, options.quantity);
+
+    return this.deductCredits(quote.cost, options.description || quote.description, options.type || 'app_usage', {
+      idempotencyKey: options.idempotencyKey,
+      feature,
+      quantity: quote.quantity
+    });
+  }
+
+  /**
+   * Record usage of a catalog feature, e.g. meter('ai_tokens', 1834).
+   * Usage is aggregated and charged in batches every `meterFlushInterval`,
+   * when the page is hidden and on destroy().
+   */
+  meter(metric, quantity = 1) {
+    this.usageMeter.record(metric, quantity);
+  }
+
+  /**
+   * Settle metered usage now. Resolves to the deduction response, or null
+   * when there was nothing to send or it must be retried later.
+   */
+  flushUsage() {
+    return this.usageMeter.flush();
+  }
+
+  getUnsettledUsage() {
+    return this.usageMeter.getUnsettled();
+  }
+
+  /**
+   * Price a catalog feature for the current user without charging
+   */
+  quote(feature, quantity = 1) {
+    return this.pricing.quote(feature, {
+      quantity,
+      tierId: this.user ? this.user.tier_id : null
+    });
+  }
+
+  applyPricing(catalog) {
+    try {
+      this.pricing.update(catalog);
+      this.loggers.credits.info('Pricing updated, credits per USD:', this.pricing.creditsPerUsd);
+      this.triggerEvent('pricingUpdated', this.pricing.toJSON());
+    } catch (error) {
+      this.errorHandler.logError(error, { operation: 'pricing_update' });
+    }
+  }
+
+  /**
+   * Adopt the host's limits (`{ limits: [{ max, window_ms, algorithm }] }`)
+   * in place of the local defaults
+   */
+  applyRateLimits(update) {
+    try {
+      this.rateLimiter.setLimits(update.limits);
+      this.loggers.transport.info('Rate limits updated:', this.rateLimiter.limits);
+      this.triggerEvent('rateLimitsUpdated', this.rateLimiter.limits);
+    } catch (error) {
+      this.errorHandler.logError(error, { operation: 'rate_limit_update' });
+    }
+  }
+
+  /**
+   * Feed a quota reported by the platform or host into the local limiter, so
+   * later requests wait instead of failing; fires rateLimited once it is used up
+   */
+  handleRateLimit(quota, source) {
+    this.rateLimiter.applyQuota(this.options.appId, quota);
+
+    const now = Date.now();
+    const retryAfter = quota.retryAfter > 0
+      ? quota.retryAfter
+      : (quota.remaining === 0 && quota.resetAt > now ? quota.resetAt - now : 0);
+
+    if (retryAfter > 0) {
+      this.loggers.transport.warn(`Rate limited by ${source}, retry in ${retryAfter}ms`);
+      this.triggerEvent('rateLimited', {
+        source,
+        limit: quota.limit,
+        remaining: 0,
+        resetAt: quota.resetAt || now + retryAfter,
+        retryAfter
+      });
+    }
+  }
+
+  /**
+   * Cached credit info; refreshed from the host when older than
+   * `creditCacheTtl` (or `maxAge`, in ms)
+   */
+  async getCreditBalance({ maxAge = this.options.creditCacheTtl } = {}) {
+    if (this.credits && Date.now() - this.creditsUpdatedAt <= maxAge) {
+      return this.credits;
+    }
+    return this.refreshCreditBalance();
+  }
+
+  /**
+   * Fetch the balance from the host. Concurrent callers share one request.
+   */
+  async refreshCreditBalance() {
+    if (!this.isIframeMode) {
+      return this.applyCreditInfo(this.credits || this.getDemoCredits());
+    }
+
+    if (!this.creditRequest) {
+      this.creditRequest = this.errorHandler.withRetry(
+        () => this.sendSecureMessage('CHECK_CREDIT_BALANCE', {}, true),
+        { operation: 'check_credit_balance' }
+      ).then(
+        response => this.applyCreditInfo(response.credit_info),
+        error => {
+          this.errorHandler.logError(error, { operation: 'check_credit_balance' });
+          throw error;
+        }
+      ).finally(() => {
+        this.creditRequest = null;
+      });
+    }
+
+    return this.creditRequest;
+  }
+
+  /**
+   * Spendable credits: the balance minus credits held by open reservations
+   */
+  async getCredits() {
+    await this.getCreditBalance();
+    return this.getAvailableCredits();
+  }
+
+  /**
+   * Whether the balance covers a USD cost (converted like deductCredits)
+   */
+  async hasCredits(cost) {
+    await this.getCreditBalance();
+    return this.hasEnoughCredits(this.calculateCreditCost(cost));
+  }
+
+  /**
+   * Synchronous check against the cached balance; false until a balance is known
+   */
+  hasEnoughCredits(requiredCredits) {
+    return this.credits !== null && this.getAvailableCredits() >= requiredCredits;
+  }
+
+  getAvailableCredits() {
+    return Math.max(0, totalCredits(this.credits) - this.getHeldCredits());
+  }
+
+  /**
+   * Ask the host what a charge would cost without charging
+   * (DEDUCT_CREDITS with `estimation: true`)
+   */
+  async estimateCredits(cost, description = '') {
+    if (!this.isIframeMode) {
+      return { credits: this.calculateCreditCost(cost), cost };
+    }
+
+    const response = await this.errorHandler.withRetry(
+      () => this.sendSecureMessage('DEDUCT_CREDITS', {
+        cost,
+        type: 'app_usage',
+        description,
+        estimation: true
+      }, true),
+      { operation: 'estimate_credits', cost, description }
+    );
+
+    const credits = response.credits !== undefined ? response.credits : response.credits_deducted;
+    return {
+      credits: credits !== undefined ? credits : this.calculateCreditCost(cost),
+      cost
+    };
+  }
+
+  applyCreditInfo(creditInfo) {
+    if (!creditInfo) {
+      throw new ProtocolError('Credit balance response did not include credit info', {
+        code: ERROR_CODES.INVALID_RESPONSE
+      });
+    }
+
+    this.credits = creditInfo;
+    this.creditsUpdatedAt = Date.now();
+    this.triggerEvent('creditBalanceUpdated', this.credits);
+    return this.credits;
+  }
+
+  /**
+   * Hold credits before long-running work starts. Returns a CreditReservation;
+   * call capture(actualCost) on success or release() on failure. Forgotten
+   * holds expire (default: host decides, typically 15 minutes).
+   */
+  async reserveCredits(cost, description = '', options = {}) {
+    let response;
+
+    if (!this.isIframeMode) {
+      this.loggers.credits.debug('Demo mode - simulating credit reservation:', cost, description);
+      response = {
+        success: true,
+        reservation_id: `demo_${randomHex(8)}`,
+        credits_reserved: this.calculateCreditCost(cost),
+        expires_at: new Date(Date.now() + (options.ttlMs || 15 * 60 * 1000)).toISOString()
+      };
+    } else {
+      // One key per reserveCredits() call, shared by its retries
+      const idempotencyKey = options.idempotencyKey || randomHex(16);
+      try {
+        response = await this.errorHandler.withRetry(
+          () => this.sendSecureMessage('RESERVE_CREDITS', {
+            cost,
+            description,
+            ttl_ms: options.ttlMs,
+            idempotency_key: idempotencyKey
+          }, true),
+          { operation: 'reserve_credits', cost, description }
+        );
+      } catch (error) {
+        this.errorHandler.logError(error, { operation: 'reserve_credits', cost, description });
+        throw error;
+      }
+    }
+
+    if (response.success === false) {
+      throw fromErrorPayload({ ...response, error: response.error || 'Credit reservation failed' });
+    }
+
+    const reservation = new CreditReservation(this, {
+      id: response.reservation_id,
+      cost,
+      credits: response.credits_reserved,
+      description,
+      expiresAt: Date.parse(response.expires_at)
+    });
+
+    this.reservations.set(reservation.id, reservation);
+    this.scheduleReservationExpiry(reservation);
+    this.applyRemainingBalance(response.remaining_balance);
+
+    this.triggerEvent('creditsReserved', {
+      reservationId: reservation.id,
+      amount: reservation.credits,
+      description,
+      expiresAt: reservation.expiresAt,
+      held: this.getHeldCredits()
+    });
+
+    return reservation;
+  }
+
+  async captureReservation(reservation, actualCost = reservation.cost) {
+    this.assertReservationActive(reservation);
+
+    if (actualCost > reservation.cost) {
+      throw new Error('Capture amount exceeds the reserved amount');
+    }
+
+    let response;
+    if (!this.isIframeMode) {
+      const creditsDeducted = this.calculateCreditCost(actualCost);
+      response = {
+        success: true,
+        credits_deducted: creditsDeducted,
+        credits_released: Math.max(0, reservation.credits - creditsDeducted)
+      };
+    } else {
+      try {
+        response = await this.errorHandler.withRetry(
+          () => this.sendSecureMessage('CAPTURE_CREDITS', {
+            reservation_id: reservation.id,
+            cost: actualCost
+          }, true),
+          { operation: 'capture_credits', reservationId: reservation.id }
+        );
+      } catch (error) {
+        this.errorHandler.logError(error, { operation: 'capture_credits', reservationId: reservation.id });
+        throw error;
+      }
+    }
+
+    if (response.success === false) {
+      throw fromErrorPayload({ ...response, error: response.error || 'Credit capture failed' });
+    }
+
+    this.settleReservation(reservation, 'captured');
+    this.applyRemainingBalance(response.remaining_balance);
+
+    this.triggerEvent('creditsCaptured', {
+      reservationId: reservation.id,
+      amount: response.credits_deducted,
+      released: response.credits_released,
+      description: reservation.description,
+      remaining: response.remaining_balance,
+      held: this.getHeldCredits()
+    });
+
+    return response;
+  }
+
+  async releaseReservation(reservation, reason = 'released') {
+    if (!reservation.isActive) {
+      return { success: true, credits_released: 0 };
+    }
+
+    let response = { success: true, credits_released: reservation.credits };
+    if (this.isIframeMode) {
+      try {
+        response = await this.sendSecureMessage('RELEASE_CREDITS', {
+          reservation_id: reservation.id
+        }, true);
+      } catch (error) {
+        // The host expires the hold on its own; never keep it locally
+        this.errorHandler.logError(error, { operation: 'release_credits', reservationId: reservation.id });
+      }
+    }
+
+    this.settleReservation(reservation, reason);
+    this.applyRemainingBalance(response.remaining_balance);
+
+    this.triggerEvent('creditsReleased', {
+      reservationId: reservation.id,
+      amount: reservation.credits,
+      reason,
+      held: this.getHeldCredits()
+    });
+
+    return response;
+  }
+
+  assertReservationActive(reservation) {
+    if (!reservation.isActive) {
+      throw new VentureVerseError(`Reservation ${reservation.id} is already ${reservation.status}`, {
+        code: ERROR_CODES.RESERVATION_INACTIVE,
+        details: { reservationId: reservation.id, status: reservation.status }
+      });
+    }
+    if (Date.now() >= reservation.expiresAt) {
+      this.releaseReservation(reservation, 'expired');
+      throw new VentureVerseError(`Reservation ${reservation.id} has expired`, {
+        code: ERROR_CODES.RESERVATION_INACTIVE,
+        details: { reservationId: reservation.id, status: 'expired' }
+      });
+    }
+  }
+
+  scheduleReservationExpiry(reservation) {
+    const delay = Math.max(0, reservation.expiresAt - Date.now());
+    reservation.expiryTimer = setTimeout(() => {
+      if (reservation.isActive) {
+        this.loggers.credits.info('Reservation expired:', reservation.id);
+        this.releaseReservation(reservation, 'expired');
+      }
+    }, delay);
+    this.resourceManager.addTimeout(reservation.expiryTimer);
+  }
+
+  settleReservation(reservation, status) {
+    reservation.status = status;
+    clearTimeout(reservation.expiryTimer);
+    this.reservations.delete(reservation.id);
+  }
+
+  /**
+   * Credits currently held by active reservations
+   */
+  getHeldCredits() {
+    let held = 0;
+    for (const reservation of this.reservations.values()) {
+      held += reservation.credits;
+    }
+    return held;
+  }
+
+  /**
+   * Merge a balance returned with a charge into the user and the cached credit
+   * info; without one, the cache is marked stale so the next read refetches
+   */
+  applyRemainingBalance(remainingBalance) {
+    if (!remainingBalance) {
+      this.creditsUpdatedAt = 0;
+      return;
+    }
+
+    this.user = { ...this.user, ...remainingBalance };
+
+    if (this.credits) {
+      const topup = remainingBalance.topup_credit_balance !== undefined
+        ? remainingBalance.topup_credit_balance
+        : remainingBalance.top_up_credit_balance;
+
+      this.applyCreditInfo({
+        ...this.credits,
+        monthly_credit_balance: remainingBalance.monthly_credit_balance !== undefined
+          ? remainingBalance.monthly_credit_balance
+          : this.credits.monthly_credit_balance,
+        topup_credit_balance: topup !== undefined ? topup : this.credits.topup_credit_balance
+      });
+    }
+  }
+
+  handleDeductionResult(response, description) {
+    if (response.success === false) {
+      return;
+    }
+
+    this.triggerEvent('creditsDeducted', {
+      amount: response.credits_deducted,
+      description,
+      remaining: response.remaining_balance
+    });
+    
+    this.applyRemainingBalance(response.remaining_balance);
+  }
+
+  runWithCircuitBreaker(operation, call) {
+    return this.circuitBreakers ? this.circuitBreakers.run(operation, call) : call();
+  }
+
+  handleCircuitChange(operation, state, { failures, retryAt }) {
+    if (state === CIRCUIT_STATES.OPEN) {
+      this.loggers.transport.warn(`Circuit for ${operation} opened after ${failures} failures`);
+      this.triggerEvent('circuitOpened', { operation, failures, retryAt });
+    } else if (state === CIRCUIT_STATES.CLOSED) {
+      this.loggers.transport.info(`Circuit for ${operation} closed`);
+      this.triggerEvent('circuitClosed', { operation });
+    }
+  }
+
+  /**
+   * `{ [operation]: 'closed' | 'open' | 'half-open' }` for operations seen so far
+   */
+  getCircuitStates() {
+    return this.circuitBreakers ? this.circuitBreakers.getStates() : {};
+  }
+
   // Event system with proper cleanup
   addEventListener(event, handler) {
     if (!this.eventListeners) {
@@ -677,7 +1918,7 @@ export class VentureVerseSDKSecure {
   }
 
   calculateCreditCost(usdAmount) {
-    return Math.ceil((usdAmount * 1.7) / 0.01);
+    return this.pricing.usdToCredits(usdAmount);
   }
 
   getDemoUser() {
@@ -709,11 +1950,26 @@ export class VentureVerseSDKSecure {
   setupDemoMode() {
     this.user = this.getDemoUser();
     this.credits = this.getDemoCredits();
+    this.creditsUpdatedAt = Date.now();
+  }
+
+  /**
+   * Spend demo credits monthly-first, like the platform does
+   */
+  simulateDemoDeduction(credits) {
+    const current = this.credits || this.getDemoCredits();
+    const monthly = current.monthly_credit_balance || 0;
+    const fromMonthly = Math.min(monthly, credits);
+
+    return {
+      monthly_credit_balance: monthly - fromMonthly,
+      topup_credit_balance: Math.max(0, (current.topup_credit_balance || 0) - (credits - fromMonthly))
+    };
   }
 
   handleUserProfileResponse(payload) {
     if (payload.error) {
-      this.errorHandler.logError(new Error(payload.error), { operation: 'user_profile_response' });
+      this.errorHandler.logError(fromErrorPayload(payload), { operation: 'user_profile_response' });
       return;
     }
     this.user = payload.user;
@@ -726,32 +1982,39 @@ export class VentureVerseSDKSecure {
 
   handleCreditBalanceResponse(payload) {
     if (payload.error) {
-      this.errorHandler.logError(new Error(payload.error), { operation: 'credit_balance_response' });
+      this.errorHandler.logError(fromErrorPayload(payload), { operation: 'credit_balance_response' });
       return;
     }
-    this.credits = payload.credit_info;
-    this.triggerEvent('creditBalanceUpdated', this.credits);
+    this.applyCreditInfo(payload.credit_info);
   }
 
   handleError(payload) {
-    this.errorHandler.logError(new Error(payload.message), { operation: 'parent_error' });
+    this.errorHandler.logError(fromErrorPayload(payload), { operation: 'parent_error' });
     this.triggerEvent('error', payload);
   }
 
   log(...args) {
-    if (this.options.debug) {
-      console.log('[VentureVerse SDK Secure]', ...args);
-    }
+    this.logger.debug(...args);
   }
 
   /**
-   * Comprehensive cleanup
+   * Comprehensive cleanup. Resolves once pending usage and telemetry have
+   * been sent; listeners, timers and pending requests are removed after that,
+   * so the host's answers still arrive.
    */
-  destroy() {
+  async destroy() {
+    // Unacknowledged batches are resumed on the next initialize()
+    await Promise.all([
+      this.usageMeter.flush(),
+      this.telemetry ? this.telemetry.destroy() : null
+    ]);
+    this.logger.destroy();
     this.resourceManager.cleanup();
     
     this.pendingRequests.clear();
     this.messageHandlers.clear();
+    this.replayGuard.clear();
+    this.reservations.clear();
     
     if (this.eventListeners) {
       this.eventListeners.clear();
@@ -759,8 +2022,11 @@ export class VentureVerseSDKSecure {
     
     this.isInitialized = false;
     this.isAuthenticated = false;
+    this.parentOrigin = null;
+    this.sessionToken = null;
+    this.sessionClaims = null;
     
-    this.log('SDK destroyed and cleaned up');
+    this.logger.debug('SDK destroyed and cleaned up');
   }
 }
 
@@ -768,7 +2034,23 @@ export class VentureVerseSDKSecure {
 export const createSecureVentureVerseSDK = (options) => new VentureVerseSDKSecure(options);
 
 // Export all classes
-export { VentureVerseAuth, RateLimiter, SecureEncryption };
+export { VentureVerseAuth, RateLimiter, SecureEncryption, ErrorHandler, ResourceManager };
+export * from './errors/ventureverse-error.js';
+export { TelemetryPipeline, createTelemetry, createHostTransport, createHttpTransport } from './telemetry/telemetry.js';
+export { PIIScrubber, scrubPII, SENSITIVE_PARAMS } from './telemetry/pii-scrubber.js';
+export { CircuitBreaker, CircuitBreakerGroup, CIRCUIT_STATES } from './resilience/circuit-breaker.js';
+export { Logger, createLogger, LogRedactor, RingBufferSink, HostLogSink, createConsoleSink, LOG_LEVELS } from './logging/logger.js';
+export { IframeLayout, DISPLAY_MODES } from './iframe/iframe-layout.js';
+export { AppNavigation, HistoryRouterAdapter, isAppPath, ROUTE_PARAM } from './iframe/navigation.js';
+export {
+  createLaunchToken,
+  verifyLaunchToken,
+  decodeLaunchToken,
+  createLaunchUrl,
+  StorageNonceStore,
+  LAUNCH_TOKEN_PARAM,
+  DEFAULT_LAUNCH_TTL
+} from './security/launch-tokens.js';
 
 // Default export
 export default VentureVerseSDKSecure;
\ No newline at end of file
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CircuitBreaker, CircuitBreakerGroup, CIRCUIT_STATES } from '../src/resilience/circuit-breaker.js';
+import {
+  ERROR_CODES,
+  CircuitOpenError,
+  TimeoutError,
+  InsufficientCreditsError,
+  VentureVerseError
+} from '../src/errors/ventureverse-error.js';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const timeout = () => Promise.reject(new TimeoutError('no answer'));
+const ok = () => Promise.resolve('ok');
+
+test('a circuit goes closed -> open -> half-open -> closed', async () => {
+  const transitions = [];
+  const breaker = new CircuitBreaker('DEDUCT_CREDITS', {
+    failureThreshold: 2,
+    resetTimeout: 20,
+    onStateChange: (name, state) => transitions.push(state)
+  });
+
+  await assert.rejects(breaker.run(timeout), TimeoutError);
+  assert.equal(breaker.getState(), CIRCUIT_STATES.CLOSED);
+  await assert.rejects(breaker.run(timeout), TimeoutError);
+  assert.equal(breaker.getState(), CIRCUIT_STATES.OPEN);
+
+  let calls = 0;
+  await assert.rejects(breaker.run(() => { calls++; return ok(); }), (error) => {
+    assert.ok(error instanceof CircuitOpenError);
+    assert.ok(error instanceof VentureVerseError);
+    assert.equal(error.code, ERROR_CODES.CIRCUIT_OPEN);
+    assert.equal(error.operation, 'DEDUCT_CREDITS');
+    assert.ok(error.retryAfter > 0 && error.retryAfter <= 20);
+    return true;
+  });
+  assert.equal(calls, 0);
+
+  await wait(25);
+  assert.equal(breaker.getState(), CIRCUIT_STATES.HALF_OPEN);
+  assert.equal(await breaker.run(ok), 'ok');
+  assert.equal(breaker.getState(), CIRCUIT_STATES.CLOSED);
+
+  assert.deepEqual(transitions, [CIRCUIT_STATES.OPEN, CIRCUIT_STATES.HALF_OPEN, CIRCUIT_STATES.CLOSED]);
+});
+
+test('a failed trial call opens the circuit again', async () => {
+  const breaker = new CircuitBreaker('op', { failureThreshold: 1, resetTimeout: 20 });
+
+  await assert.rejects(breaker.run(timeout));
+  await wait(25);
+  await assert.rejects(breaker.run(timeout), TimeoutError);
+
+  assert.equal(breaker.getState(), CIRCUIT_STATES.OPEN);
+});
+
+test('half-open admits only halfOpenMaxCalls trial calls at a time', async () => {
+  const breaker = new CircuitBreaker('op', { failureThreshold: 1, resetTimeout: 20 });
+  await assert.rejects(breaker.run(timeout));
+  await wait(25);
+
+  let finishTrial;
+  const trial = breaker.run(() => new Promise(resolve => { finishTrial = resolve; }));
+  await assert.rejects(breaker.run(ok), (error) => error instanceof CircuitOpenError && error.retryAfter === 0);
+
+  finishTrial('done');
+  assert.equal(await trial, 'done');
+  assert.equal(breaker.getState(), CIRCUIT_STATES.CLOSED);
+});
+
+test('refusals neither open nor close a circuit', async () => {
+  const breaker = new CircuitBreaker('op', { failureThreshold: 1, resetTimeout: 20 });
+  const refuse = () => Promise.reject(new InsufficientCreditsError());
+
+  await assert.rejects(breaker.run(refuse), InsufficientCreditsError);
+  await assert.rejects(breaker.run(refuse), InsufficientCreditsError);
+  assert.equal(breaker.getState(), CIRCUIT_STATES.CLOSED);
+
+  await assert.rejects(breaker.run(timeout));
+  await wait(25);
+  await assert.rejects(breaker.run(refuse), InsufficientCreditsError);
+  // The trial slot is handed back, so the next call may still probe
+  assert.equal(breaker.getState(), CIRCUIT_STATES.HALF_OPEN);
+  assert.equal(await breaker.run(ok), 'ok');
+});
+
+test('a group keeps one breaker per operation', async () => {
+  const group = new CircuitBreakerGroup({ failureThreshold: 1, resetTimeout: 60000 });
+
+  await assert.rejects(group.run('GET_USER_PROFILE', timeout));
+  assert.equal(await group.run('DEDUCT_CREDITS', ok), 'ok');
+  assert.deepEqual(group.getStates(), {
+    GET_USER_PROFILE: CIRCUIT_STATES.OPEN,
+    DEDUCT_CREDITS: CIRCUIT_STATES.CLOSED
+  });
+  assert.equal(group.getState('unknown'), CIRCUIT_STATES.CLOSED);
+
+  group.reset('GET_USER_PROFILE');
+  assert.equal(group.getState('GET_USER_PROFILE'), CIRCUIT_STATES.CLOSED);
+});
@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { run } from '../src/cli/ventureverse.js';
+import { diagnoseConfig } from '../src/cli/doctor.js';
+
+const SECRET = 'a'.repeat(64);
+const KEY = 'cli-test-encryption-key';
+
+async function cli(argv, { env = {}, cwd, stdin = '' } = {}) {
+  let stdout = '';
+  let stderr = '';
+  const code = await run(argv, {
+    stdout: { write: (text) => { stdout += text; } },
+    stderr: { write: (text) => { stderr += text; } },
+    env,
+    cwd: cwd || os.tmpdir(),
+    readStdin: async () => stdin
+  });
+  return { code, stdout, stderr };
+}
+
+function findingFor(findings, option) {
+  return findings.find(finding => finding.option === option);
+}
+
+test('help exits 0 and usage errors exit 2', async () => {
+  const help = await cli(['help']);
+  assert.equal(help.code, 0);
+  assert.match(help.stdout, /^Usage: ventureverse/);
+
+  const unknown = await cli(['deploy']);
+  assert.equal(unknown.code, 2);
+  assert.match(unknown.stderr, /Unknown command: deploy/);
+  assert.match(unknown.stderr, /ventureverse help/);
+
+  assert.equal((await cli(['sign', 'PING', '--app-id'])).code, 2);
+  assert.equal((await cli(['sign', 'PING', '--app-id', 'demo'])).code, 2);
+  assert.equal((await cli(['encrypt-params', 'no-equals-sign', '--key', KEY])).code, 2);
+});
+
+test('encrypt and decrypt round-trip, and a bad envelope exits 1', async () => {
+  const encrypted = await cli(['encrypt', 'hello', '--key', KEY]);
+  assert.equal(encrypted.code, 0);
+
+  const decrypted = await cli(['decrypt', '-'], {
+    env: { VENTUREVERSE_ENCRYPTION_KEY: KEY },
+    stdin: encrypted.stdout
+  });
+  assert.equal(decrypted.code, 0);
+  assert.equal(decrypted.stdout, 'hello\n');
+
+  const wrongKey = await cli(['decrypt', encrypted.stdout.trim(), '--key', 'another-encryption-key']);
+  assert.equal(wrongKey.code, 1);
+  assert.match(wrongKey.stderr, /^Error: /);
+});
+
+test('verify exits 0 for a signed message and 1 for a wrong secret', async () => {
+  const signed = await cli(['sign', 'REQUEST_USER_PROFILE', '--app-id', 'demo', '--secret', SECRET, '--json']);
+  assert.equal(signed.code, 0);
+
+  const valid = await cli(['verify', signed.stdout.trim(), '--secret', SECRET, '--json']);
+  assert.equal(valid.code, 0);
+  assert.deepEqual(JSON.parse(valid.stdout), { valid: true, signature: 'valid' });
+
+  const invalid = await cli(['verify', signed.stdout.trim(), '--secret', 'b'.repeat(64), '--json']);
+  assert.equal(invalid.code, 1);
+  assert.equal(JSON.parse(invalid.stdout).signature, 'invalid');
+});
+
+test('verify-launch exits 0 for a fresh launch URL and 1 for another secret', async () => {
+  const env = { VENTUREVERSE_APP_ID: 'demo', VENTUREVERSE_API_SECRET: SECRET, VENTUREVERSE_ENCRYPTION_KEY: KEY };
+  const launch = await cli(['launch-url', 'https://app.test/', 'id=7', 'name=Jane'], { env });
+  assert.equal(launch.code, 0);
+
+  const valid = await cli(['verify-launch', launch.stdout.trim(), '--json'], { env });
+  assert.equal(valid.code, 0);
+  assert.deepEqual(JSON.parse(valid.stdout).user, { id: 7, name: 'Jane' });
+
+  const invalid = await cli(['verify-launch', launch.stdout.trim(), '--secret', 'b'.repeat(64)], { env });
+  assert.equal(invalid.code, 1);
+  assert.equal(invalid.stdout, 'Invalid launch token: signature\n');
+
+  assert.equal((await cli(['launch-url', 'https://app.test/', 'name=Jane'], { env })).code, 2);
+});
+
+test('doctor exits 1 when a check fails and 0 when only warnings remain', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vv-cli-'));
+  try {
+    const missing = await cli(['doctor', '--json'], { cwd: dir });
+    assert.equal(missing.code, 1);
+    assert.ok(JSON.parse(missing.stdout).errors > 0);
+
+    fs.writeFileSync(path.join(dir, 'ventureverse.config.json'), JSON.stringify({
+      apiKey: 'vv_live_0123456789',
+      allowedParentOrigins: ['https://ventureverse.com']
+    }));
+    const configured = await cli(['doctor', '--json'], {
+      cwd: dir,
+      env: { VENTUREVERSE_API_SECRET: SECRET, VENTUREVERSE_ENCRYPTION_KEY: KEY }
+    });
+    const report = JSON.parse(configured.stdout);
+    assert.equal(configured.code, 0);
+    assert.equal(report.errors, 0);
+
+    const notFound = await cli(['doctor', '--config', 'missing.json'], { cwd: dir });
+    assert.equal(notFound.code, 1);
+    assert.match(notFound.stderr, /Config file not found/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('diagnoseConfig flags placeholders, reused secrets and unsafe endpoints', () => {
+  const findings = diagnoseConfig({
+    apiKey: 'vv_your_api_key',
+    apiSecret: 'short-secret',
+    encryptionKey: 'ventureverse-default-key',
+    apiEndpoint: 'http://api.example.com',
+    allowedParentOrigins: ['*'],
+    debug: true
+  });
+
+  assert.equal(findingFor(findings, 'apiKey').level, 'error');
+  assert.equal(findingFor(findings, 'apiSecret').level, 'warn');
+  assert.equal(findingFor(findings, 'encryptionKey').level, 'error');
+  assert.equal(findingFor(findings, 'apiEndpoint').level, 'error');
+  assert.equal(findingFor(findings, 'allowedParentOrigins').level, 'error');
+  assert.equal(findingFor(findings, 'debug').level, 'warn');
+});
+
+test('diagnoseConfig passes a production configuration', () => {
+  const findings = diagnoseConfig({
+    apiKey: 'vv_live_0123456789',
+    apiSecret: SECRET,
+    encryptionKey: KEY,
+    allowedParentOrigins: ['https://ventureverse.com']
+  });
+
+  assert.deepEqual(findings.map(finding => finding.level), ['ok', 'ok', 'ok', 'ok', 'ok']);
+  assert.equal(findingFor(diagnoseConfig({ apiKey: 'x', apiSecret: 'x' }), 'apiSecret').message,
+    'Same as apiKey. The secret must never be the public key.');
+  assert.equal(findingFor(diagnoseConfig({ apiEndpoint: 'http://localhost:3001' }), 'apiEndpoint').level, 'warn');
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connectSdkToHost } from './helpers/fake-windows.js';
+
+let host;
+let sdk;
+let close;
+let balanceRequests = 0;
+let charges = 0;
+const balance = { monthly_credit_balance: 500, topup_credit_balance: 100 };
+
+before(async () => {
+  ({ host, sdk, close } = await connectSdkToHost({
+    host: {
+      handlers: {
+        getCreditBalance: async () => {
+          balanceRequests += 1;
+          await new Promise(resolve => setTimeout(resolve, 10));
+          return { ...balance };
+        },
+        deductCredits: (payload) => {
+          charges += 1;
+          const credits = Math.ceil(payload.cost * 100);
+          balance.monthly_credit_balance -= credits;
+          return { credits_deducted: credits, remaining_balance: { ...balance } };
+        }
+      }
+    }
+  }));
+});
+
+after(() => close());
+
+test('concurrent refreshes share one host request and reads are cached', async () => {
+  balanceRequests = 0;
+  const [first, second] = await Promise.all([
+    sdk.refreshCreditBalance(),
+    sdk.refreshCreditBalance()
+  ]);
+
+  assert.equal(balanceRequests, 1);
+  assert.deepEqual(first, second);
+  assert.equal(first.monthly_credit_balance, 500);
+
+  await sdk.getCreditBalance();
+  assert.equal(balanceRequests, 1);
+
+  await sdk.refreshCreditBalance();
+  assert.equal(balanceRequests, 2);
+
+  // Older than maxAge: fetched again
+  await sdk.getCreditBalance({ maxAge: -1 });
+  assert.equal(balanceRequests, 3);
+});
+
+test('a charge updates the cached balance without another request', async () => {
+  await sdk.refreshCreditBalance();
+  balanceRequests = 0;
+
+  await sdk.deductCredits(1, 'report');
+  const credits = await sdk.getCreditBalance();
+
+  assert.equal(balanceRequests, 0);
+  assert.equal(credits.monthly_credit_balance, balance.monthly_credit_balance);
+});
+
+test('credit checks use the balance minus open holds', async () => {
+  await sdk.refreshCreditBalance();
+  const total = balance.monthly_credit_balance + balance.topup_credit_balance;
+
+  assert.equal(await sdk.getCredits(), total);
+  assert.equal(sdk.hasEnoughCredits(total), true);
+  assert.equal(sdk.hasEnoughCredits(total + 1), false);
+
+  const reservation = await sdk.reserveCredits(0.1, 'hold');
+  assert.equal(sdk.getAvailableCredits(), total - reservation.credits);
+
+  await sdk.releaseReservation(reservation);
+  assert.equal(sdk.getAvailableCredits(), total);
+});
+
+test('estimates never reach the charging handler', async () => {
+  charges = 0;
+  const estimate = await sdk.estimateCredits(0.5, 'preview');
+
+  assert.equal(charges, 0);
+  assert.equal(estimate.cost, 0.5);
+  assert.equal(estimate.credits, host.calculateCreditCost(0.5));
+});
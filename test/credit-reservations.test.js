@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CreditReservationLedger } from '../src/host/credit-reservations.js';
+import { ERROR_CODES, InsufficientCreditsError, ProtocolError } from '../src/errors/ventureverse-error.js';
+
+function ledger(options = {}) {
+  return new CreditReservationLedger({ calculateCredits: cost => Math.ceil(cost * 100), ...options });
+}
+
+test('holds count against the available balance', () => {
+  const reservations = ledger();
+  const first = reservations.reserve({ cost: 0.6 }, 100, 0);
+
+  assert.equal(first.credits, 60);
+  assert.equal(first.status, 'held');
+  assert.equal(reservations.getHeldCredits(), 60);
+
+  assert.throws(() => reservations.reserve({ cost: 0.5 }, 100, 0), (error) => {
+    assert.ok(error instanceof InsufficientCreditsError);
+    return true;
+  });
+
+  const second = reservations.reserve({ cost: 0.4 }, 100, 0);
+  assert.notEqual(second.id, first.id);
+  assert.equal(reservations.getHeldCredits(), 100);
+});
+
+test('a balance of null skips the balance check', () => {
+  const reservations = ledger();
+  assert.equal(reservations.reserve({ cost: 5 }, null, 0).credits, 500);
+});
+
+test('costs must be positive numbers', () => {
+  const reservations = ledger();
+  for (const cost of [0, -1, '1', NaN]) {
+    assert.throws(() => reservations.reserve({ cost }, 100, 0), /positive number/);
+  }
+});
+
+test('released holds return their credits once', () => {
+  const reservations = ledger();
+  const hold = reservations.reserve({ cost: 0.3 }, 100, 0);
+
+  assert.equal(reservations.release(hold.id), 30);
+  assert.equal(reservations.release(hold.id), 0);
+  assert.equal(reservations.getHeldCredits(), 0);
+});
+
+test('captured holds stop counting but still answer retries until expiry', () => {
+  const reservations = ledger({ defaultTtlMs: 1000 });
+  const hold = reservations.reserve({ cost: 0.3 }, 100, 0);
+
+  reservations.markCaptured(hold, { remaining_credits: 70 });
+  assert.equal(reservations.getHeldCredits(), 0);
+  assert.equal(reservations.release(hold.id), 0);
+  assert.deepEqual(reservations.get(hold.id, 500).result, { remaining_credits: 70 });
+});
+
+test('holds expire after their ttl, capped at maxTtlMs', () => {
+  const reservations = ledger({ defaultTtlMs: 1000, maxTtlMs: 5000 });
+  const hold = reservations.reserve({ cost: 0.3, ttlMs: 60000 }, 100, 0);
+
+  assert.equal(hold.expiresAt, 5000);
+  assert.equal(reservations.get(hold.id, 4999).id, hold.id);
+  assert.throws(() => reservations.get(hold.id, 5000), (error) => {
+    assert.ok(error instanceof ProtocolError);
+    assert.equal(error.code, ERROR_CODES.RESERVATION_INACTIVE);
+    return true;
+  });
+  assert.equal(reservations.getHeldCredits(), 0);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EncryptionKeyring, sealEnvelope, openEnvelope } from '../src/security/encryption-envelope.js';
+import { CryptoError } from '../src/errors/ventureverse-error.js';
+
+const context = { appId: 'demo', type: 'user_context' };
+
+test('a v2 envelope opens with the same key and context', async () => {
+  const keyring = EncryptionKeyring.from('first-secret');
+  const envelope = await sealEnvelope(keyring, 'hello', context);
+
+  assert.equal(envelope.version, 2);
+  assert.equal(typeof envelope.keyId, 'string');
+  assert.equal(await openEnvelope(keyring, envelope, context), 'hello');
+  assert.equal(await openEnvelope(keyring, JSON.stringify(envelope), context), 'hello');
+});
+
+test('an envelope does not open under another app or type', async () => {
+  const keyring = EncryptionKeyring.from('first-secret');
+  const envelope = await sealEnvelope(keyring, 'hello', context);
+
+  await assert.rejects(openEnvelope(keyring, envelope, { ...context, appId: 'other' }), CryptoError);
+  await assert.rejects(openEnvelope(keyring, envelope, { ...context, type: 'other' }), CryptoError);
+});
+
+test('tampered ciphertext fails authentication', async () => {
+  const keyring = EncryptionKeyring.from('first-secret');
+  const envelope = await sealEnvelope(keyring, 'hello', context);
+  const flipped = (parseInt(envelope.encrypted[0], 16) ^ 1).toString(16);
+
+  await assert.rejects(
+    openEnvelope(keyring, { ...envelope, encrypted: flipped + envelope.encrypted.slice(1) }, context),
+    CryptoError
+  );
+});
+
+test('old keys still open envelopes after a rotation', async () => {
+  const keyring = new EncryptionKeyring({ keys: { k1: 'first-secret' } });
+  const before = await sealEnvelope(keyring, 'before', context);
+
+  keyring.addKey('k2', 'second-secret', { primary: true });
+  const after = await sealEnvelope(keyring, 'after', context);
+
+  assert.equal(after.keyId, 'k2');
+  assert.equal(await openEnvelope(keyring, before, context), 'before');
+  assert.equal(await openEnvelope(keyring, after, context), 'after');
+
+  keyring.removeKey('k1');
+  await assert.rejects(openEnvelope(keyring, before, context), CryptoError);
+});
+
+test('malformed envelopes are rejected', async () => {
+  const keyring = EncryptionKeyring.from('first-secret');
+  await assert.rejects(openEnvelope(keyring, '{not json', context), CryptoError);
+  await assert.rejects(openEnvelope(keyring, { version: 2 }, context), CryptoError);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ERROR_CODES,
+  VentureVerseError,
+  AuthError,
+  RateLimitError,
+  InsufficientCreditsError,
+  NetworkError,
+  ProtocolError,
+  NotFoundError,
+  CryptoError,
+  toErrorPayload,
+  fromErrorPayload,
+  isRetryable
+} from '../src/errors/ventureverse-error.js';
+
+test('every class is a VentureVerseError with its default code and retryable flag', () => {
+  const cases = [
+    [new AuthError('denied'), ERROR_CODES.AUTH_FAILED, false],
+    [new RateLimitError(), ERROR_CODES.RATE_LIMITED, true],
+    [new InsufficientCreditsError(), ERROR_CODES.INSUFFICIENT_CREDITS, false],
+    [new NetworkError('offline'), ERROR_CODES.NETWORK_ERROR, true],
+    [new ProtocolError('bad message'), ERROR_CODES.PROTOCOL_ERROR, false],
+    [new NotFoundError('missing'), ERROR_CODES.NOT_FOUND, false],
+    [new CryptoError('bad key'), ERROR_CODES.CRYPTO_ERROR, false]
+  ];
+
+  for (const [error, code, retryable] of cases) {
+    assert.ok(error instanceof VentureVerseError, error.name);
+    assert.ok(error instanceof Error);
+    assert.equal(error.code, code);
+    assert.equal(error.retryable, retryable);
+    assert.equal(isRetryable(error), retryable);
+  }
+
+  const cause = new Error('socket closed');
+  const error = new NetworkError('offline', { code: ERROR_CODES.SERVICE_UNAVAILABLE, retryable: false, cause });
+  assert.equal(error.code, ERROR_CODES.SERVICE_UNAVAILABLE);
+  assert.equal(error.retryable, false);
+  assert.equal(error.cause, cause);
+  assert.equal(isRetryable(new Error('plain')), false);
+});
+
+test('the wire format leaves out the stack and cause', () => {
+  const error = new AuthError('denied', { cause: new Error('secret detail'), details: { appId: 'demo' } });
+
+  assert.deepEqual(JSON.parse(JSON.stringify(error)), {
+    name: 'AuthError',
+    code: ERROR_CODES.AUTH_FAILED,
+    message: 'denied',
+    retryable: false,
+    details: { appId: 'demo' }
+  });
+});
+
+test('a typed error survives a round trip through a host response', () => {
+  const original = new InsufficientCreditsError('Insufficient credits', { required: 12, available: 3 });
+  const rebuilt = fromErrorPayload(toErrorPayload(original));
+
+  assert.ok(rebuilt instanceof InsufficientCreditsError);
+  assert.equal(rebuilt.required, 12);
+  assert.equal(rebuilt.available, 3);
+
+  const limited = fromErrorPayload({ error: 'Slow down', code: ERROR_CODES.RATE_LIMITED, retry_after_ms: 2000 });
+  assert.ok(limited instanceof RateLimitError);
+  assert.equal(limited.retryAfter, 2000);
+  assert.equal(limited.retryable, true);
+
+  const missing = fromErrorPayload({ error: 'No such user', code: ERROR_CODES.NOT_FOUND });
+  assert.ok(missing instanceof NotFoundError);
+});
+
+test('untyped handler errors and old payloads become protocol errors', () => {
+  const payload = toErrorPayload(new Error('database down'));
+  assert.deepEqual(payload, { error: 'database down', code: ERROR_CODES.HOST_ERROR, retryable: false });
+
+  const rebuilt = fromErrorPayload(payload);
+  assert.ok(rebuilt instanceof ProtocolError);
+  assert.equal(rebuilt.code, ERROR_CODES.HOST_ERROR);
+
+  // Hosts from before error codes only sent a message
+  assert.ok(fromErrorPayload({ error: 'Insufficient credits' }) instanceof InsufficientCreditsError);
+  assert.equal(fromErrorPayload({ error: 'Something else' }).code, ERROR_CODES.HOST_ERROR);
+  assert.equal(fromErrorPayload({ error: 'Flaky', code: ERROR_CODES.NETWORK_ERROR, retryable: false }).retryable, false);
+});
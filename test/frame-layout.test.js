@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FrameLayout } from '../src/host/frame-layout.js';
+import { ProtocolError } from '../src/errors/ventureverse-error.js';
+
+function fakeIframe(style = {}) {
+  return {
+    style: { height: '600px', border: '1px solid #ccc', ...style },
+    getBoundingClientRect: () => ({ width: 800.4, height: 600 })
+  };
+}
+
+test('auto mode follows the content height within min and max', () => {
+  const iframe = fakeIframe();
+  const layout = new FrameLayout(iframe, { minHeight: 200, maxHeight: 1000 });
+
+  assert.equal(layout.applyContentSize({ height: 480.2 }), 481);
+  assert.equal(iframe.style.height, '481px');
+  assert.equal(layout.applyContentSize({ height: 50 }), 200);
+  assert.equal(iframe.style.height, '200px');
+  assert.equal(layout.applyContentSize({ height: 5000 }), 1000);
+  assert.equal(iframe.style.height, '1000px');
+
+  assert.throws(() => layout.applyContentSize({ height: 'tall' }), ProtocolError);
+  assert.throws(() => layout.applyContentSize({ height: -1 }), ProtocolError);
+});
+
+test('overlay modes restore the page styles when the app leaves them', () => {
+  const iframe = fakeIframe();
+  const layout = new FrameLayout(iframe);
+
+  layout.setMode('fullscreen');
+  assert.equal(iframe.style.position, 'fixed');
+  assert.equal(iframe.style.height, '100vh');
+  assert.equal(iframe.style.border, '0');
+
+  // Content sizes reported while fullscreen are remembered but not applied
+  layout.applyContentSize({ height: 700 });
+  assert.equal(iframe.style.height, '100vh');
+
+  layout.setMode('modal');
+  assert.equal(iframe.style.transform, 'translate(-50%, -50%)');
+
+  layout.setMode('auto');
+  assert.equal(iframe.style.position, undefined);
+  assert.equal(iframe.style.transform, undefined);
+  assert.equal(iframe.style.border, '1px solid #ccc');
+  assert.equal(iframe.style.height, '700px');
+  assert.equal(layout.mode, 'auto');
+});
+
+test('fixed mode uses the requested height within min and max', () => {
+  const iframe = fakeIframe();
+  const layout = new FrameLayout(iframe, { minHeight: 200, maxHeight: 900 });
+
+  layout.setMode('fixed', { height: 640.5 });
+  assert.equal(iframe.style.height, '641px');
+  assert.equal(layout.fixedHeight, 641);
+
+  layout.setMode('fixed', { height: 5000 });
+  assert.equal(iframe.style.height, '900px');
+  assert.equal(layout.fixedHeight, 900);
+
+  layout.setMode('fixed', { height: 10 });
+  assert.equal(iframe.style.height, '200px');
+
+  layout.setMode('auto');
+  assert.equal(layout.fixedHeight, null);
+  assert.equal(iframe.style.height, '600px');
+});
+
+test('unknown modes and fixed mode without a height are refused', () => {
+  const iframe = fakeIframe();
+  const layout = new FrameLayout(iframe);
+
+  assert.throws(() => layout.setMode('pip'), /Unknown display mode/);
+  assert.throws(() => layout.setMode('fixed'), /needs a positive height/);
+  assert.throws(() => layout.setMode('fixed', { height: 0 }), ProtocolError);
+  assert.equal(layout.mode, 'auto');
+  assert.equal(iframe.style.height, '600px');
+});
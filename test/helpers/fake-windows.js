@@ -0,0 +1,78 @@
+/**
+ * A parent page and an iframe window that talk through postMessage, enough
+ * for VentureVerseHost and the secure SDK to run their handshake in Node.
+ * Messages are cloned and delivered asynchronously, like in a browser.
+ */
+export function createFakeWindows({ parentOrigin = 'https://platform.test', appOrigin = 'https://app.test' } = {}) {
+  const parent = createWindow(parentOrigin);
+  const child = createWindow(appOrigin);
+  child.location.search = '?iframe_mode=true';
+  parent.parent = parent;
+  child.parent = parent;
+
+  const deliver = (target, source, data) => {
+    const message = JSON.parse(JSON.stringify(data));
+    setTimeout(() => target.dispatch('message', { data: message, origin: source.origin, source }), 0);
+  };
+  parent.postMessage = data => deliver(parent, child, data);
+  child.postMessage = data => deliver(child, parent, data);
+
+  const iframe = {
+    src: `${appOrigin}/`,
+    contentWindow: child,
+    style: {},
+    getBoundingClientRect: () => ({ width: 800, height: 600 })
+  };
+
+  return { parent, child, iframe };
+}
+
+function createWindow(origin) {
+  const listeners = new Map();
+  return {
+    origin,
+    location: { href: `${origin}/`, origin, search: '' },
+    addEventListener(type, handler) {
+      if (!listeners.has(type)) listeners.set(type, []);
+      listeners.get(type).push(handler);
+    },
+    removeEventListener(type, handler) {
+      listeners.set(type, (listeners.get(type) || []).filter(listener => listener !== handler));
+    },
+    dispatch(type, event) {
+      (listeners.get(type) || []).slice().forEach(listener => listener(event));
+    }
+  };
+}
+
+/**
+ * Start a VentureVerseHost in the fake parent page and a secure SDK in its
+ * iframe, and run the handshake. Both modules see their own `window`.
+ */
+export async function connectSdkToHost({ host: hostOptions = {}, sdk: sdkOptions = {}, apiSecret = 'test-secret' } = {}) {
+  const { parent, child, iframe } = createFakeWindows();
+
+  globalThis.window = child;
+  const { VentureVerseSDKSecure } = await import('../../src/ventureverse-sdk-secure.js');
+  const { VentureVerseHost } = await import('../../src/host/ventureverse-host.js');
+
+  globalThis.window = parent;
+  const host = new VentureVerseHost({ appId: 'demo', apiSecret, ...hostOptions });
+  host.attach(iframe);
+
+  globalThis.window = child;
+  const sdk = new VentureVerseSDKSecure({ apiKey: 'vv_demo_key', apiSecret, ...sdkOptions });
+  sdk.isIframeMode = true;
+  sdk.setupSecureMessageListener();
+  await sdk.performHandshake();
+
+  return {
+    host,
+    sdk,
+    async close() {
+      await sdk.destroy();
+      host.destroy();
+      delete globalThis.window;
+    }
+  };
+}
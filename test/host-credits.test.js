@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connectSdkToHost } from './helpers/fake-windows.js';
+import { ProtocolError } from '../src/errors/ventureverse-error.js';
+
+let host;
+let sdk;
+let close;
+const charges = [];
+
+before(async () => {
+  ({ host, sdk, close } = await connectSdkToHost({
+    host: {
+      handlers: {
+        getCreditBalance: () => ({ monthly_credit_balance: 1000, topup_credit_balance: 0 }),
+        deductCredits: async (payload) => {
+          charges.push(payload);
+          await new Promise(resolve => setTimeout(resolve, 10));
+          return { credits_deducted: Math.ceil(payload.cost * 100) };
+        }
+      }
+    }
+  }));
+});
+
+after(() => close());
+
+test('runIdempotent shares one run between concurrent callers', async () => {
+  let runs = 0;
+  const operation = async () => {
+    runs += 1;
+    return { run: runs };
+  };
+
+  const [first, second] = await Promise.all([
+    host.runIdempotent('key-1', operation),
+    host.runIdempotent('key-1', operation)
+  ]);
+  assert.equal(runs, 1);
+  assert.deepEqual(first, second);
+  assert.deepEqual(await host.runIdempotent('key-1', operation), first);
+});
+
+test('runIdempotent forgets failures so they can be retried', async () => {
+  let runs = 0;
+  const operation = async () => {
+    runs += 1;
+    if (runs === 1) throw new Error('backend unavailable');
+    return { ok: true };
+  };
+
+  await assert.rejects(host.runIdempotent('key-2', operation), /backend unavailable/);
+  assert.deepEqual(await host.runIdempotent('key-2', operation), { ok: true });
+  assert.equal(runs, 2);
+});
+
+test('a charge sent twice with one idempotency key is deducted once', async () => {
+  charges.length = 0;
+  const [first, second] = await Promise.all([
+    sdk.deductCredits(0.5, 'report', 'app_usage', { idempotencyKey: 'charge-1' }),
+    sdk.deductCredits(0.5, 'report', 'app_usage', { idempotencyKey: 'charge-1' })
+  ]);
+
+  assert.equal(charges.length, 1);
+  assert.equal(first.credits_deducted, second.credits_deducted);
+});
+
+test('concurrent reservations get separate holds', async () => {
+  const [a, b] = await Promise.all([
+    sdk.reserveCredits(0.2, 'a'),
+    sdk.reserveCredits(0.3, 'b')
+  ]);
+
+  assert.notEqual(a.id, b.id);
+  assert.equal(host.reservations.getHeldCredits(), a.credits + b.credits);
+
+  await sdk.releaseReservation(a);
+  await sdk.releaseReservation(b);
+  assert.equal(host.reservations.getHeldCredits(), 0);
+});
+
+test('a captured reservation is charged once', async () => {
+  charges.length = 0;
+  const reservation = await sdk.reserveCredits(0.4, 'capture');
+
+  await sdk.captureReservation(reservation, 0.3);
+  assert.equal(charges.length, 1);
+  assert.equal(charges[0].cost, 0.3);
+  assert.equal(host.reservations.getHeldCredits(), 0);
+});
+
+test('a capture above the held amount is refused as a protocol error', async () => {
+  charges.length = 0;
+  const reservation = await sdk.reserveCredits(0.2, 'bounded');
+
+  await assert.rejects(host.captureCredits({ reservation_id: reservation.id, cost: 0.5 }), (error) => {
+    assert.ok(error instanceof ProtocolError);
+    assert.deepEqual(error.details, { cost: 0.5, reserved: 0.2 });
+    return true;
+  });
+  assert.equal(charges.length, 0);
+
+  await sdk.releaseReservation(reservation);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createLaunchToken,
+  verifyLaunchToken,
+  readLaunchToken,
+  createLaunchUrl,
+  StorageNonceStore
+} from '../src/security/launch-tokens.js';
+import { hmacSha256 } from '../src/security/crypto-provider.js';
+
+const SECRET = 'test-secret';
+const NOW = Date.now();
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+async function signClaims(claims) {
+  const body = `vvl1.${Buffer.from(JSON.stringify(claims)).toString('base64url')}`;
+  return `${body}.${await hmacSha256(SECRET, body)}`;
+}
+
+test('launch token carries an encrypted user context', async () => {
+  const user = { id: 42, email: 'user@example.com' };
+  const options = { appId: 'demo', apiSecret: SECRET, encryptionKey: 'enc-secret', now: NOW };
+  const token = await createLaunchToken(user, options);
+
+  assert.equal(Buffer.from(token.split('.')[1], 'base64url').toString().includes('user@example.com'), false);
+
+  const result = await verifyLaunchToken(token, { ...options, now: NOW + 1000 });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.user, user);
+});
+
+test('launch tokens are single use with a nonce store', async () => {
+  const options = { appId: 'demo', apiSecret: SECRET, now: NOW };
+  const token = await createLaunchToken({ id: 1 }, options);
+  const nonceStore = new StorageNonceStore(memoryStorage());
+
+  assert.equal((await verifyLaunchToken(token, { ...options, nonceStore })).valid, true);
+  assert.equal((await verifyLaunchToken(token, { ...options, nonceStore })).reason, 'replay');
+});
+
+test('launch tokens are rejected for each failed check', async () => {
+  const options = { appId: 'demo', apiSecret: SECRET, encryptionKey: 'enc-secret', now: NOW, ttlMs: 60 * 1000 };
+  const token = await createLaunchToken({ id: 1 }, options);
+  const nonceStore = new StorageNonceStore(memoryStorage());
+
+  const reason = async (candidate, overrides = {}) =>
+    (await verifyLaunchToken(candidate, { ...options, nonceStore, ...overrides })).reason;
+
+  assert.equal(await reason(''), 'missing');
+  assert.equal(await reason('vvl1.garbage'), 'malformed');
+  assert.equal(await reason(token, { apiSecret: 'other-secret' }), 'signature');
+  assert.equal(await reason(token, { appId: 'other' }), 'app_mismatch');
+  assert.equal(await reason(token, { now: NOW + 60 * 1000 }), 'expired');
+  assert.equal(await reason(token, { now: NOW - 1000 }), 'not_yet_valid');
+  assert.equal(await reason(token, { encryptionKey: 'wrong-key' }), 'decryption');
+
+  // None of the rejections above consumed the nonce
+  assert.equal((await verifyLaunchToken(token, { ...options, nonceStore })).valid, true);
+});
+
+test('a signed token without a user is malformed', async () => {
+  const token = await signClaims({ app_id: 'demo', iat: NOW, exp: NOW + 60 * 1000, nonce: 'abc123' });
+
+  const result = await verifyLaunchToken(token, { appId: 'demo', apiSecret: SECRET, now: NOW + 1000 });
+  assert.deepEqual(result, { valid: false, reason: 'malformed' });
+});
+
+test('launch URLs carry the token in vv_launch', async () => {
+  const url = await createLaunchUrl('https://app.test/play?level=2', { id: 7 }, {
+    appId: 'demo',
+    apiSecret: SECRET,
+    params: { theme: 'dark' }
+  });
+  const parsed = new URL(url);
+
+  assert.equal(parsed.searchParams.get('iframe_mode'), 'true');
+  assert.equal(parsed.searchParams.get('level'), '2');
+  assert.equal(parsed.searchParams.get('theme'), 'dark');
+
+  const result = await verifyLaunchToken(readLaunchToken(parsed.search), { appId: 'demo', apiSecret: SECRET });
+  assert.deepEqual(result.user, { id: 7 });
+  assert.equal(readLaunchToken('?other=1'), null);
+});
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Logger, LogRedactor, RingBufferSink, HostLogSink, createLogger } from '../src/logging/logger.js';
+import { AuthError, ERROR_CODES } from '../src/errors/ventureverse-error.js';
+
+function memoryLogger(options = {}) {
+  const memory = new RingBufferSink();
+  const logger = new Logger({ level: 'debug', sinks: [memory], ...options });
+  return { logger, memory };
+}
+
+test('records below the level are dropped', () => {
+  const { logger, memory } = memoryLogger({ level: 'warn' });
+
+  logger.debug('hidden');
+  logger.info('hidden');
+  logger.warn('shown');
+  logger.error('shown too');
+  assert.deepEqual(memory.records.map(record => record.level), ['warn', 'error']);
+
+  logger.setLevel('silent');
+  logger.error('muted');
+  assert.equal(memory.records.length, 2);
+  assert.equal(logger.level, 'silent');
+
+  assert.throws(() => logger.setLevel('verbose'), /Unknown log level/);
+});
+
+test('child loggers share the root level and sinks', () => {
+  const { logger, memory } = memoryLogger({ level: 'info' });
+  const credits = logger.child('credits');
+
+  assert.equal(logger.child('credits'), credits);
+  credits.debug('hidden');
+  credits.info('Deducted', { amount: 5 });
+
+  logger.setLevel('error');
+  credits.warn('hidden after setLevel');
+
+  assert.equal(memory.records.length, 1);
+  const [record] = memory.records;
+  assert.equal(record.namespace, 'credits');
+  assert.equal(record.message, 'Deducted');
+  assert.deepEqual(record.data, [{ amount: 5 }]);
+  assert.ok(!Number.isNaN(Date.parse(record.timestamp)));
+});
+
+test('secrets, tokens, envelopes and errors are redacted before sinks see them', () => {
+  const { logger, memory } = memoryLogger({ level: 'info' });
+  const error = new AuthError('Session expired for jane@example.com');
+
+  logger.info('Sending Bearer abc.def', {
+    apiSecret: 'shh',
+    headers: { Signature: 'ab12', 'Content-Type': 'application/json' },
+    sessionToken: 'tok',
+    max_tokens: 4096,
+    payload: { encrypted: 'cipher', iv: 'iv', authTag: 'tag' }
+  }, '{"encrypted":"cipher","authTag":"tag"}', error);
+
+  const [record] = memory.records;
+  assert.equal(record.message, 'Sending Bearer [token]');
+  assert.deepEqual(record.data[0], {
+    apiSecret: '[redacted]',
+    headers: { Signature: '[redacted]', 'Content-Type': 'application/json' },
+    sessionToken: '[redacted]',
+    max_tokens: 4096,
+    payload: '[encrypted]'
+  });
+  assert.equal(record.data[1], '[encrypted]');
+  assert.deepEqual(record.data[2], {
+    name: 'AuthError',
+    message: 'Session expired for [email]',
+    code: ERROR_CODES.AUTH_FAILED
+  });
+});
+
+test('error stacks are kept only at debug level', () => {
+  const redactor = new LogRedactor();
+  assert.equal(redactor.redact(new Error('boom')).stack, undefined);
+
+  const { logger, memory } = memoryLogger();
+  logger.error('failed', new Error('boom'));
+  assert.match(memory.records[0].data[0].stack, /boom/);
+});
+
+test('the ring buffer keeps the newest records and filters them', () => {
+  const memory = new RingBufferSink(3);
+  const logger = new Logger({ level: 'debug', sinks: [memory] });
+
+  logger.debug('one');
+  logger.child('auth').warn('two');
+  logger.info('three');
+  logger.child('auth').error('four');
+
+  assert.deepEqual(memory.getEntries().map(record => record.message), ['two', 'three', 'four']);
+  assert.deepEqual(memory.getEntries({ level: 'warn' }).map(record => record.message), ['two', 'four']);
+  assert.deepEqual(memory.getEntries({ namespace: 'sdk' }).map(record => record.message), ['three']);
+
+  memory.clear();
+  assert.deepEqual(memory.getEntries(), []);
+});
+
+test('function and object sinks receive records and a broken sink is isolated', () => {
+  const seen = [];
+  const collect = record => seen.push(record.message);
+  const logger = createLogger({
+    level: 'info',
+    sinks: [() => { throw new Error('sink down'); }, collect, 'memory']
+  });
+
+  logger.info('first');
+  assert.deepEqual(seen, ['first']);
+  assert.equal(logger.getSink('memory').records.length, 1);
+
+  logger.removeSink(collect);
+  logger.info('second');
+  assert.deepEqual(seen, ['first']);
+  assert.equal(logger.getSink('memory').records.length, 2);
+
+  assert.throws(() => createLogger({ sinks: ['host'] }), /only available in the iframe SDK/);
+});
+
+test('the host sink forwards warnings and errors once per interval', async () => {
+  const sent = [];
+  const sdk = {
+    isIframeMode: true,
+    parentOrigin: 'https://host.test',
+    sendSecureMessage: async (type, payload) => { sent.push({ type, payload }); }
+  };
+  const host = new HostLogSink(sdk, { flushInterval: 60000 });
+  const logger = new Logger({ level: 'debug', sinks: [host] });
+
+  logger.info('not forwarded');
+  logger.warn('slow response');
+  logger.error('failed');
+  assert.equal(sent.length, 0);
+
+  logger.destroy();
+  await host.destroy();
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].type, 'REPORT_LOGS');
+  assert.deepEqual(sent[0].payload.entries.map(record => record.message), ['slow response', 'failed']);
+});
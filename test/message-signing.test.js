@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  canonicalize,
+  generateNonce,
+  signMessage,
+  verifyMessageSignature,
+  ReplayGuard
+} from '../src/security/message-signing.js';
+
+const SECRET = 'test-secret';
+
+async function signed(overrides = {}) {
+  const message = {
+    appId: 'demo',
+    source: 'ventureverse-app',
+    type: 'DEDUCT_CREDITS',
+    requestId: 'req_1',
+    nonce: generateNonce(),
+    timestamp: new Date().toISOString(),
+    payload: { cost: 0.5, description: 'chat' },
+    ...overrides
+  };
+  return { ...message, signature: await signMessage(message, SECRET) };
+}
+
+test('canonicalize sorts object keys at every depth', () => {
+  assert.equal(
+    canonicalize({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: null } }),
+    canonicalize({ a: { c: null, d: [2, { e: 0, f: 1 }] }, b: 1 })
+  );
+});
+
+test('a signed message verifies with the same secret only', async () => {
+  const message = await signed();
+  assert.equal(await verifyMessageSignature(message, SECRET), true);
+  assert.equal(await verifyMessageSignature(message, 'other-secret'), false);
+});
+
+test('changing any signed field breaks the signature', async () => {
+  const message = await signed();
+  const tampered = [
+    { appId: 'other' },
+    { type: 'GET_USER_PROFILE' },
+    { requestId: 'req_2' },
+    { nonce: generateNonce() },
+    { timestamp: new Date(Date.now() + 1000).toISOString() },
+    { payload: { cost: 0.01, description: 'chat' } }
+  ];
+  for (const change of tampered) {
+    assert.equal(await verifyMessageSignature({ ...message, ...change }, SECRET), false, JSON.stringify(change));
+  }
+});
+
+test('messages without a nonce or signature are rejected', async () => {
+  const message = await signed();
+  assert.equal(await verifyMessageSignature({ ...message, nonce: undefined }, SECRET), false);
+  assert.equal(await verifyMessageSignature({ ...message, signature: undefined }, SECRET), false);
+});
+
+test('ReplayGuard rejects a nonce seen before and stale timestamps', () => {
+  const guard = new ReplayGuard({ maxClockSkewMs: 1000 });
+  const now = Date.parse('2026-01-01T00:00:00.000Z');
+  const message = { nonce: 'n1', timestamp: new Date(now).toISOString() };
+
+  assert.equal(guard.check(message, now), null);
+  assert.equal(guard.check(message, now + 10), 'replay');
+  assert.equal(guard.check({ nonce: 'n2', timestamp: new Date(now - 1001).toISOString() }, now), 'expired');
+  assert.equal(guard.check({ nonce: 'n3', timestamp: 'not a date' }, now), 'expired');
+});
+
+test('ReplayGuard never lets an evicted nonce be replayed', () => {
+  const guard = new ReplayGuard({ maxClockSkewMs: 60 * 1000, maxEntries: 3 });
+  const now = Date.parse('2026-01-01T00:00:00.000Z');
+  const messages = [0, 1, 2, 3].map(i => ({ nonce: `n${i}`, timestamp: new Date(now + i).toISOString() }));
+
+  for (const message of messages) {
+    assert.equal(guard.check(message, now + 10), null);
+  }
+  assert.equal(guard.seen.size, 3);
+
+  // n0 was dropped to make room; its timestamp is now outside the accepted window
+  assert.equal(guard.check(messages[0], now + 10), 'expired');
+  assert.equal(guard.check(messages[3], now + 10), 'replay');
+});
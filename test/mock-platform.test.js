@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startMockPlatform } from '../src/mock-platform/server.js';
+import { VentureVerseAuth } from '../src/security/auth-system.js';
+
+const APP = { appId: 'demo', apiKey: 'vv_demo_key', apiSecret: 'test-secret' };
+const USER = { id: 1, monthly_credit_balance: 100, top_up_credit_balance: 50 };
+const auth = new VentureVerseAuth();
+
+let platform;
+
+before(async () => {
+  platform = await startMockPlatform({ port: 0, apps: [APP], users: [USER] });
+});
+
+after(() => platform.stop());
+
+async function call(method, path, body, { secret = APP.apiSecret, appId = APP.appId } = {}) {
+  const raw = body === undefined ? '' : JSON.stringify(body);
+  const headers = await auth.signRequest({ appId, method, path, body: raw }, secret);
+  const response = await fetch(`${platform.url}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: raw || undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('credential validation accepts the platform signature and the app key', async () => {
+  for (const appId of [APP.appId, APP.apiKey]) {
+    const timestamp = Date.now();
+    const response = await fetch(`${platform.url}/v1/auth/validate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-VentureVerse-App-ID': appId,
+        'X-VentureVerse-Timestamp': String(timestamp),
+        'X-VentureVerse-Signature': await auth.generateSignature(appId, timestamp, APP.apiSecret)
+      },
+      body: JSON.stringify({ app_id: appId, timestamp })
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.valid, true);
+    assert.equal(body.app_info.app_id, APP.appId);
+  }
+});
+
+test('requests signed with the wrong secret or without headers fail with 401', async () => {
+  assert.equal((await call('POST', '/v1/auth/validate', {}, { secret: 'wrong' })).status, 401);
+  assert.equal((await call('GET', '/v1/users/1', undefined, { appId: 'unknown' })).status, 401);
+  assert.equal((await fetch(`${platform.url}/v1/users/1`)).status, 401);
+});
+
+test('a request signature only covers its own method, path and body', async () => {
+  const path = '/v1/users/1/credits/deduct';
+  const headers = await auth.signRequest({
+    appId: APP.appId,
+    method: 'POST',
+    path,
+    body: JSON.stringify({ cost: 0.01 })
+  }, APP.apiSecret);
+  const response = await fetch(`${platform.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ cost: 0.02 })
+  });
+
+  assert.equal(response.status, 401);
+});
+
+test('users and credit balances are served', async () => {
+  const { status, body } = await call('GET', '/v1/users/1/credits');
+
+  assert.equal(status, 200);
+  assert.equal(body.total_balance, 150);
+  assert.equal(body.credit_info.monthly_credit_balance, 100);
+  assert.equal((await call('GET', '/v1/users/404')).status, 404);
+});
+
+test('deductions spend monthly credits first and refuse overdrafts', async () => {
+  platform.setBalance(1, { monthly_credit_balance: 100, top_up_credit_balance: 50 });
+
+  const { status, body } = await call('POST', '/v1/users/1/credits/deduct', { cost: 0.6 });
+  assert.equal(status, 200);
+  assert.equal(body.credits_deducted, 102);
+  assert.deepEqual(body.remaining_balance, { monthly_credit_balance: 0, top_up_credit_balance: 48 });
+
+  const refused = await call('POST', '/v1/users/1/credits/deduct', { cost: 10 });
+  assert.equal(refused.status, 402);
+  assert.equal(refused.body.code, 'INSUFFICIENT_CREDITS');
+
+  assert.equal((await call('POST', '/v1/users/1/credits/deduct', { cost: -1 })).status, 400);
+});
+
+test('injected errors fail the matching route the given number of times', async () => {
+  platform.injectError({ path: '/v1/users/1', method: 'GET', status: 503, times: 1 });
+
+  assert.equal((await call('GET', '/v1/users/1')).status, 503);
+  assert.equal((await call('GET', '/v1/users/1')).status, 200);
+
+  platform.injectError({ status: 500 });
+  assert.equal((await fetch(`${platform.url}/health`)).status, 500);
+  platform.clearErrors();
+  assert.equal((await fetch(`${platform.url}/health`)).status, 200);
+});
+
+test('a repeated idempotency key replays the first deduction', async () => {
+  platform.setBalance(1, { monthly_credit_balance: 100, top_up_credit_balance: 0 });
+  const body = { cost: 0.1, idempotency_key: 'charge-1' };
+
+  const first = await call('POST', '/v1/users/1/credits/deduct', body);
+  const second = await call('POST', '/v1/users/1/credits/deduct', body);
+
+  assert.equal(first.status, 200);
+  assert.deepEqual(second.body, first.body);
+  assert.equal(platform.users.get('1').monthly_credit_balance, 83);
+});
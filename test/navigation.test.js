@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isAppPath } from '../src/iframe/navigation.js';
+import { RouteSync } from '../src/host/route-sync.js';
+
+test('app paths are single-slash relative routes', () => {
+  for (const path of ['/', '/settings', '/a/b?tab=1#top']) {
+    assert.equal(isAppPath(path), true, path);
+  }
+});
+
+test('other URLs and schemes are not app paths', () => {
+  const rejected = [
+    '//evil.example/x',
+    'https://evil.example/',
+    'javascript:alert(1)',
+    '/\\evil.example',
+    'settings',
+    '',
+    null,
+    undefined,
+    `/${'a'.repeat(5000)}`
+  ];
+  for (const path of rejected) {
+    assert.equal(isAppPath(path), false, String(path).slice(0, 40));
+  }
+});
+
+function fakeHostPage(href, state = null) {
+  const entries = [];
+  const history = {
+    state,
+    pushState(nextState, title, url) {
+      entries.push({ method: 'push', state: nextState, url });
+      history.state = nextState;
+    },
+    replaceState(nextState, title, url) {
+      entries.push({ method: 'replace', state: nextState, url });
+      history.state = nextState;
+    }
+  };
+  globalThis.window = { location: { href }, history };
+  return entries;
+}
+
+function fakeHost(send = async () => {}) {
+  const warnings = [];
+  const events = [];
+  return {
+    warnings,
+    events,
+    sent: [],
+    resourceManager: { addEventListener() {} },
+    triggerEvent: (name, data) => events.push({ name, data }),
+    send(type, payload) {
+      this.sent.push({ type, payload });
+      return send(type, payload);
+    },
+    logger: { warn: (...args) => warnings.push(args) }
+  };
+}
+
+test('app routes are written to the host URL, keeping the page router state', (t) => {
+  t.after(() => { delete globalThis.window; });
+  const entries = fakeHostPage('https://host.test/apps/demo', { key: 'router-7' });
+  const routes = new RouteSync(fakeHost());
+  routes.start();
+
+  routes.applyRoute({ path: '/projects' });
+  routes.applyRoute({ path: '/projects/42' });
+
+  assert.deepEqual(entries.map(entry => entry.method), ['replace', 'push']);
+  assert.equal(entries[1].url, 'https://host.test/apps/demo?app_path=%2Fprojects%2F42');
+  assert.deepEqual(entries[1].state, { key: 'router-7', vvAppPath: '/projects/42' });
+});
+
+test('a non-object history state is replaced rather than spread', (t) => {
+  t.after(() => { delete globalThis.window; });
+  const entries = fakeHostPage('https://host.test/apps/demo', 'router-key');
+  const routes = new RouteSync(fakeHost());
+  routes.start();
+
+  routes.applyRoute({ path: '/settings' });
+
+  assert.deepEqual(entries[0].state, { vvAppPath: '/settings' });
+});
+
+test('back and forward send NAVIGATE, and a failed send is logged', async (t) => {
+  t.after(() => { delete globalThis.window; });
+  fakeHostPage('https://host.test/apps/demo?app_path=%2Fprojects');
+  const host = fakeHost(async () => { throw new Error('frame detached'); });
+  const routes = new RouteSync(host);
+  routes.start();
+
+  routes.handlePopState({ state: { vvAppPath: '/projects/42' } });
+  routes.handlePopState({ state: { vvAppPath: '/projects/42' } });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(host.sent, [{ type: 'NAVIGATE', payload: { path: '/projects/42', reason: 'history' } }]);
+  assert.equal(host.warnings.length, 1);
+  assert.equal(host.warnings[0][1].message, 'frame detached');
+});
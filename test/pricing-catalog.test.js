@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PricingCatalog, DEFAULT_CREDITS_PER_USD } from '../src/pricing/pricing-catalog.js';
+
+function catalog() {
+  return new PricingCatalog({
+    features: {
+      completion: { price: 0.002, unit: 'token', per: 1000, minimum: 0.001, tiers: { 3: { price: 0.001 }, 2: { discount: 0.5 } } },
+      export: { price: 0.5, description: 'PDF export' }
+    },
+    tiers: { 4: { discount: 0.25 } }
+  });
+}
+
+test('the default rate keeps the historical 1.7x markup', () => {
+  const pricing = new PricingCatalog();
+
+  assert.equal(DEFAULT_CREDITS_PER_USD, 170);
+  assert.equal(pricing.usdToCredits(0.5), 85);
+  assert.equal(pricing.usdToCredits(0.01), 2);
+});
+
+test('quote prices per unit and rounds credits up', () => {
+  const quote = catalog().quote('completion', { quantity: 1500 });
+
+  assert.equal(quote.cost, 0.003);
+  assert.equal(quote.credits, 1);
+  assert.equal(quote.unit, 'token');
+  assert.equal(quote.description, 'completion');
+});
+
+test('quote applies the feature minimum', () => {
+  assert.equal(catalog().quote('completion', { quantity: 10 }).cost, 0.001);
+  assert.equal(catalog().quote('completion', { quantity: 0 }).cost, 0);
+});
+
+test('tier prices and discounts override the base price', () => {
+  const pricing = catalog();
+
+  assert.equal(pricing.quote('completion', { quantity: 1000, tierId: 3 }).unitPrice, 0.001);
+  assert.equal(pricing.quote('completion', { quantity: 1000, tierId: 2 }).cost, 0.001);
+  assert.equal(pricing.quote('export', { tierId: '4' }).cost, 0.375);
+  assert.equal(pricing.quote('export', { tierId: 1 }).cost, 0.5);
+});
+
+test('a host catalog in wire format updates the rate and features', () => {
+  const pricing = catalog().update({ credits_per_usd: 100, features: { export: { price: 1 } } });
+
+  assert.equal(pricing.quote('export').credits, 100);
+  assert.deepEqual(PricingCatalog.from(pricing.toJSON()).toJSON(), pricing.toJSON());
+});
+
+test('invalid prices, rates, discounts and features are rejected', () => {
+  const pricing = catalog();
+
+  assert.throws(() => pricing.quote('missing'), /Unknown priced feature/);
+  assert.throws(() => pricing.quote('export', { quantity: -1 }), /non-negative/);
+  assert.throws(() => pricing.setConversionRate(0), /positive/);
+  assert.throws(() => pricing.defineFeature('free', {}), /non-negative price/);
+  assert.throws(() => pricing.update({ tiers: { 1: { discount: 2 } } }), /between 0 and 1/);
+});
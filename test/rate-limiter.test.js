@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  RATE_LIMIT_ALGORITHMS,
+  MemoryRateLimitStore,
+  RateLimiter,
+  parseRateLimitHeaders
+} from '../src/security/rate-limiter.js';
+
+const limit = { max: 10, windowMs: 1000 };
+
+test('token bucket spends tokens and refills them over time', () => {
+  const tokenBucket = RATE_LIMIT_ALGORITHMS['token-bucket'];
+
+  let result = tokenBucket(null, limit, 0, 10);
+  assert.equal(result.allowed, true);
+  assert.equal(result.remaining, 0);
+
+  result = tokenBucket(result.state, limit, 0, 1);
+  assert.equal(result.allowed, false);
+  assert.equal(result.retryAfter, 100);
+
+  result = tokenBucket(result.state, limit, 100, 1);
+  assert.equal(result.allowed, true);
+
+  result = tokenBucket(result.state, limit, 10000, 1);
+  assert.equal(result.remaining, 9);
+});
+
+test('sliding window weighs the previous window by its overlap', () => {
+  const slidingWindow = RATE_LIMIT_ALGORITHMS['sliding-window'];
+
+  let result = slidingWindow(null, limit, 500, 10);
+  assert.equal(result.allowed, true);
+
+  result = slidingWindow(result.state, limit, 999, 1);
+  assert.equal(result.allowed, false);
+  assert.equal(result.retryAfter > 0, true);
+
+  // Half of the previous window still overlaps: 5 of 10 are left
+  result = slidingWindow(result.state, limit, 1500, 5);
+  assert.equal(result.allowed, true);
+  result = slidingWindow(result.state, limit, 1500, 1);
+  assert.equal(result.allowed, false);
+
+  result = slidingWindow(result.state, limit, 1500 + result.retryAfter, 1);
+  assert.equal(result.allowed, true);
+});
+
+test('a denied request in the next window waits no longer than needed', () => {
+  const slidingWindow = RATE_LIMIT_ALGORITHMS['sliding-window'];
+  const full = slidingWindow(null, limit, 0, 10);
+  const denied = slidingWindow(full.state, limit, 1000, 1);
+
+  assert.equal(denied.allowed, false);
+  assert.equal(slidingWindow(full.state, limit, 1000 + denied.retryAfter - 1, 1).allowed, false);
+  assert.equal(slidingWindow(full.state, limit, 1000 + denied.retryAfter, 1).allowed, true);
+});
+
+test('the memory store enforces every limit at once', () => {
+  const store = new MemoryRateLimitStore();
+  const limits = [
+    { max: 2, windowMs: 1000, algorithm: 'sliding-window' },
+    { max: 3, windowMs: 60000, algorithm: 'token-bucket' }
+  ];
+  const keys = ['a:short', 'a:long'];
+
+  assert.equal(store.consume(keys, limits, { now: 0 }).every(r => r.allowed), true);
+  assert.equal(store.consume(keys, limits, { now: 0 }).every(r => r.allowed), true);
+  assert.equal(store.consume(keys, limits, { now: 0 })[0].allowed, false);
+
+  const [short, long] = store.consume(keys, limits, { now: 2000 });
+  assert.equal(short.allowed, true);
+  assert.equal(long.allowed, true);
+  assert.equal(store.consume(keys, limits, { now: 2000 })[1].allowed, false);
+});
+
+for (const algorithm of Object.keys(RATE_LIMIT_ALGORITHMS)) {
+  test(`RateLimiter (${algorithm}) counts per identifier and resets`, () => {
+    const limiter = new RateLimiter({ maxRequests: 2, windowMs: 60000, algorithm });
+
+    assert.equal(limiter.consume('a').allowed, true);
+    assert.equal(limiter.check('a').allowed, true);
+    assert.equal(limiter.consume('a').allowed, true);
+
+    const denied = limiter.consume('a');
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.retryAfter > 0, true);
+    assert.equal(limiter.consume('b').allowed, true);
+
+    limiter.reset('a');
+    assert.equal(limiter.getRemaining('a'), 2);
+  });
+}
+
+test('a server quota caps the local limits', () => {
+  const limiter = new RateLimiter({ maxRequests: 100, windowMs: 60000 });
+  limiter.applyQuota('a', { remaining: 1, resetAt: Date.now() + 60000 });
+
+  assert.equal(limiter.consume('a').allowed, true);
+  assert.equal(limiter.consume('a').allowed, false);
+
+  limiter.applyQuota('b', { retryAfter: 30000 });
+  const blocked = limiter.consume('b');
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.retryAfter > 29000, true);
+});
+
+test('parseRateLimitHeaders reads Retry-After and X-RateLimit-* headers', () => {
+  const now = Date.parse('2026-01-01T00:00:00.000Z');
+
+  assert.deepEqual(
+    parseRateLimitHeaders({
+      'x-ratelimit-limit': '100',
+      'x-ratelimit-remaining': '0',
+      'x-ratelimit-reset': String(now / 1000 + 30),
+      'retry-after': '30'
+    }, now),
+    { limit: 100, remaining: 0, resetAt: now + 30000, retryAfter: 30000 }
+  );
+  assert.equal(parseRateLimitHeaders({}, now), null);
+});
@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { VentureVerseAuth, createSecurityMiddleware } from '../src/security/auth-system.js';
+import { ERROR_CODES } from '../src/errors/ventureverse-error.js';
+import { createLogger } from '../src/logging/logger.js';
+
+const SECRET = 'test-secret';
+const auth = new VentureVerseAuth();
+
+function middleware(options = {}) {
+  return createSecurityMiddleware({
+    secrets: { demo: SECRET },
+    logger: createLogger({ namespace: 'auth', level: 'silent' }),
+    ...options
+  });
+}
+
+async function signedRequest({ method = 'POST', url = '/credits/deduct', body = '{"cost":1}' } = {}) {
+  const headers = await auth.signRequest({ appId: 'demo', method, path: url, body }, SECRET);
+  return {
+    method,
+    url,
+    rawBody: body,
+    headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]))
+  };
+}
+
+function response() {
+  return {
+    status: null,
+    body: null,
+    headersSent: false,
+    writeHead(status) {
+      this.status = status;
+      this.headersSent = true;
+    },
+    setHeader() {},
+    end(body) {
+      this.body = body === undefined ? null : JSON.parse(body);
+    }
+  };
+}
+
+function koaContext(request) {
+  const errors = [];
+  return {
+    request,
+    state: {},
+    status: 404,
+    body: null,
+    set() {},
+    app: { emit: (event, error) => errors.push(error) },
+    errors
+  };
+}
+
+test('a signed request is accepted once', async () => {
+  const security = middleware();
+  const request = await signedRequest();
+
+  const result = await security.validateRequest(request);
+  assert.equal(result.valid, true);
+  assert.equal(result.app.appId, 'demo');
+
+  const replay = await security.validateRequest(request);
+  assert.equal(replay.valid, false);
+  assert.equal(replay.error, 'Request replayed');
+});
+
+test('concurrent requests signed in the same millisecond are all accepted', async () => {
+  const security = middleware();
+  const requests = await Promise.all([signedRequest(), signedRequest(), signedRequest()]);
+  const results = await Promise.all(requests.map(request => security.validateRequest(request)));
+
+  assert.deepEqual(results.map(result => result.valid), [true, true, true]);
+});
+
+test('the signature binds method, path, query and body', async () => {
+  const security = middleware();
+  const changes = [
+    { method: 'PUT' },
+    { url: '/credits/refund' },
+    { url: '/credits/deduct?user=2' },
+    { rawBody: '{"cost":100}' }
+  ];
+
+  for (const change of changes) {
+    const result = await security.validateRequest({ ...await signedRequest(), ...change });
+    assert.equal(result.code, ERROR_CODES.INVALID_SIGNATURE, JSON.stringify(change));
+  }
+});
+
+test('missing headers, unknown apps and old timestamps are rejected', async () => {
+  const security = middleware();
+  const request = await signedRequest();
+
+  assert.equal((await security.validateRequest({ ...request, headers: {} })).status, 401);
+
+  const unknownApp = { ...request, headers: { ...request.headers, 'x-ventureverse-app-id': 'other' } };
+  assert.equal((await security.validateRequest(unknownApp)).code, ERROR_CODES.INVALID_CREDENTIALS);
+
+  const oldTimestamp = String(Date.now() - 10 * 60 * 1000);
+  const expired = { ...request, headers: { ...request.headers, 'x-ventureverse-timestamp': oldTimestamp } };
+  assert.equal((await security.validateRequest(expired)).error, 'Request timestamp expired');
+
+  const badNonce = { ...request, headers: { ...request.headers, 'x-ventureverse-nonce': 'x' } };
+  assert.equal((await security.validateRequest(badNonce)).error, 'Malformed nonce');
+});
+
+test('forged requests do not use up the rate limit', async () => {
+  const security = middleware({ rateLimit: { maxRequests: 1, windowMs: 60000 } });
+
+  const forged = await signedRequest();
+  forged.headers['x-ventureverse-signature'] = 'ab'.repeat(32);
+  assert.equal((await security.validateRequest(forged)).valid, false);
+
+  assert.equal((await security.validateRequest(await signedRequest())).valid, true);
+
+  const limited = await security.validateRequest(await signedRequest());
+  assert.equal(limited.status, 429);
+  assert.equal(limited.code, ERROR_CODES.RATE_LIMITED);
+  assert.equal(limited.retryAfter > 0, true);
+});
+
+test('the http adapter answers 500 when the handler throws', async () => {
+  const security = middleware();
+  const handler = security.http(() => {
+    throw new Error('boom');
+  });
+
+  const res = response();
+  await handler(await signedRequest(), res);
+  assert.equal(res.status, 500);
+  assert.deepEqual(res.body, { error: 'Internal server error', code: ERROR_CODES.UNKNOWN });
+
+  const rejected = response();
+  await handler({ ...await signedRequest(), rawBody: '{"cost":2}' }, rejected);
+  assert.equal(rejected.status, 401);
+  assert.equal(rejected.body.code, ERROR_CODES.INVALID_SIGNATURE);
+});
+
+test('the koa adapter answers 500 when validation or a later middleware throws', async () => {
+  const security = middleware({
+    resolveSecret: (appId) => {
+      if (appId === 'broken') throw new Error('database down');
+      return SECRET;
+    }
+  }).koa();
+
+  const request = await signedRequest();
+  const failing = koaContext(request);
+  await security(failing, async () => {
+    throw new Error('boom');
+  });
+  assert.equal(failing.status, 500);
+  assert.deepEqual(failing.body, { error: 'Internal server error', code: ERROR_CODES.UNKNOWN });
+  assert.equal(failing.errors[0].message, 'boom');
+
+  const broken = koaContext({ ...request, headers: { ...request.headers, 'x-ventureverse-app-id': 'broken' } });
+  await security(broken, async () => assert.fail('next() must not run'));
+  assert.equal(broken.status, 500);
+
+  const ok = koaContext(await signedRequest());
+  await security(ok, async () => {
+    ok.status = 200;
+  });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.state.ventureverse.appId, 'demo');
+});
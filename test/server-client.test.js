@@ -0,0 +1,179 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  VentureVerseServerClient,
+  VentureVerseError,
+  AuthError,
+  NotFoundError,
+  InsufficientCreditsError,
+  RateLimitError,
+  NetworkError,
+  ProtocolError
+} from '../src/server/ventureverse-server-client.js';
+import { VentureVerseAuth } from '../src/security/auth-system.js';
+import { ERROR_CODES } from '../src/errors/ventureverse-error.js';
+
+const SECRET = 'test-secret';
+const CREDITS = { credit_info: { monthly_credit_balance: 10 }, total_balance: 10 };
+
+function json(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+/**
+ * Client whose fetch answers from `responses` in order (the last one repeats)
+ * and records each request
+ */
+function stubClient(responses, options = {}) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, ...init });
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next instanceof Error) throw next;
+    return typeof next === 'function' ? next(url, init) : next.clone();
+  };
+  const client = new VentureVerseServerClient({
+    appId: 'demo',
+    apiSecret: SECRET,
+    apiEndpoint: 'https://api.test',
+    retryDelay: 1,
+    fetch,
+    ...options
+  });
+  return { client, calls };
+}
+
+test('requests are signed over the method, path and body', async () => {
+  const auth = new VentureVerseAuth();
+  const { client, calls } = stubClient([json(200, { success: true, credits_deducted: 2 })]);
+
+  await client.deductCredits(42, { cost: 0.01, description: 'report' });
+
+  const [{ url, method, headers, body }] = calls;
+  assert.equal(url, 'https://api.test/v1/users/42/credits/deduct');
+  const request = {
+    appId: headers['X-VentureVerse-App-ID'],
+    timestamp: headers['X-VentureVerse-Timestamp'],
+    nonce: headers['X-VentureVerse-Nonce'],
+    method,
+    path: '/v1/users/42/credits/deduct',
+    body
+  };
+  assert.equal(await auth.verifyRequestSignature(request, headers['X-VentureVerse-Signature'], SECRET), true);
+  assert.equal(
+    await auth.verifyRequestSignature({ ...request, body: body.replace('0.01', '0.02') }, headers['X-VentureVerse-Signature'], SECRET),
+    false
+  );
+  assert.equal(headers['Idempotency-Key'], JSON.parse(body).idempotency_key);
+});
+
+test('HTTP failures map to typed errors', async () => {
+  const cases = [
+    [401, AuthError, ERROR_CODES.AUTH_FAILED],
+    [402, InsufficientCreditsError, ERROR_CODES.INSUFFICIENT_CREDITS],
+    [404, NotFoundError, ERROR_CODES.NOT_FOUND],
+    [429, RateLimitError, ERROR_CODES.RATE_LIMITED],
+    [503, NetworkError, ERROR_CODES.SERVICE_UNAVAILABLE]
+  ];
+
+  for (const [status, ErrorClass, code] of cases) {
+    const { client } = stubClient([json(status, { error: `status ${status}` })], { retryAttempts: 0 });
+    await assert.rejects(client.getUser(1), (error) => {
+      assert.ok(error instanceof ErrorClass);
+      assert.ok(error instanceof VentureVerseError);
+      assert.equal(error.status, status);
+      assert.equal(error.code, code);
+      assert.equal(error.message, `status ${status}`);
+      return true;
+    });
+  }
+});
+
+test('responses of the wrong shape are rejected', async () => {
+  const { client } = stubClient([json(200, { total_balance: 'ten' })]);
+
+  await assert.rejects(client.getCreditBalance(1), (error) => {
+    assert.ok(error instanceof ProtocolError);
+    assert.equal(error.code, ERROR_CODES.INVALID_RESPONSE);
+    return true;
+  });
+});
+
+test('GETs are retried after server errors and network failures', async () => {
+  const { client, calls } = stubClient([
+    json(503, { error: 'unavailable' }),
+    new TypeError('socket hang up'),
+    json(200, CREDITS)
+  ]);
+
+  assert.deepEqual(await client.getCreditBalance(1), CREDITS);
+  assert.equal(calls.length, 3);
+  // Each attempt is signed with a fresh nonce
+  assert.equal(new Set(calls.map(call => call.headers['X-VentureVerse-Nonce'])).size, 3);
+});
+
+test('retries give up after retryAttempts', async () => {
+  const { client, calls } = stubClient([new TypeError('offline')], { retryAttempts: 2 });
+
+  await assert.rejects(client.getUser(1), NetworkError);
+  assert.equal(calls.length, 3);
+});
+
+test('POSTs are retried only with an idempotency key', async () => {
+  const activity = stubClient([json(503, {}), json(200, { success: true })]);
+  await assert.rejects(activity.client.trackActivity({ action: 'export' }), NetworkError);
+  assert.equal(activity.calls.length, 1);
+
+  const keyed = stubClient([json(503, {}), json(200, { success: true })]);
+  await keyed.client.trackActivity({ action: 'export' }, { idempotencyKey: 'activity-1' });
+  assert.equal(keyed.calls.length, 2);
+
+  // Charges always get a key, so the retry reuses it
+  const charge = stubClient([json(503, {}), json(200, { success: true, credits_deducted: 1 })]);
+  await charge.client.deductCredits(1, { cost: 0.01 });
+  const [first, second] = charge.calls.map(call => call.headers['Idempotency-Key']);
+  assert.ok(first);
+  assert.equal(second, first);
+});
+
+test('client errors are not retried', async () => {
+  const { client, calls } = stubClient([json(402, { error: 'Insufficient credits' })]);
+
+  await assert.rejects(client.deductCredits(1, { cost: 5 }), InsufficientCreditsError);
+  assert.equal(calls.length, 1);
+});
+
+test('Retry-After sets the delay and backoff is capped by maxRetryDelay', async () => {
+  const { client, calls } = stubClient([
+    json(429, { error: 'slow down' }, { 'Retry-After': '0' }),
+    json(200, CREDITS)
+  ]);
+  await client.getCreditBalance(1);
+  assert.equal(calls.length, 2);
+
+  const backoff = stubClient([json(200, {})], { retryDelay: 100, maxRetryDelay: 1000 });
+  assert.equal(backoff.client.getRetryDelay({ retryAfter: null }, 0), 100);
+  assert.equal(backoff.client.getRetryDelay({ retryAfter: null }, 2), 400);
+  assert.equal(backoff.client.getRetryDelay({ retryAfter: null }, 5), 1000);
+  assert.equal(backoff.client.getRetryDelay({ retryAfter: 800 }, 0), 800);
+});
+
+test('a Retry-After beyond maxRetryDelay is thrown instead of retried early', async () => {
+  const { client, calls } = stubClient([
+    json(429, { error: 'slow down' }, { 'Retry-After': '120' }),
+    json(200, CREDITS)
+  ], { maxRetryDelay: 1000 });
+
+  await assert.rejects(client.getCreditBalance(1), (error) => {
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.retryAfter, 120000);
+    return true;
+  });
+  assert.equal(calls.length, 1);
+
+  const date = new Date(Date.now() + 60000).toUTCString();
+  const dated = stubClient([json(429, {}, { 'Retry-After': date })], { maxRetryDelay: 1000 });
+  await assert.rejects(dated.client.getUser(1), (error) => error.retryAfter > 50000 && error.retryAfter <= 60000);
+  assert.equal(dated.calls.length, 1);
+});
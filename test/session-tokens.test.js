@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createSessionToken,
+  verifySessionToken,
+  InMemoryRevocationList
+} from '../src/security/session-tokens.js';
+import { VentureVerseAuth } from '../src/security/auth-system.js';
+
+const SECRET = 'test-secret';
+const NOW = Date.now();
+
+function tamper(token) {
+  const [prefix, body, signature] = token.split('.');
+  const claims = JSON.parse(Buffer.from(body, 'base64url').toString());
+  claims.app_id = 'other';
+  return `${prefix}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${signature}`;
+}
+
+test('session token round trip', async () => {
+  const token = await createSessionToken({ appId: 'demo', userId: 7, scopes: ['credits'] }, SECRET, { now: NOW });
+  const result = await verifySessionToken(token, SECRET, { appId: 'demo', scopes: ['credits'], now: NOW + 1000 });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.claims.user_id, 7);
+});
+
+test('session tokens are rejected for each failed check', async () => {
+  const token = await createSessionToken({ appId: 'demo', userId: 7, scopes: ['credits'] }, SECRET, {
+    now: NOW,
+    ttlMs: 60 * 1000
+  });
+  const revocationList = new InMemoryRevocationList();
+
+  const reason = async (candidate, options = {}, secret = SECRET) =>
+    (await verifySessionToken(candidate, secret, { now: NOW + 1000, ...options })).reason;
+
+  assert.equal(await reason('garbage'), 'malformed');
+  assert.equal(await reason(token, {}, 'other-secret'), 'signature');
+  assert.equal(await reason(tamper(token)), 'signature');
+  assert.equal(await reason(token, { now: NOW + 60 * 1000 }), 'expired');
+  assert.equal(await reason(token, { appId: 'other' }), 'app_mismatch');
+  assert.equal(await reason(token, { scopes: ['admin'] }), 'scope');
+
+  const { claims } = await verifySessionToken(token, SECRET, { now: NOW + 1000 });
+  revocationList.revoke(claims.jti, NOW + 60 * 1000);
+  assert.equal(await reason(token, { revocationList }), 'revoked');
+});
+
+test('a refresh keeps the claims and revokes the old token', async () => {
+  const auth = new VentureVerseAuth();
+  const token = await auth.generateSessionToken('demo', 7, SECRET, { scopes: ['credits'] });
+  const refreshed = await auth.refreshSessionToken(token, SECRET, { appId: 'demo' });
+
+  const result = await auth.verifySession(refreshed, SECRET, { appId: 'demo' });
+  assert.equal(result.valid, true);
+  assert.equal(result.claims.user_id, 7);
+  assert.deepEqual(result.claims.scopes, ['credits']);
+  assert.equal((await auth.verifySession(token, SECRET)).reason, 'revoked');
+
+  await assert.rejects(auth.refreshSessionToken(token, SECRET), /Cannot refresh session: revoked/);
+
+  await auth.revokeSession(refreshed);
+  assert.equal(await auth.validateSession(refreshed, SECRET), false);
+});
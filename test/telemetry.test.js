@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TelemetryPipeline, createHttpTransport } from '../src/telemetry/telemetry.js';
+import { PIIScrubber, scrubPII } from '../src/telemetry/pii-scrubber.js';
+
+function pipeline(options = {}) {
+  const sent = [];
+  const telemetry = new TelemetryPipeline({
+    transports: [async (events) => { sent.push(events); }],
+    flushInterval: 60000,
+    ...options
+  });
+  return { telemetry, sent };
+}
+
+function report(message, extra = {}) {
+  return { message, fingerprint: message, occurrences: 1, ...extra };
+}
+
+test('reports are batched and sent on flush', async () => {
+  const { telemetry, sent } = pipeline({ batchSize: 2 });
+
+  telemetry.record(report('a'));
+  assert.equal(sent.length, 0);
+  telemetry.record(report('b'));
+  telemetry.record(report('c'));
+  await telemetry.flush();
+
+  assert.deepEqual(sent.map(batch => batch.map(event => event.message)), [['a', 'b'], ['c']]);
+  await telemetry.destroy();
+});
+
+test('sampling drops reports above the sample rate', async () => {
+  const rolls = [0.1, 0.7, 0.4];
+  const { telemetry, sent } = pipeline({ sampleRate: 0.5, random: () => rolls.shift() });
+
+  assert.equal(telemetry.record(report('kept')), true);
+  assert.equal(telemetry.record(report('sampled out')), false);
+  assert.equal(telemetry.record(report('also kept')), true);
+  await telemetry.destroy();
+
+  assert.deepEqual(sent[0].map(event => event.message), ['kept', 'also kept']);
+  assert.equal(sent[0][0].sampleRate, 0.5);
+});
+
+test('repeats of a fingerprint within the window update the queued report', async () => {
+  const { telemetry, sent } = pipeline({ dedupeWindowMs: 60000 });
+
+  assert.equal(telemetry.record(report('boom')), true);
+  assert.equal(telemetry.record(report('boom', { occurrences: 3 })), false);
+  await telemetry.flush();
+  assert.equal(sent[0].length, 1);
+  assert.equal(sent[0][0].occurrences, 3);
+
+  // Already sent: later repeats wait for the window
+  assert.equal(telemetry.record(report('boom', { occurrences: 4 })), false);
+  assert.equal(telemetry.record(report('other')), true);
+  await telemetry.destroy();
+});
+
+test('transport failures are swallowed and other transports still get the batch', async () => {
+  const delivered = [];
+  const telemetry = new TelemetryPipeline({
+    flushInterval: 60000,
+    transports: [
+      async () => { throw new Error('endpoint down'); },
+      () => { throw new Error('sync failure'); },
+      { name: 'memory', send: async (events) => { delivered.push(...events); } }
+    ]
+  });
+
+  telemetry.record(report('boom'));
+  await telemetry.flush();
+  assert.equal(delivered.length, 1);
+
+  const http = createHttpTransport('https://telemetry.test', { fetch: async () => ({ ok: false, status: 503 }) });
+  await assert.rejects(http.send([]), /503/);
+  await telemetry.destroy();
+});
+
+test('nothing is accepted after destroy', async () => {
+  const { telemetry, sent } = pipeline();
+
+  telemetry.record(report('last'));
+  await telemetry.destroy();
+
+  assert.equal(telemetry.record(report('late')), false);
+  assert.equal(telemetry.enqueue([report('forwarded')]), 0);
+  assert.equal(sent.length, 1);
+});
+
+test('reports are scrubbed of PII before they are queued', async () => {
+  const { telemetry, sent } = pipeline();
+
+  telemetry.record(report('Failed for jane@example.com with Bearer abc.def', {
+    context: {
+      url: 'https://app.test/?user_email=jane%40example.com&page=2',
+      apiSecret: 'abc',
+      headers: { Authorization: 'x', 'X-Api-Key': 'y' },
+      sessionToken: 'z'
+    }
+  }));
+  await telemetry.destroy();
+
+  const [event] = sent[0];
+  assert.equal(event.message, 'Failed for [email] with Bearer [token]');
+  assert.equal(event.context.url, 'https://app.test/?user_email=[redacted]&page=2');
+  assert.equal(event.context.apiSecret, '[redacted]');
+  assert.deepEqual(event.context.headers, { Authorization: '[redacted]', 'X-Api-Key': '[redacted]' });
+  assert.equal(event.context.sessionToken, '[redacted]');
+});
+
+test('only keys that name a token are redacted, not token counts', () => {
+  const scrubbed = scrubPII({
+    token: 'a',
+    access_token: 'b',
+    refreshToken: 'c',
+    'x-auth-token': 'd',
+    tokens: 1200,
+    max_tokens: 4096,
+    token_count: 17,
+    usage: { prompt_tokens: 12 }
+  });
+
+  assert.deepEqual(scrubbed, {
+    token: '[redacted]',
+    access_token: '[redacted]',
+    refreshToken: '[redacted]',
+    'x-auth-token': '[redacted]',
+    tokens: 1200,
+    max_tokens: 4096,
+    token_count: 17,
+    usage: { prompt_tokens: 12 }
+  });
+});
+
+test('the scrubber redacts secrets in strings and survives cycles', () => {
+  const scrubber = new PIIScrubber({ sensitiveKeys: ['customer_ref'] });
+  const value = {
+    note: `key vv_demo_0123456789 signed ${'ab'.repeat(32)}`,
+    customer_ref: 'C-42'
+  };
+  value.self = value;
+
+  const scrubbed = scrubber.scrub(value);
+  assert.equal(scrubbed.note, 'key [api-key] signed [hex]');
+  assert.equal(scrubbed.customer_ref, '[redacted]');
+  assert.equal(scrubbed.self, '[truncated]');
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connectSdkToHost } from './helpers/fake-windows.js';
+
+const pricing = { features: { ai_tokens: { price: 0.002, per: 1000 }, export: { price: 0.5 } } };
+
+async function connect(deductCredits, sdkOptions = {}) {
+  return connectSdkToHost({
+    host: { handlers: { deductCredits } },
+    sdk: { pricing, ...sdkOptions }
+  });
+}
+
+test('recorded usage is aggregated into one batched charge', async () => {
+  const charges = [];
+  const { sdk, close } = await connect(payload => {
+    charges.push(payload);
+    return { credits_deducted: Math.ceil(payload.cost * 170) };
+  });
+  const settled = [];
+  sdk.addEventListener('usageSettled', event => settled.push(event));
+
+  try {
+    assert.equal(await sdk.flushUsage(), null);
+
+    sdk.meter('ai_tokens', 1500);
+    sdk.meter('ai_tokens', 500);
+    sdk.meter('export');
+    assert.equal(sdk.getUnsettledUsage().metrics.ai_tokens.quantity, 2000);
+
+    await sdk.flushUsage();
+
+    assert.equal(charges.length, 1);
+    assert.equal(charges[0].type, 'metered_usage');
+    assert.equal(charges[0].cost, 0.504);
+    assert.deepEqual(charges[0].usage, [
+      { metric: 'ai_tokens', quantity: 2000 },
+      { metric: 'export', quantity: 1 }
+    ]);
+    assert.equal(settled.length, 1);
+    assert.deepEqual(sdk.getUnsettledUsage(), { metrics: {}, cost: 0, credits: 0 });
+  } finally {
+    await close();
+  }
+});
+
+test('unknown metrics and invalid quantities are refused when recorded', async () => {
+  const { sdk, close } = await connect(() => ({}));
+
+  try {
+    assert.throws(() => sdk.meter('missing', 1), /Unknown priced feature/);
+    assert.throws(() => sdk.meter('ai_tokens', 0), /positive number/);
+    assert.throws(() => sdk.meter('ai_tokens', NaN), /positive number/);
+  } finally {
+    await close();
+  }
+});
+
+test('a batch without a host answer is re-sent with the same idempotency key', async () => {
+  const keys = [];
+  let calls = 0;
+  const { sdk, close } = await connect(async payload => {
+    calls += 1;
+    keys.push(payload.idempotency_key);
+    if (calls === 1) {
+      // Outlives the SDK timeout, so the first flush gets no answer
+      await new Promise(resolve => setTimeout(resolve, 150));
+    }
+    return { credits_deducted: 1 };
+  }, { timeout: 50 });
+  // Timeouts are retryable; one attempt per flush keeps the test fast
+  sdk.errorHandler.maxRetries = 0;
+
+  try {
+    sdk.meter('ai_tokens', 1000);
+    assert.equal(await sdk.flushUsage(), null);
+    assert.equal(sdk.getUnsettledUsage().metrics.ai_tokens.quantity, 1000);
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    sdk.meter('ai_tokens', 10);
+    const response = await sdk.flushUsage();
+
+    assert.equal(response.credits_deducted, 1);
+    assert.equal(new Set(keys).size, 1);
+    // Newer usage waits for the next batch
+    assert.equal(sdk.getUnsettledUsage().metrics.ai_tokens.quantity, 10);
+  } finally {
+    await close();
+  }
+});
+
+test('a batch refused by the host is dropped and reported', async () => {
+  let calls = 0;
+  const { sdk, close } = await connect(() => {
+    calls += 1;
+    throw new Error('Insufficient credits');
+  });
+  const rejected = [];
+  sdk.addEventListener('usageRejected', event => rejected.push(event));
+
+  try {
+    sdk.meter('export', 2);
+    assert.equal(await sdk.flushUsage(), null);
+
+    assert.equal(calls, 1);
+    assert.equal(rejected.length, 1);
+    assert.equal(rejected[0].cost, 1);
+    assert.equal(await sdk.flushUsage(), null);
+    assert.equal(calls, 1);
+  } finally {
+    await close();
+  }
+});
+
+test('destroy() sends pending usage before tearing down', async () => {
+  const charges = [];
+  const { sdk, close } = await connect(async payload => {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    charges.push(payload);
+    return { credits_deducted: 1 };
+  });
+
+  sdk.meter('ai_tokens', 250);
+  await close();
+
+  assert.equal(charges.length, 1);
+  assert.deepEqual(charges[0].usage, [{ metric: 'ai_tokens', quantity: 250 }]);
+});
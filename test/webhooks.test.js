@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WebhookSender, WebhookVerifier, WEBHOOK_EVENT_TYPES } from '../src/server/webhooks.js';
+import { AuthError } from '../src/errors/ventureverse-error.js';
+import { createLogger } from '../src/logging/logger.js';
+
+const SECRET = 'test-secret';
+const logger = createLogger({ namespace: 'webhooks', level: 'silent' });
+const sender = new WebhookSender({ appId: 'demo', apiSecret: SECRET });
+
+function verifier(options = {}) {
+  return new WebhookVerifier({ apiSecret: SECRET, logger, ...options });
+}
+
+async function delivery(options = {}) {
+  const event = sender.createEvent(WEBHOOK_EVENT_TYPES.CREDITS_TOPPED_UP, { user_id: 7, credits: 100 });
+  return { event, ...await sender.buildRequest(event, options) };
+}
+
+test('a signed delivery verifies and parses', async () => {
+  const { event, body, headers } = await delivery();
+  const verified = await verifier().verify(body, headers);
+
+  assert.equal(verified.id, event.id);
+  assert.equal(verified.type, WEBHOOK_EVENT_TYPES.CREDITS_TOPPED_UP);
+  assert.equal(verified.appId, 'demo');
+});
+
+test('tampered bodies, wrong secrets and stale timestamps are rejected', async () => {
+  const { body, headers } = await delivery();
+
+  await assert.rejects(verifier().verify(body.replace('100', '1000'), headers), AuthError);
+  await assert.rejects(verifier({ apiSecret: 'other-secret' }).verify(body, headers), AuthError);
+  await assert.rejects(verifier().verify(body, {}), AuthError);
+
+  const stale = await delivery({ timestamp: Date.now() - 10 * 60 * 1000 });
+  await assert.rejects(verifier().verify(stale.body, stale.headers), AuthError);
+});
+
+test('any secret of a rotation is accepted', async () => {
+  const { body, headers } = await delivery();
+  const rotating = verifier({ apiSecret: undefined, resolveSecret: () => ['new-secret', SECRET] });
+
+  assert.equal((await rotating.verify(body, headers)).appId, 'demo');
+});
+
+test('a redelivered event is dispatched once', async () => {
+  const { body, headers } = await delivery();
+  const received = [];
+  const webhooks = verifier().on(WEBHOOK_EVENT_TYPES.CREDITS_TOPPED_UP, event => received.push(event.id));
+
+  assert.equal((await webhooks.handle(body, headers)).duplicate, false);
+  assert.equal((await webhooks.handle(body, headers)).duplicate, true);
+  assert.equal(received.length, 1);
+});
+
+test('an event whose handler failed runs again on retry', async () => {
+  const { body, headers } = await delivery();
+  let attempts = 0;
+  const webhooks = verifier().on(WEBHOOK_EVENT_TYPES.CREDITS_TOPPED_UP, () => {
+    attempts += 1;
+    if (attempts === 1) throw new Error('database down');
+  });
+
+  await assert.rejects(webhooks.handle(body, headers), /database down/);
+  assert.equal((await webhooks.handle(body, headers)).duplicate, false);
+  assert.equal(attempts, 2);
+});
+
+test('events with invalid data are rejected after the signature check', async () => {
+  const event = sender.createEvent(WEBHOOK_EVENT_TYPES.CREDITS_TOPPED_UP, { user_id: 7, credits: -5 });
+  const { body, headers } = await sender.buildRequest(event);
+
+  await assert.rejects(verifier().verify(body, headers), /credits must be a positive number/);
+});
+
+test('a redelivery during the first dispatch waits for its outcome', async () => {
+  const { body, headers } = await delivery();
+  let finish;
+  let attempts = 0;
+  const webhooks = verifier().on(WEBHOOK_EVENT_TYPES.CREDITS_TOPPED_UP, () => {
+    attempts += 1;
+    return new Promise(resolve => { finish = resolve; });
+  });
+
+  const first = webhooks.handle(body, headers);
+  const second = webhooks.handle(body, headers);
+  let secondSettled = false;
+  second.then(() => { secondSettled = true; });
+
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(secondSettled, false);
+
+  finish();
+  assert.equal((await first).duplicate, false);
+  assert.equal((await second).duplicate, true);
+  assert.equal(attempts, 1);
+});
+
+test('a redelivery during a failing dispatch fails too, and the next retry runs the event', async () => {
+  const { body, headers } = await delivery();
+  let fail;
+  let attempts = 0;
+  const webhooks = verifier().on(WEBHOOK_EVENT_TYPES.CREDITS_TOPPED_UP, () => {
+    attempts += 1;
+    if (attempts === 1) {
+      return new Promise((resolve, reject) => { fail = reject; });
+    }
+    return undefined;
+  });
+
+  const first = webhooks.handle(body, headers);
+  const second = webhooks.handle(body, headers);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  fail(new Error('database down'));
+
+  await assert.rejects(first, /database down/);
+  await assert.rejects(second, /database down/);
+  assert.equal((await webhooks.handle(body, headers)).duplicate, false);
+  assert.equal(attempts, 2);
+});